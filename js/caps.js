@@ -0,0 +1,87 @@
+// Cap catalog: each spray cap defines its cone, grain, flow response,
+// footprint shape and overspray. SprayPaint reads the active cap through
+// getCap(); only the cap id is stored in settings and project files.
+class CapCatalog {
+  static get(id) {
+    return CapCatalog.CAPS[id] || CapCatalog.CAPS[CapCatalog.DEFAULT];
+  }
+
+  static list() {
+    return Object.values(CapCatalog.CAPS);
+  }
+
+  static has(id) {
+    return Object.prototype.hasOwnProperty.call(CapCatalog.CAPS, id);
+  }
+}
+
+CapCatalog.DEFAULT = "standard";
+
+// cone:      theta = theta0 + kTheta · ln(1 + nozzle / Dref)  (radians)
+// nozzle:    [min, max] nozzle size in px
+// grain:     log-normal dot size (mu, sigma) clamped to [min, max] × base
+// flow(p):   output multiplier for hand pressure p (0..1)
+// footprint: "round", or "line" (flat cap) with aspect = width / length,
+//            angle (degrees) relative to the stroke direction; pen twist
+//            turns it when followTwist is set
+// overspray: amount (particle count) and halo (reach) multipliers
+CapCatalog.CAPS = {
+  standard: {
+    id: "standard",
+    name: "Standard",
+    theta0: 0.2,
+    kTheta: 0.1,
+    nozzle: [2, 120],
+    grain: { mu: 0, sigma: 0.35, min: 0.35, max: 2.2 },
+    flow: () => 1,
+    footprint: { shape: "round" },
+    overspray: { amount: 1, halo: 1 },
+  },
+  skinny: {
+    id: "skinny",
+    name: "Skinny",
+    theta0: 0.09,
+    kTheta: 0.05,
+    nozzle: [2, 30],
+    grain: { mu: -0.15, sigma: 0.25, min: 0.4, max: 1.6 },
+    // pressure-sensitive: a light touch gives a whisper line
+    flow: (p) => 0.55 + 0.45 * p,
+    footprint: { shape: "round" },
+    overspray: { amount: 0.6, halo: 0.8 },
+  },
+  fat: {
+    id: "fat",
+    name: "Fat",
+    theta0: 0.32,
+    kTheta: 0.14,
+    nozzle: [20, 120],
+    grain: { mu: 0.1, sigma: 0.42, min: 0.35, max: 2.6 },
+    flow: (p) => 1.2 + 0.25 * p,
+    footprint: { shape: "round" },
+    overspray: { amount: 1.35, halo: 1.2 },
+  },
+  calligraphy: {
+    id: "calligraphy",
+    name: "Calligraphy",
+    theta0: 0.22,
+    kTheta: 0.1,
+    nozzle: [6, 90],
+    grain: { mu: -0.1, sigma: 0.3, min: 0.4, max: 1.8 },
+    flow: (p) => 0.8 + 0.35 * p,
+    // flat slit across the stroke
+    footprint: { shape: "line", aspect: 0.16, angle: 90, followTwist: true },
+    overspray: { amount: 0.7, halo: 0.9 },
+  },
+  stencil: {
+    id: "stencil",
+    name: "Stencil",
+    theta0: 0.12,
+    kTheta: 0.06,
+    nozzle: [4, 60],
+    // even, fine dots and almost no mist for crisp edges
+    grain: { mu: -0.2, sigma: 0.18, min: 0.5, max: 1.4 },
+    flow: () => 1.1,
+    footprint: { shape: "round" },
+    overspray: { amount: 0.25, halo: 0.6 },
+  },
+};
@@ -1,267 +1,475 @@
+// Shape geometry for the shape palette, masks and previews: outlines,
+// guide lines and the paths a synthetic hand sprays along
 class ShapeDrawer {
-  constructor(sprayPaint) {
-    this.sprayPaint = sprayPaint;
-    this.isDrawingShape = false;
-    this.shapeStartX = 0;
-    this.shapeStartY = 0;
-    this.currentShape = null;
-  }
-
-  // Draw a circle using spray paint
-  drawCircle(centerX, centerY, radius, density = 1.0) {
-    const circumference = 2 * Math.PI * radius;
-    const numPoints = Math.max(20, Math.floor(circumference * density));
-
-    for (let i = 0; i < numPoints; i++) {
-      const angle = (i / numPoints) * Math.PI * 2;
-      const x = centerX + Math.cos(angle) * radius;
-      const y = centerY + Math.sin(angle) * radius;
-
-      this.sprayPaint.stamp(x, y);
+  // Closed outline of a primitive fitted to the box x, y, w, h, as [x, y]
+  // points (stencil cut-outs, shape previews)
+  static outline(shape, x, y, w, h, steps = 64) {
+    const cx = x + w / 2,
+      cy = y + h / 2;
+    const points = [];
+    switch (shape) {
+      case "rectangle":
+        return [
+          [x, y],
+          [x + w, y],
+          [x + w, y + h],
+          [x, y + h],
+        ];
+      case "star": {
+        // five points, inner radius 0.45, first point up
+        for (let i = 0; i < 10; i++) {
+          const angle = (i / 10) * Math.PI * 2 - Math.PI / 2;
+          const r = i % 2 === 0 ? 0.5 : 0.225;
+          points.push([
+            cx + Math.cos(angle) * r * w,
+            cy + Math.sin(angle) * r * h,
+          ]);
+        }
+        return points;
+      }
+      case "heart":
+        // the classic heart curve (x in ±16, y in -12..17 pointing down),
+        // scaled to fit
+        for (let i = 0; i < steps; i++) {
+          const t = (i / steps) * Math.PI * 2;
+          const hx = 16 * Math.pow(Math.sin(t), 3);
+          const hy = -(
+            13 * Math.cos(t) -
+            5 * Math.cos(2 * t) -
+            2 * Math.cos(3 * t) -
+            Math.cos(4 * t)
+          );
+          points.push([cx + (hx / 32) * w, y + ((hy + 12) / 29) * h]);
+        }
+        return points;
+      default:
+        // circle (an ellipse in a non-square box)
+        for (let i = 0; i < steps; i++) {
+          const angle = (i / steps) * Math.PI * 2;
+          points.push([
+            cx + (Math.cos(angle) * w) / 2,
+            cy + (Math.sin(angle) * h) / 2,
+          ]);
+        }
+        return points;
     }
   }
 
-  // Draw a filled circle using spray paint
-  drawFilledCircle(centerX, centerY, radius, density = 1.0) {
-    const numRings = Math.max(3, Math.floor(radius / 5));
-
-    for (let ring = 0; ring < numRings; ring++) {
-      const ringRadius = (ring / numRings) * radius;
-      this.drawCircle(centerX, centerY, ringRadius, density);
-    }
+  // The drag box of a shape spec, with its center and inscribed radius.
+  // spec: { shape, x0, y0, x1, y1, fill, density }; a line runs from
+  // (x0, y0) to (x1, y1), every other shape is fitted to that box.
+  static box(spec) {
+    const x = Math.min(spec.x0, spec.x1),
+      y = Math.min(spec.y0, spec.y1);
+    const w = Math.abs(spec.x1 - spec.x0),
+      h = Math.abs(spec.y1 - spec.y0);
+    return { x, y, w, h, cx: x + w / 2, cy: y + h / 2, r: Math.min(w, h) / 2 };
   }
 
-  // Draw a line using spray paint
-  drawLine(startX, startY, endX, endY, density = 1.0) {
-    const distance = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2);
-    const numPoints = Math.max(10, Math.floor(distance * density));
-
-    for (let i = 0; i <= numPoints; i++) {
-      const t = i / numPoints;
-      const x = startX + (endX - startX) * t;
-      const y = startY + (endY - startY) * t;
-
-      this.sprayPaint.stamp(x, y);
+  // Guide lines of a shape spec as [{ points, closed }] (rubber-band
+  // previews): the paths a shape is sprayed along, or a filled outline
+  static guides(spec) {
+    const { x, y, w, h, cx, cy, r } = ShapeDrawer.box(spec);
+    const segment = (ax, ay, bx, by) => {
+      const from = [ax, ay],
+        to = [bx, by];
+      return { points: [from, to], closed: false };
+    };
+    const ring = (radius) => ({
+      points: ShapeDrawer.outline(
+        "circle",
+        cx - radius,
+        cy - radius,
+        2 * radius,
+        2 * radius
+      ),
+      closed: true,
+    });
+    switch (spec.shape) {
+      case "line":
+        return [segment(spec.x0, spec.y0, spec.x1, spec.y1)];
+      case "circle":
+        return [ring(r)];
+      case "rectangle":
+      case "star":
+      case "heart": {
+        const points = ShapeDrawer.outline(spec.shape, x, y, w, h);
+        return [{ points, closed: true }];
+      }
+      case "spiral": {
+        const points = [];
+        const steps = 48 * ShapeDrawer.SPIRAL_TURNS;
+        for (let i = 0; i <= steps; i++) {
+          const t = (i / steps) * ShapeDrawer.SPIRAL_TURNS * Math.PI * 2;
+          const radius = (i / steps) * r;
+          points.push([cx + Math.cos(t) * radius, cy + Math.sin(t) * radius]);
+        }
+        return [{ points, closed: false }];
+      }
+      case "grid": {
+        const size = ShapeDrawer.GRID_SIZE;
+        const guides = [];
+        for (let col = 0; col <= Math.floor(w / size); col++) {
+          const gx = x + col * size;
+          guides.push(segment(gx, y, gx, y + h));
+        }
+        for (let row = 0; row <= Math.floor(h / size); row++) {
+          const gy = y + row * size;
+          guides.push(segment(x, gy, x + w, gy));
+        }
+        return guides;
+      }
+      case "mandala": {
+        const guides = [];
+        const rays = ShapeDrawer.MANDALA_RAYS;
+        for (let ray = 0; ray < rays; ray++) {
+          const angle = (ray / rays) * Math.PI * 2;
+          guides.push(
+            segment(cx, cy, cx + Math.cos(angle) * r, cy + Math.sin(angle) * r)
+          );
+        }
+        const circles = Math.floor(r / 20);
+        for (let i = 1; i <= circles; i++) guides.push(ring((i / circles) * r));
+        return guides;
+      }
+      default:
+        return [];
     }
   }
 
-  // Draw a rectangle using spray paint
-  drawRectangle(x, y, width, height, density = 1.0) {
-    const points = [
-      [x, y],
-      [x + width, y],
-      [x + width, y + height],
-      [x, y + height],
-      [x, y],
-    ];
-
-    for (let i = 0; i < points.length - 1; i++) {
-      this.drawLine(
-        points[i][0],
-        points[i][1],
-        points[i + 1][0],
-        points[i + 1][1],
-        density
-      );
+  // The sweeps a hand makes to spray a shape spec, as point lists in
+  // order: each guide line (closed ones back to their start), and for a
+  // filled shape first back-and-forth sweeps `spacing` px apart across it
+  static strokePaths(spec, spacing) {
+    const guides = ShapeDrawer.guides(spec);
+    const paths = [];
+    if (spec.fill && ShapeDrawer.FILLABLE.includes(spec.shape)) {
+      paths.push(...ShapeDrawer.hatch(guides[0].points, spacing));
+    }
+    for (const { points, closed } of guides) {
+      paths.push(closed ? [...points, points[0]] : points);
     }
+    return paths;
   }
 
-  // Draw a filled rectangle using spray paint
-  drawFilledRectangle(x, y, width, height, density = 1.0) {
-    const stepSize = Math.max(2, Math.floor(5 / density));
-
-    for (let i = 0; i < width; i += stepSize) {
-      for (let j = 0; j < height; j += stepSize) {
-        const stampX = x + i + (Math.random() - 0.5) * 2;
-        const stampY = y + j + (Math.random() - 0.5) * 2;
-
-        if (Math.random() < density) {
-          this.sprayPaint.stamp(stampX, stampY);
-        }
+  // Horizontal sweeps across a polygon, alternating direction; concave
+  // shapes get one sweep per span inside them
+  static hatch(points, spacing) {
+    let minY = Infinity,
+      maxY = -Infinity;
+    for (const [, py] of points) {
+      minY = Math.min(minY, py);
+      maxY = Math.max(maxY, py);
+    }
+    const rows = Math.max(1, Math.round((maxY - minY) / spacing));
+    const step = (maxY - minY) / rows;
+    const paths = [];
+    for (let row = 0; row < rows; row++) {
+      const y = minY + (row + 0.5) * step;
+      const xs = [];
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if (yi > y !== yj > y) xs.push(xi + ((y - yi) * (xj - xi)) / (yj - yi));
+      }
+      xs.sort((a, b) => a - b);
+      const spans = [];
+      for (let k = 0; k + 1 < xs.length; k += 2) {
+        const from = [xs[k], y],
+          to = [xs[k + 1], y];
+        spans.push(row % 2 ? [to, from] : [from, to]);
       }
+      if (row % 2) spans.reverse();
+      paths.push(...spans);
     }
+    return paths;
   }
+}
 
-  // Draw text using spray paint
-  drawText(text, x, y, fontSize = 24, fontFamily = "Arial") {
-    // Create a temporary canvas to measure text
-    const tempCanvas = document.createElement("canvas");
-    const tempCtx = tempCanvas.getContext("2d");
-    tempCtx.font = `${fontSize}px ${fontFamily}`;
-
-    const metrics = tempCtx.measureText(text);
-    const textWidth = metrics.width;
-    const textHeight = fontSize;
-
-    // Create text outline using spray paint
-    const stepSize = Math.max(1, Math.floor(fontSize / 20));
-
-    for (let i = 0; i < textWidth; i += stepSize) {
-      for (let j = 0; j < textHeight; j += stepSize) {
-        const testX = x + i;
-        const testY = y + j;
-
-        // Simple text rendering - in a real implementation,
-        // you'd use more sophisticated text rendering
-        if (this.isPointInText(testX, testY, text, x, y, fontSize)) {
-          this.sprayPaint.stamp(testX, testY);
+ShapeDrawer.GRID_SIZE = 40; // px between grid lines
+ShapeDrawer.SPIRAL_TURNS = 3;
+ShapeDrawer.MANDALA_RAYS = 12;
+ShapeDrawer.FILLABLE = ["circle", "rectangle", "star", "heart"];
+
+// A hand spraying paths: each path is one stroke (startDrawing, draw,
+// stopDrawing) swept at `speed` document px/s, with the pace over each
+// path shaped by `easing` (see ShapeStroke.EASINGS) and a short move
+// between paths. play() animates it in real time against the engine's
+// clock, so the speed EMA, line dynamics, dwell, overspray pacing and drip
+// arming all see a real sweep, and a recording captures it like pointer
+// input.
+class ShapeStroke {
+  constructor(sprayPaint, paths, { speed = 600, easing = "easeInOut" } = {}) {
+    this.sprayPaint = sprayPaint;
+    this.easing = ShapeStroke.EASINGS[easing] || ShapeStroke.EASINGS.linear;
+    this.running = false;
+    this._raf = 0;
+    this._resolve = null;
+
+    // timeline: each path's start (ms from the first) and duration
+    let t = 0;
+    this.segments = paths
+      .filter((points) => points.length)
+      .map((points) => {
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+          const [x0, y0] = points[i - 1];
+          const [x1, y1] = points[i];
+          lengths.push(lengths[i - 1] + Math.hypot(x1 - x0, y1 - y0));
         }
-      }
-    }
+        const length = lengths[lengths.length - 1];
+        const duration = Math.max(
+          ShapeStroke.MIN_DURATION,
+          (length / Math.max(1, speed)) * 1000
+        );
+        const segment = { points, lengths, length, start: t, duration };
+        t += duration + ShapeStroke.MOVE_TIME;
+        return segment;
+      });
+    this.duration = Math.max(0, t - ShapeStroke.MOVE_TIME);
   }
 
-  // Simple text point-in-shape test (simplified)
-  isPointInText(x, y, text, startX, startY, fontSize) {
-    // This is a simplified implementation
-    // In a real app, you'd use proper text rendering
-    const charWidth = fontSize * 0.6;
-    const charIndex = Math.floor((x - startX) / charWidth);
-
-    if (charIndex >= 0 && charIndex < text.length) {
-      const char = text[charIndex];
-      const charX = startX + charIndex * charWidth;
-      const charY = startY;
-
-      // Simple character shape detection
-      return this.isPointInCharacter(x - charX, y - charY, char, fontSize);
-    }
-
-    return false;
+  // The hand for a shape tool spec (see ShapeDrawer.box): fills are
+  // swept HATCH_SPACING nozzle widths apart, closer at higher density
+  static forShape(sprayPaint, spec, options) {
+    const spacing = ShapeStroke.fillSpacing(sprayPaint, spec.density);
+    const paths = ShapeDrawer.strokePaths(spec, spacing);
+    return new ShapeStroke(sprayPaint, paths, options);
   }
 
-  // Simple character shape detection (simplified)
-  isPointInCharacter(relX, relY, char, fontSize) {
-    const normalizedX = relX / fontSize;
-    const normalizedY = relY / fontSize;
+  // The hand for spray text (see SprayText.layout), with `style` { fill,
+  // outline, density }
+  static forText(sprayPaint, layout, style, options) {
+    const spacing = ShapeStroke.fillSpacing(sprayPaint, style.density);
+    const paths = SprayText.strokePaths(layout, { ...style, spacing });
+    return new ShapeStroke(sprayPaint, paths, options);
+  }
 
-    // Very simplified character shapes
-    switch (char.toLowerCase()) {
-      case "a":
-        return (
-          normalizedY > 0.2 &&
-          normalizedY < 0.8 &&
-          normalizedX > 0.1 &&
-          normalizedX < 0.9 &&
-          !(
-            normalizedY > 0.4 &&
-            normalizedY < 0.6 &&
-            normalizedX > 0.3 &&
-            normalizedX < 0.7
-          )
-        );
-      case "b":
-        return (
-          normalizedX > 0.1 &&
-          normalizedX < 0.9 &&
-          normalizedY > 0.1 &&
-          normalizedY < 0.9
-        );
-      case "c":
-        return (
-          normalizedX > 0.2 &&
-          normalizedX < 0.8 &&
-          normalizedY > 0.2 &&
-          normalizedY < 0.8 &&
-          !(
-            normalizedX > 0.4 &&
-            normalizedX < 0.8 &&
-            normalizedY > 0.3 &&
-            normalizedY < 0.7
-          )
-        );
-      default:
-        // Default rectangular shape
-        return (
-          normalizedX > 0.1 &&
-          normalizedX < 0.9 &&
-          normalizedY > 0.1 &&
-          normalizedY < 0.9
-        );
-    }
+  static fillSpacing(sprayPaint, density = 1) {
+    return (sprayPaint.nozzleSize * ShapeStroke.HATCH_SPACING) / (density || 1);
   }
 
-  // Draw a star using spray paint
-  drawStar(centerX, centerY, outerRadius, innerRadius, numPoints = 5) {
-    const angleStep = (Math.PI * 2) / (numPoints * 2);
+  // Point `progress` (0–1) of the way along a segment
+  static pointAt(segment, progress) {
+    const { points, lengths } = segment;
+    if (points.length < 2) return { x: points[0][0], y: points[0][1] };
+    const target = progress * segment.length;
+    let i = 1;
+    while (i < points.length - 1 && lengths[i] < target) i++;
+    const span = lengths[i] - lengths[i - 1];
+    const t = span > 0 ? (target - lengths[i - 1]) / span : 1;
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    return { x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t };
+  }
 
-    for (let i = 0; i < numPoints * 2; i++) {
-      const angle = i * angleStep;
-      const radius = i % 2 === 0 ? outerRadius : innerRadius;
-      const x = centerX + Math.cos(angle) * radius;
-      const y = centerY + Math.sin(angle) * radius;
+  // Animate; resolves when the last path is sprayed or stop() is called
+  play() {
+    this.stop();
+    this.running = true;
+    const sp = this.sprayPaint;
+    let last = sp.now();
+    let elapsed = 0; // hand time: a late frame moves it MAX_FRAME_STEP at most
+    let index = 0; // segment in hand or next up
+    let down = false;
+
+    return new Promise((resolve) => {
+      this._resolve = resolve;
+      const frame = () => {
+        if (!this.running) return;
+        const now = sp.now();
+        elapsed += Math.min(now - last, ShapeStroke.MAX_FRAME_STEP);
+        last = now;
+        while (index < this.segments.length) {
+          const segment = this.segments[index];
+          if (elapsed < segment.start) break;
+          const progress = Math.min(
+            1,
+            (elapsed - segment.start) / segment.duration
+          );
+          // a path starts at its start, however far the hand got since
+          if (!down) {
+            const from = ShapeStroke.pointAt(segment, 0);
+            sp.startDrawing(from.x, from.y, 1);
+            down = true;
+          }
+          if (progress > 0) {
+            const { x, y } = ShapeStroke.pointAt(
+              segment,
+              this.easing(progress)
+            );
+            sp.draw(x, y, 1);
+          }
+          if (progress < 1) break;
+          sp.stopDrawing();
+          down = false;
+          index++;
+        }
+        if (index >= this.segments.length) {
+          this._finish();
+          return;
+        }
+        this._raf = requestAnimationFrame(frame);
+      };
+      this._raf = requestAnimationFrame(frame);
+    });
+  }
 
-      this.sprayPaint.stamp(x, y);
-    }
+  stop() {
+    if (!this.running) return;
+    cancelAnimationFrame(this._raf);
+    this._finish();
   }
 
-  // Draw a heart shape using spray paint
-  drawHeart(centerX, centerY, size) {
-    const numPoints = 50;
+  _finish() {
+    this.sprayPaint.stopDrawing();
+    this.running = false;
+    const resolve = this._resolve;
+    this._resolve = null;
+    if (resolve) resolve();
+  }
+}
 
-    for (let i = 0; i < numPoints; i++) {
-      const t = (i / numPoints) * Math.PI * 2;
-      const x = centerX + 16 * Math.pow(Math.sin(t), 3) * size;
-      const y =
-        centerY -
-        (13 * Math.cos(t) -
-          5 * Math.cos(2 * t) -
-          2 * Math.cos(3 * t) -
-          Math.cos(4 * t)) *
-          size;
+ShapeStroke.MIN_DURATION = 60; // ms per path
+ShapeStroke.MOVE_TIME = 120; // ms to move the can to the next path
+ShapeStroke.MAX_FRAME_STEP = 50; // ms the hand moves in one frame at most
+ShapeStroke.HATCH_SPACING = 0.6; // fill sweeps apart, × nozzle size
+
+// progress over time along each path, t and result in 0–1
+ShapeStroke.EASINGS = {
+  linear: (t) => t,
+  easeInOut: (t) => 0.5 - 0.5 * Math.cos(Math.PI * t),
+  easeIn: (t) => t * t,
+  easeOut: (t) => 1 - (1 - t) * (1 - t),
+};
+
+// Several synthetic hands in a row, each pass { paths, color, nozzle,
+// name } in its own color and nozzle (the can's own when not given) and,
+// when named, in a recorded stroke group (SprayPaint.beginGroup). The can
+// sprays paint throughout; its tool, color and nozzle are put back after.
+class PassStroke {
+  constructor(sprayPaint, passes, options = {}) {
+    this.sprayPaint = sprayPaint;
+    this.passes = passes.filter((pass) => pass.paths.length);
+    this.options = options;
+    this.running = false;
+    this._stroke = null;
+  }
 
-      this.sprayPaint.stamp(x, y);
+  // Resolves when the last pass is sprayed or stop() is called
+  async play() {
+    const sp = this.sprayPaint;
+    const saved = { tool: sp.tool, color: sp.color, nozzle: sp.nozzleSize };
+    this.running = true;
+    sp.setTool("spray");
+    try {
+      for (const pass of this.passes) {
+        if (!this.running) break;
+        if (pass.name) sp.beginGroup(pass.name);
+        sp.setColor(pass.color || saved.color);
+        sp.setNozzleSize(pass.nozzle ? Math.round(pass.nozzle) : saved.nozzle);
+        this._stroke = new ShapeStroke(sp, pass.paths, this.options);
+        await this._stroke.play();
+        if (pass.name) sp.endGroup();
+      }
+    } finally {
+      this._stroke = null;
+      this.running = false;
+      sp.setColor(saved.color);
+      sp.setNozzleSize(saved.nozzle);
+      sp.setTool(saved.tool);
     }
   }
 
-  // Draw a spiral using spray paint
-  drawSpiral(centerX, centerY, maxRadius, turns = 3, density = 1.0) {
-    const numPoints = Math.max(50, Math.floor(maxRadius * turns * density));
-
-    for (let i = 0; i < numPoints; i++) {
-      const t = (i / numPoints) * turns * Math.PI * 2;
-      const radius = (i / numPoints) * maxRadius;
-      const x = centerX + Math.cos(t) * radius;
-      const y = centerY + Math.sin(t) * radius;
+  stop() {
+    this.running = false;
+    if (this._stroke) this._stroke.stop();
+  }
+}
 
-      this.sprayPaint.stamp(x, y);
-    }
+// Pointer tool for the shape palette: drag a box (a line's ends) with a
+// rubber-band preview; Shift keeps it square. Finished specs (see
+// ShapeDrawer.box) go to onPlace.
+class ShapeTool {
+  constructor(onPlace) {
+    this.onPlace = onPlace;
+    this.shape = "circle";
+    this.fill = false;
+    this.density = 1.0;
+    this._drag = null;
   }
 
-  // Draw a grid pattern using spray paint
-  drawGrid(startX, startY, width, height, gridSize, density = 1.0) {
-    const numCols = Math.floor(width / gridSize);
-    const numRows = Math.floor(height / gridSize);
+  pointerDown(pos) {
+    this._drag = { x0: pos.x, y0: pos.y, x1: pos.x, y1: pos.y };
+  }
 
-    // Draw vertical lines
-    for (let col = 0; col <= numCols; col++) {
-      const x = startX + col * gridSize;
-      this.drawLine(x, startY, x, startY + height, density);
+  pointerMove(pos, e, down) {
+    if (!down || !this._drag) return;
+    const d = this._drag;
+    d.x1 = pos.x;
+    d.y1 = pos.y;
+    if (e && e.shiftKey && this.shape !== "line") {
+      const side = Math.max(Math.abs(pos.x - d.x0), Math.abs(pos.y - d.y0));
+      d.x1 = d.x0 + Math.sign(pos.x - d.x0 || 1) * side;
+      d.y1 = d.y0 + Math.sign(pos.y - d.y0 || 1) * side;
     }
+  }
 
-    // Draw horizontal lines
-    for (let row = 0; row <= numRows; row++) {
-      const y = startY + row * gridSize;
-      this.drawLine(startX, y, startX + width, y, density);
-    }
+  pointerUp(pos, e) {
+    if (!this._drag) return;
+    this.pointerMove(pos, e, true);
+    const spec = this._spec();
+    this._drag = null;
+    const { w, h } = ShapeDrawer.box(spec);
+    if (Math.hypot(w, h) >= ShapeTool.MIN_SIZE) this.onPlace(spec);
   }
 
-  // Draw a mandala pattern using spray paint
-  drawMandala(centerX, centerY, radius, numRays = 12, density = 1.0) {
-    const angleStep = (Math.PI * 2) / numRays;
+  cancel() {
+    this._drag = null;
+  }
 
-    for (let ray = 0; ray < numRays; ray++) {
-      const angle = ray * angleStep;
-      const endX = centerX + Math.cos(angle) * radius;
-      const endY = centerY + Math.sin(angle) * radius;
+  get busy() {
+    return !!this._drag;
+  }
 
-      this.drawLine(centerX, centerY, endX, endY, density);
-    }
+  _spec() {
+    const d = this._drag;
+    return {
+      shape: this.shape,
+      x0: d.x0,
+      y0: d.y0,
+      x1: d.x1,
+      y1: d.y1,
+      fill: this.fill,
+      density: this.density,
+    };
+  }
 
-    // Draw concentric circles
-    const numCircles = Math.floor(radius / 20);
-    for (let i = 1; i <= numCircles; i++) {
-      const circleRadius = (i / numCircles) * radius;
-      this.drawCircle(centerX, centerY, circleRadius, density);
+  // The shape being dragged, in document units
+  drawPreview(ctx, zoom = 1) {
+    if (!this._drag) return;
+    const spec = this._spec();
+    ctx.save();
+    ctx.strokeStyle = ShapeTool.PREVIEW_COLOR;
+    ctx.fillStyle = ShapeTool.PREVIEW_COLOR;
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    for (const { points, closed } of ShapeDrawer.guides(spec)) {
+      ctx.beginPath();
+      points.forEach(([x, y], i) =>
+        i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)
+      );
+      if (closed) ctx.closePath();
+      if (closed && spec.fill) {
+        ctx.globalAlpha = 0.2;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+      }
+      ctx.stroke();
     }
+    ctx.restore();
   }
 }
+
+ShapeTool.MIN_SIZE = 4; // px of drag before a shape is sprayed
+ShapeTool.PREVIEW_COLOR = "#1e88e5";
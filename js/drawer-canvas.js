@@ -3,6 +3,40 @@ class CanvasDrawer {
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext("2d");
     this.sprayPaint = null;
+    this.layers = null;
+
+    // View transform: screen = pan + rotate(rotation) · zoom · document.
+    // Input is mapped back to document px, so spray physics never see it.
+    this.zoom = 1;
+    this.rotation = 0; // radians
+    this.panX = 0;
+    this.panY = 0;
+    this.onViewChange = null;
+
+    // view navigation state
+    this.spaceHeld = false;
+    this._spacePanned = false;
+    this._panFrom = null; // last screen pos of a mouse pan
+    this._panPointerId = null;
+    this._gesture = null; // two-finger pinch / pan / rotate
+
+    // active pointers: touches by id (gestures) and the painting pointer
+    this._touches = new Map();
+    this._drawPointerId = null;
+
+    // Optional input tool (masking, ...) that takes pointer input instead
+    // of the spray: pointerDown(pos, e, zoom), pointerMove(pos, e, down),
+    // pointerUp(pos, e), cancel() and drawPreview(ctx, zoom), all in
+    // document px
+    this.tool = null;
+    this._toolPointerId = null;
+
+    // masks on the wall, drawn over the layers (see MaskStack)
+    this.masks = null;
+
+    // artwork projected on the wall to trace, drawTo(ctx, zoom) in
+    // document px (see SvgArtwork); not part of the document
+    this.guide = null;
 
     // Canvas setup
     this.setupCanvas();
@@ -18,143 +52,423 @@ class CanvasDrawer {
     // Set canvas to full screen with device pixel ratio
     this.resizeCanvas();
 
-    // Set initial canvas properties
-    this.ctx.lineCap = "round";
-    this.ctx.lineJoin = "round";
-    this.ctx.imageSmoothingEnabled = true;
-    this.ctx.imageSmoothingQuality = "high";
-
-    // Listen for window resize
+    // Listen for window resize and pixel ratio changes
     window.addEventListener("resize", () => this.resizeCanvas());
+    this.watchPixelRatio();
   }
 
+  // Size the display canvas to the viewport at device resolution. This only
+  // resizes the view: the artwork lives in the layer stack at document size.
   resizeCanvas() {
     const dpr = window.devicePixelRatio || 1;
-    const rect = this.canvas.getBoundingClientRect();
+    const dprChanged = dpr !== this.dpr;
+    this.dpr = dpr;
+    this.viewWidth = window.innerWidth;
+    this.viewHeight = window.innerHeight;
 
     // Set display size
-    this.canvas.style.width = window.innerWidth + "px";
-    this.canvas.style.height = window.innerHeight + "px";
+    this.canvas.style.width = this.viewWidth + "px";
+    this.canvas.style.height = this.viewHeight + "px";
+
+    // Backing store at device pixels; assigning it resets the context, so
+    // the transform is set (not accumulated) afterwards
+    this.canvas.width = Math.round(this.viewWidth * dpr);
+    this.canvas.height = Math.round(this.viewHeight * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.ctx.lineCap = "round";
+    this.ctx.lineJoin = "round";
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.imageSmoothingQuality = "high";
 
-    // Set actual canvas size with device pixel ratio
-    this.canvas.width = window.innerWidth * dpr;
-    this.canvas.height = window.innerHeight * dpr;
+    if (dprChanged && this.sprayPaint) this.sprayPaint.setPixelRatio(dpr);
 
-    // Scale context to match device pixel ratio
-    this.ctx.scale(dpr, dpr);
+    // resizing wipes the display canvas; recomposite the layers
+    if (this.layers) this.layers.invalidate();
+  }
 
-    // Update canvas size for drawing operations
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+  // Moving the window to another screen or zooming the page changes
+  // devicePixelRatio without always firing "resize"
+  watchPixelRatio() {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(`(resolution: ${this.dpr}dppx)`);
+    query.addEventListener(
+      "change",
+      () => {
+        this.resizeCanvas();
+        this.watchPixelRatio();
+      },
+      { once: true }
+    );
   }
 
   setupEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener("mousedown", (e) => this.handleStart(e));
-    this.canvas.addEventListener("mousemove", (e) => this.handleMove(e));
-    this.canvas.addEventListener("mouseup", (e) => this.handleEnd(e));
-    this.canvas.addEventListener("mouseleave", (e) => this.handleEnd(e));
-
-    // Touch events
-    this.canvas.addEventListener("touchstart", (e) => this.handleTouchStart(e));
-    this.canvas.addEventListener("touchmove", (e) => this.handleTouchMove(e));
-    this.canvas.addEventListener("touchend", (e) => this.handleTouchEnd(e));
-    this.canvas.addEventListener("touchcancel", (e) => this.handleTouchEnd(e));
+    // Pointer events cover mouse, pen and touch; capture keeps a stroke
+    // alive when it leaves the canvas
+    this.canvas.addEventListener("pointerdown", (e) =>
+      this.handlePointerDown(e)
+    );
+    this.canvas.addEventListener("pointermove", (e) =>
+      this.handlePointerMove(e)
+    );
+    this.canvas.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener("pointercancel", (e) =>
+      this.handlePointerUp(e)
+    );
+
+    // Wheel / trackpad pinch zoom
+    this.canvas.addEventListener("wheel", (e) => this.handleWheel(e), {
+      passive: false,
+    });
 
     // Prevent context menu
     this.canvas.addEventListener("contextmenu", (e) => e.preventDefault());
 
-    // Prevent scrolling on touch devices
+    // Prevent scrolling on touch devices (touch-action: none covers the rest)
     this.canvas.addEventListener("touchmove", (e) => e.preventDefault(), {
       passive: false,
     });
   }
 
-  getMousePos(e) {
+  // Client coordinates → CSS px on the canvas
+  getScreenPos(clientX, clientY) {
     const rect = this.canvas.getBoundingClientRect();
     return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top,
+      x: clientX - rect.left,
+      y: clientY - rect.top,
     };
   }
 
-  getTouchPos(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const touch = e.touches[0];
+  // Pointer position in document px
+  getPointerPos(e) {
+    const pos = this.getScreenPos(e.clientX, e.clientY);
+    return this.screenToDoc(pos.x, pos.y);
+  }
+
+  // --- view transform ---
+  getViewTransform() {
+    const cos = Math.cos(this.rotation) * this.zoom;
+    const sin = Math.sin(this.rotation) * this.zoom;
+    return { a: cos, b: sin, c: -sin, d: cos, e: this.panX, f: this.panY };
+  }
+
+  docToScreen(x, y) {
+    const m = this.getViewTransform();
+    return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+  }
+
+  screenToDoc(x, y) {
+    const dx = x - this.panX,
+      dy = y - this.panY;
+    const cos = Math.cos(this.rotation) / this.zoom;
+    const sin = Math.sin(this.rotation) / this.zoom;
+    return { x: dx * cos + dy * sin, y: dy * cos - dx * sin };
+  }
+
+  // Zoom by factor, keeping the document point under (sx, sy) in place
+  zoomAt(sx, sy, factor) {
+    const zoom = Math.max(
+      CanvasDrawer.MIN_ZOOM,
+      Math.min(CanvasDrawer.MAX_ZOOM, this.zoom * factor)
+    );
+    if (zoom === this.zoom) return;
+    const anchor = this.screenToDoc(sx, sy);
+    this.zoom = zoom;
+    this._pinAnchor(anchor, sx, sy);
+  }
+
+  // Rotate the view by angle (radians) around the screen point (sx, sy)
+  rotateAt(sx, sy, angle) {
+    if (!angle) return;
+    const anchor = this.screenToDoc(sx, sy);
+    const turn = Math.PI * 2;
+    this.rotation = (((this.rotation + angle) % turn) + turn) % turn;
+    this._pinAnchor(anchor, sx, sy);
+  }
+
+  panBy(dx, dy) {
+    if (!dx && !dy) return;
+    this.panX += dx;
+    this.panY += dy;
+    this._viewChanged();
+  }
+
+  // Centre the whole document, unrotated, at most 1:1
+  fitView() {
+    const w = this.layers ? this.layers.width : this.viewWidth;
+    const h = this.layers ? this.layers.height : this.viewHeight;
+    const margin = CanvasDrawer.FIT_MARGIN;
+    this.zoom = Math.min(
+      1,
+      (this.viewWidth - margin * 2) / w,
+      (this.viewHeight - margin * 2) / h
+    );
+    this.zoom = Math.max(CanvasDrawer.MIN_ZOOM, this.zoom);
+    this.rotation = 0;
+    this.panX = (this.viewWidth - w * this.zoom) / 2;
+    this.panY = (this.viewHeight - h * this.zoom) / 2;
+    this._viewChanged();
+  }
+
+  // shift the pan so a document point lands on a screen point
+  _pinAnchor(anchor, sx, sy) {
+    const p = this.docToScreen(anchor.x, anchor.y);
+    this.panX += sx - p.x;
+    this.panY += sy - p.y;
+    this._viewChanged();
+  }
+
+  _viewChanged() {
+    // touch density compensation works in CSS px per document px
+    if (this.sprayPaint) this.sprayPaint.viewScale = this.zoom;
+    if (this.layers) this.layers.invalidate();
+    if (typeof this.onViewChange === "function") this.onViewChange(this);
+  }
+
+  // Space held: mouse drags pan the view. Returns true on release if the
+  // view was panned, so a plain tap can keep its old meaning.
+  setSpaceHeld(held) {
+    const panned = this._spacePanned;
+    this.spaceHeld = held;
+    this._spacePanned = false;
+    if (!held) this._panFrom = null;
+    this._updateCursor();
+    return panned;
+  }
+
+  _updateCursor() {
+    if (this._panFrom) this.canvas.style.cursor = "grabbing";
+    else if (this.spaceHeld) this.canvas.style.cursor = "grab";
+    else if (this.tool) this.canvas.style.cursor = "crosshair";
+    else this.canvas.style.cursor = "";
+  }
+
+  setTool(tool) {
+    if (this.tool && this.tool !== tool) this.tool.cancel();
+    this.tool = tool;
+    this._toolPointerId = null;
+    this._updateCursor();
+    if (this.layers) this.layers.invalidate();
+  }
+
+  setMaskStack(masks) {
+    this.masks = masks;
+    if (this.layers) this.layers.invalidate();
+  }
+
+  setGuide(guide) {
+    this.guide = guide;
+    if (this.layers) this.layers.invalidate();
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    const pos = this.getScreenPos(e.clientX, e.clientY);
+    const unit =
+      e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.viewHeight : 1;
+    // trackpad pinch arrives as ctrl+wheel with small deltas
+    const speed = e.ctrlKey ? 0.01 : 0.0015;
+    this.zoomAt(pos.x, pos.y, Math.exp(-e.deltaY * unit * speed));
+  }
+
+  // midpoint, spread and angle of the first two touches (screen px)
+  _readGesture(touches) {
+    const a = this.getScreenPos(touches[0].clientX, touches[0].clientY);
+    const b = this.getScreenPos(touches[1].clientX, touches[1].clientY);
     return {
-      x: touch.clientX - rect.left,
-      y: touch.clientY - rect.top,
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      dist: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
     };
   }
 
+  _updateGesture(touches) {
+    const prev = this._gesture;
+    const next = this._readGesture(touches);
+    this.panBy(next.x - prev.x, next.y - prev.y);
+    this.zoomAt(next.x, next.y, next.dist / prev.dist);
+    this.rotateAt(next.x, next.y, next.angle - prev.angle);
+    this._gesture = next;
+  }
+
   getPressure(e) {
-    // Simulate pressure based on mouse button or touch force
-    if (e.pressure !== undefined) {
+    // Only pens report real pressure; mice report a fixed 0.5 while a
+    // button is down and most touch screens a constant as well
+    if (e.pointerType === "pen" && e.pressure > 0) {
       return Math.max(0.1, Math.min(1.0, e.pressure));
     }
 
-    // Default pressure for mouse
+    // Default pressure for mouse / touch
     return 1.0;
   }
 
-  handleStart(e) {
-    e.preventDefault();
-    const pos = this.getMousePos(e);
-    const pressure = this.getPressure(e);
-
-    if (this.sprayPaint) {
-      this.sprayPaint.startDrawing(pos.x, pos.y, pressure);
+  // Stylus orientation for the spray engine (degrees, see PointerEvent),
+  // turned from screen into document orientation when the view is rotated
+  getPen(e) {
+    let tiltX = e.tiltX || 0,
+      tiltY = e.tiltY || 0,
+      twist = e.twist || 0;
+    if (this.rotation && (tiltX || tiltY)) {
+      const deg = Math.PI / 180;
+      const tx = Math.tan(tiltX * deg),
+        ty = Math.tan(tiltY * deg);
+      const cos = Math.cos(this.rotation),
+        sin = Math.sin(this.rotation);
+      tiltX = Math.atan(tx * cos + ty * sin) / deg;
+      tiltY = Math.atan(ty * cos - tx * sin) / deg;
+      twist -= this.rotation / deg;
     }
+    return { pointerType: e.pointerType || "mouse", tiltX, tiltY, twist };
   }
 
-  handleMove(e) {
+  handlePointerDown(e) {
     e.preventDefault();
-    const pos = this.getMousePos(e);
-    const pressure = this.getPressure(e);
+    this.canvas.setPointerCapture(e.pointerId);
+
+    // a second finger turns the touch into a view gesture
+    if (e.pointerType === "touch") {
+      this._touches.set(e.pointerId, e);
+      if (this._touches.size >= 2) {
+        if (this._toolPointerId !== null) {
+          this._toolPointerId = null;
+          this.tool.cancel();
+        }
+        if (this._drawPointerId !== null) {
+          this._drawPointerId = null;
+          if (this.sprayPaint && !this.sprayPaint.replaying) {
+            this.sprayPaint.stopDrawing();
+          }
+        }
+        this._gesture = this._readGesture([...this._touches.values()]);
+        return;
+      }
+      if (this._gesture) return;
+    }
+
+    // middle button or Space + drag pans the view
+    if (e.button === 1 || this.spaceHeld) {
+      this._panFrom = this.getScreenPos(e.clientX, e.clientY);
+      this._panPointerId = e.pointerId;
+      this._spacePanned = this.spaceHeld;
+      this._updateCursor();
+      return;
+    }
 
-    if (this.sprayPaint && this.sprayPaint.isDrawing) {
-      this.sprayPaint.draw(pos.x, pos.y, pressure);
+    // one stroke at a time; live input is ignored while a recording replays
+    if (this._drawPointerId !== null || this._toolPointerId !== null) return;
+    if (!this.sprayPaint || this.sprayPaint.replaying) return;
+    // a shape is being sprayed by a synthetic hand
+    if (this.sprayPaint.isDrawing) return;
+
+    if (this.tool) {
+      this._toolPointerId = e.pointerId;
+      this.tool.pointerDown(this.getPointerPos(e), e, this.zoom);
+      if (this.layers) this.layers.invalidate();
+      return;
     }
+
+    this._drawPointerId = e.pointerId;
+    const pos = this.getPointerPos(e);
+    this.sprayPaint.startDrawing(
+      pos.x,
+      pos.y,
+      this.getPressure(e),
+      this.getPen(e)
+    );
   }
 
-  handleEnd(e) {
+  handlePointerMove(e) {
     e.preventDefault();
 
-    if (this.sprayPaint) {
-      this.sprayPaint.stopDrawing();
+    if (this._touches.has(e.pointerId)) {
+      this._touches.set(e.pointerId, e);
+      if (this._gesture) {
+        if (this._touches.size >= 2) {
+          this._updateGesture([...this._touches.values()]);
+        }
+        return;
+      }
     }
-  }
 
-  handleTouchStart(e) {
-    e.preventDefault();
-    const pos = this.getTouchPos(e);
-    const pressure = this.getPressure(e);
+    if (this._panFrom && e.pointerId === this._panPointerId) {
+      const pos = this.getScreenPos(e.clientX, e.clientY);
+      this.panBy(pos.x - this._panFrom.x, pos.y - this._panFrom.y);
+      this._panFrom = pos;
+      return;
+    }
 
-    if (this.sprayPaint) {
-      this.sprayPaint.startDrawing(pos.x, pos.y, pressure);
+    // tools also follow the hovering mouse / pen (rubber-band previews)
+    if (this.tool) {
+      const down = e.pointerId === this._toolPointerId;
+      if (down || e.pointerType !== "touch") {
+        this.tool.pointerMove(this.getPointerPos(e), e, down);
+        if (this.layers) this.layers.invalidate();
+      }
+      return;
+    }
+
+    if (e.pointerId !== this._drawPointerId) return;
+    if (!this.sprayPaint || !this.sprayPaint.isDrawing) return;
+
+    // pens and touch screens sample faster than events are dispatched;
+    // coalesced events carry every sample since the last one
+    const samples =
+      typeof e.getCoalescedEvents === "function" ? e.getCoalescedEvents() : [];
+    if (!samples.length) samples.push(e);
+
+    for (const sample of samples) {
+      const pos = this.getPointerPos(sample);
+      this.sprayPaint.draw(
+        pos.x,
+        pos.y,
+        this.getPressure(sample),
+        this.getPen(sample)
+      );
     }
   }
 
-  handleTouchMove(e) {
+  handlePointerUp(e) {
     e.preventDefault();
-    const pos = this.getTouchPos(e);
-    const pressure = this.getPressure(e);
 
-    if (this.sprayPaint && this.sprayPaint.isDrawing) {
-      this.sprayPaint.draw(pos.x, pos.y, pressure);
+    // no painting until every finger of a gesture is lifted
+    if (this._touches.delete(e.pointerId) && this._gesture) {
+      if (this._touches.size >= 2) {
+        this._gesture = this._readGesture([...this._touches.values()]);
+      } else if (this._touches.size === 0) {
+        this._gesture = null;
+      }
+      return;
     }
-  }
 
-  handleTouchEnd(e) {
-    e.preventDefault();
+    if (this._panFrom && e.pointerId === this._panPointerId) {
+      this._panFrom = null;
+      this._panPointerId = null;
+      this._updateCursor();
+      return;
+    }
 
-    if (this.sprayPaint) {
+    if (this.tool && e.pointerId === this._toolPointerId) {
+      this._toolPointerId = null;
+      this.tool.pointerUp(this.getPointerPos(e), e);
+      if (this.layers) this.layers.invalidate();
+      return;
+    }
+
+    if (e.pointerId !== this._drawPointerId) return;
+    this._drawPointerId = null;
+    if (this.sprayPaint && !this.sprayPaint.replaying) {
       this.sprayPaint.stopDrawing();
     }
   }
 
   setSprayPaint(sprayPaint) {
     this.sprayPaint = sprayPaint;
+    this.sprayPaint.viewScale = this.zoom;
+  }
+
+  setLayerStack(layers) {
+    this.layers = layers;
+    this.layers.invalidate();
   }
 
   clear() {
@@ -164,19 +478,71 @@ class CanvasDrawer {
     }
   }
 
-  exportPNG() {
-    // Create a temporary canvas for export
+  // Flatten the layer stack onto the visible canvas when it changed
+  composite() {
+    if (!this.layers) return;
+    const background = this.getBackground();
+    if (!this.layers.dirty && background === this._shownBackground) return;
+    this.layers.dirty = false;
+    this._shownBackground = background;
+
+    // area outside the document
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = CanvasDrawer.PASTEBOARD_COLOR;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.restore();
+
+    // document through the view transform (CSS px → device px)
+    const m = this.getViewTransform();
+    const dpr = this.dpr;
+    ctx.save();
+    ctx.setTransform(
+      m.a * dpr,
+      m.b * dpr,
+      m.c * dpr,
+      m.d * dpr,
+      m.e * dpr,
+      m.f * dpr
+    );
+    // show crisp pixels when zoomed in on detail
+    ctx.imageSmoothingEnabled = this.zoom < CanvasDrawer.PIXELATED_ZOOM;
+    this.layers.compositeTo(ctx, background, true);
+    if (this.masks) this.masks.drawTo(ctx);
+    if (this.guide) this.guide.drawTo(ctx, this.zoom);
+    if (this.tool) this.tool.drawPreview(ctx, this.zoom);
+    ctx.restore();
+  }
+
+  // What the paint sits on: the substrate's albedo, or white
+  getBackground() {
+    const surface = this.sprayPaint ? this.sprayPaint.getSurface() : null;
+    return (surface && surface.albedo) || "#ffffff";
+  }
+
+  // Flatten the artwork onto its substrate in a new canvas (export /
+  // thumbnails)
+  flatten() {
     const exportCanvas = document.createElement("canvas");
-    exportCanvas.width = this.canvas.width;
-    exportCanvas.height = this.canvas.height;
+    exportCanvas.width = this.layers ? this.layers.width : this.canvas.width;
+    exportCanvas.height = this.layers ? this.layers.height : this.canvas.height;
     const exportCtx = exportCanvas.getContext("2d");
 
-    // Fill with white background
-    exportCtx.fillStyle = "#ffffff";
-    exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+    // Flatten the layers over the substrate (or the spray canvas content
+    // over white)
+    if (this.layers) {
+      this.layers.compositeTo(exportCtx, this.getBackground());
+    } else {
+      exportCtx.fillStyle = "#ffffff";
+      exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+      exportCtx.drawImage(this.canvas, 0, 0);
+    }
+    return exportCanvas;
+  }
 
-    // Draw the spray canvas content
-    exportCtx.drawImage(this.canvas, 0, 0);
+  exportPNG() {
+    const exportCanvas = this.flatten();
 
     // Convert to PNG and download
     const dataURL = exportCanvas.toDataURL("image/png");
@@ -186,6 +552,19 @@ class CanvasDrawer {
     link.click();
   }
 
+  // Small flattened JPEG preview for the gallery / autosave slot
+  createThumbnail(maxSize = 160) {
+    const flat = this.flatten();
+    const scale = Math.min(1, maxSize / Math.max(flat.width, flat.height, 1));
+    const thumb = document.createElement("canvas");
+    thumb.width = Math.max(1, Math.round(flat.width * scale));
+    thumb.height = Math.max(1, Math.round(flat.height * scale));
+    const thumbCtx = thumb.getContext("2d");
+    thumbCtx.imageSmoothingQuality = "high";
+    thumbCtx.drawImage(flat, 0, 0, thumb.width, thumb.height);
+    return thumb.toDataURL("image/jpeg", 0.8);
+  }
+
   // Performance monitoring
   updateFPS() {
     this.frameCount++;
@@ -203,12 +582,19 @@ class CanvasDrawer {
     }
   }
 
-  // Animation loop for drips and performance monitoring
+  // Animation loop for layer compositing and performance monitoring
   startAnimationLoop() {
     const animate = () => {
+      this.composite();
       this.updateFPS();
       requestAnimationFrame(animate);
     };
     animate();
   }
 }
+
+CanvasDrawer.PASTEBOARD_COLOR = "#3a3a3a";
+CanvasDrawer.MIN_ZOOM = 0.05;
+CanvasDrawer.MAX_ZOOM = 32;
+CanvasDrawer.PIXELATED_ZOOM = 4; // nearest-neighbour display from here
+CanvasDrawer.FIT_MARGIN = 24; // px around the document in fitView
@@ -0,0 +1,88 @@
+// Painting conditions: temperature and humidity set how fast paint
+// evaporates, how thick it runs and how long it takes to dry; wind pushes
+// the overspray mist. Only the raw values are engine settings; the
+// factors below are derived from them.
+class Environment {
+  // Multipliers relative to the reference climate (20 °C, 50 % humidity):
+  // evap:      buffer / drip evaporation (doubles every +10 °C, stops in
+  //            saturated air); drying runs at this rate too
+  // viscosity: drip damping (cold paint thickens)
+  static factors(temperature, humidity) {
+    const heat = Math.pow(2, (temperature - 20) / 10);
+    const dryAir = Math.max(0, 1 - humidity / 100) / 0.5;
+    const evap = Math.max(Environment.MIN_EVAP, heat * dryAir);
+    return {
+      evap,
+      viscosity: Math.pow(2, (20 - temperature) / 15),
+    };
+  }
+
+  static getPreset(id) {
+    return Environment.PRESETS[id] || null;
+  }
+
+  static listPresets() {
+    return Object.values(Environment.PRESETS);
+  }
+
+  // Preset whose values match exactly, or null (custom conditions)
+  static matchPreset(temperature, humidity, windSpeed, windDirection) {
+    return (
+      Environment.listPresets().find(
+        (p) =>
+          p.temperature === temperature &&
+          p.humidity === humidity &&
+          p.windSpeed === windSpeed &&
+          p.windDirection === windDirection
+      ) || null
+    );
+  }
+}
+
+Environment.DEFAULT = "studio";
+Environment.MIN_EVAP = 0.05; // paint still dries slowly in saturated air
+
+// temperature °C, humidity %, wind speed m/s, wind direction degrees
+// (the way the wind blows; 0 = +x, 90 = +y)
+Environment.PRESETS = {
+  studio: {
+    id: "studio",
+    name: "Studio",
+    temperature: 20,
+    humidity: 50,
+    windSpeed: 0,
+    windDirection: 0,
+  },
+  hotDry: {
+    id: "hotDry",
+    name: "Hot dry afternoon",
+    temperature: 34,
+    humidity: 15,
+    windSpeed: 2,
+    windDirection: 0,
+  },
+  humid: {
+    id: "humid",
+    name: "Humid summer day",
+    temperature: 29,
+    humidity: 85,
+    windSpeed: 1,
+    windDirection: 180,
+  },
+  coldDamp: {
+    id: "coldDamp",
+    name: "Cold damp night",
+    temperature: 4,
+    humidity: 90,
+    windSpeed: 1,
+    windDirection: 90,
+  },
+  windy: {
+    id: "windy",
+    name: "Windy rooftop",
+    temperature: 14,
+    humidity: 45,
+    windSpeed: 8,
+    windDirection: 0,
+  },
+};
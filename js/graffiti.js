@@ -0,0 +1,353 @@
+// Graffiti pieces: a letter silhouette (spray text, or imported letter
+// paths) painted in passes, back to front: drop shadow, 3D extrusion
+// block, fill coat, fade, offset outline and shines. Each pass is a
+// synthetic hand in its own color and nozzle, wrapped in a recorded stroke
+// group (see PassStroke), so it replays, and undoes, on its own.
+class GraffitiPiece {
+  // style: { fill, fade, outline, outlineWidth, extrude, depth, angle (°,
+  // 0 = right, 90 = down), shine, shadow, shadowOffset, density }; a pass
+  // whose color is null is left out. options: hand speed and easing (see
+  // ShapeStroke).
+  constructor(sprayPaint, silhouette, style, options = {}) {
+    this.sprayPaint = sprayPaint;
+    this.style = { ...GraffitiPiece.DEFAULT_STYLE, ...style };
+    this.options = options;
+    this._hand = null; // PassStroke while playing
+
+    const s = this.style;
+    const margin =
+      s.outlineWidth + (s.extrude ? s.depth : 0) + s.shadowOffset + 4;
+    this.silhouette = GraffitiPiece.pad(silhouette, Math.ceil(margin));
+    this.passes = this._buildPasses();
+  }
+
+  static fromText(sprayPaint, layout, style, options) {
+    const raster = SprayText.rasterize(layout);
+    return raster && new GraffitiPiece(sprayPaint, raster, style, options);
+  }
+
+  // Closed letter outlines (point lists); holes by the even-odd rule
+  static fromPaths(sprayPaint, paths, style, options) {
+    const raster = GraffitiPiece.rasterizePaths(paths);
+    return raster && new GraffitiPiece(sprayPaint, raster, style, options);
+  }
+
+  // Coverage of closed point lists filled by `rule` ("evenodd" or
+  // "nonzero")
+  static rasterizePaths(paths, rule = "evenodd") {
+    let count = 0,
+      minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    // a loop, not Math.min(...): dense outlines outgrow the argument limit
+    for (const path of paths) {
+      for (const [px, py] of path) {
+        minX = Math.min(minX, px);
+        minY = Math.min(minY, py);
+        maxX = Math.max(maxX, px);
+        maxY = Math.max(maxY, py);
+        count++;
+      }
+    }
+    if (count < 3) return null;
+    const x = Math.floor(minX) - 2,
+      y = Math.floor(minY) - 2;
+    const box = {
+      x,
+      y,
+      width: Math.ceil(maxX) + 2 - x,
+      height: Math.ceil(maxY) + 2 - y,
+    };
+    return SprayText.bitmap(box, (ctx) => {
+      ctx.beginPath();
+      for (const path of paths) {
+        path.forEach(([px, py], i) =>
+          i ? ctx.lineTo(px, py) : ctx.moveTo(px, py)
+        );
+        ctx.closePath();
+      }
+      ctx.fillStyle = "#000";
+      ctx.fill(rule);
+    });
+  }
+
+  _buildPasses() {
+    const s = this.style;
+    const sp = this.sprayPaint;
+    const spacing = ShapeStroke.fillSpacing(sp, s.density);
+    const letters = this.silhouette;
+    const outlined = GraffitiPiece.dilate(letters, s.outlineWidth);
+    const angle = (s.angle * Math.PI) / 180;
+    const passes = [];
+    const add = (name, color, paths, nozzle = null) => {
+      if (color && paths.length) passes.push({ name, color, paths, nozzle });
+    };
+
+    let body = outlined;
+    if (s.extrude && s.depth > 0) {
+      const block = GraffitiPiece.extrude(outlined, s.depth, angle);
+      body = GraffitiPiece.union(outlined, block);
+      if (s.shadow) this._addShadow(add, body, angle, spacing);
+      const behind = GraffitiPiece.subtract(block, outlined);
+      add("extrusion", s.extrude, SprayText.fillPaths(behind, spacing));
+    } else if (s.shadow) {
+      this._addShadow(add, body, angle, spacing);
+    }
+
+    add("fill", s.fill, SprayText.fillPaths(letters, spacing));
+    if (s.fade) add("fade", s.fade, GraffitiPiece.fadePaths(letters, spacing));
+
+    // the line runs down the middle of the outline band, a little wider
+    // than it so it crisps the fill's edge
+    const middle = GraffitiPiece.dilate(letters, s.outlineWidth / 2);
+    const step = Math.max(1, Math.round(s.outlineWidth / 4));
+    add(
+      "outline",
+      s.outline,
+      SprayText.outlinePaths(middle, step),
+      s.outlineWidth * GraffitiPiece.OUTLINE_NOZZLE
+    );
+
+    if (s.shine) {
+      const size = Math.max(4, s.outlineWidth * GraffitiPiece.SHINE_NOZZLE);
+      add("shine", s.shine, this._shinePaths(letters, outlined), size);
+    }
+    return passes;
+  }
+
+  // Shadow: the whole piece, offset along the extrusion, where it shows
+  _addShadow(add, body, angle, spacing) {
+    const d = this.style.shadowOffset;
+    const dx = Math.round(Math.cos(angle) * d),
+      dy = Math.round(Math.sin(angle) * d);
+    const cast = GraffitiPiece.subtract(
+      GraffitiPiece.shift(body, dx, dy),
+      body
+    );
+    add("shadow", this.style.shadow, SprayText.fillPaths(cast, spacing));
+  }
+
+  // A "//" glint inside each letter's top-left corner and a four-point
+  // sparkle on the piece's top-right corner
+  _shinePaths(letters, outlined) {
+    const s = this.style;
+    const extent = GraffitiPiece.extent(letters);
+    if (!extent) return [];
+    const len = Math.max(6, (extent.bottom - extent.top) * 0.12);
+    const step = Math.max(1, Math.round(len / 8));
+    const paths = [];
+    for (const loop of SprayText.outlinePaths(letters, step)) {
+      let corner = loop[0];
+      for (const p of loop) {
+        if (p[0] + p[1] < corner[0] + corner[1]) corner = p;
+      }
+      const inset = Math.max(s.outlineWidth, len * 0.5);
+      const x = corner[0] + inset,
+        y = corner[1] + inset;
+      // counters (holes) and slivers too small for a glint are skipped
+      if (!GraffitiPiece.covers(letters, x + len * 0.6, y + len)) continue;
+      if (!GraffitiPiece.covers(letters, x, y)) continue;
+      paths.push([
+        [x, y + len],
+        [x + len * 0.6, y],
+      ]);
+      paths.push([
+        [x + len * 0.5, y + len * 0.7],
+        [x + len * 0.8, y + len * 0.2],
+      ]);
+    }
+
+    const box = GraffitiPiece.extent(outlined);
+    const cx = box.right,
+      cy = box.top;
+    paths.push([
+      [cx - len, cy],
+      [cx + len, cy],
+    ]);
+    paths.push([
+      [cx, cy - len],
+      [cx, cy + len],
+    ]);
+    return paths;
+  }
+
+  // Fade rows from the bottom up, further apart as they rise, so the
+  // second color thins out toward FADE_REACH of the letter height
+  static fadePaths(raster, spacing) {
+    const extent = GraffitiPiece.extent(raster);
+    if (!extent) return [];
+    const rows = raster.height;
+    const bottom = extent.bottom - raster.y;
+    const reach = (extent.bottom - extent.top) * GraffitiPiece.FADE_REACH;
+    const top = bottom - reach;
+    const paths = [];
+    let gap = Math.max(1, spacing);
+    let row = 0;
+    for (let py = bottom - gap / 2; py > top && py >= 0; py -= gap, row++) {
+      const backward = row % 2 === 1;
+      if (py < rows) paths.push(...SprayText.rowRuns(raster, py, backward));
+      gap *= GraffitiPiece.FADE_GROWTH;
+    }
+    return paths;
+  }
+
+  // --- bitmaps: { x, y, width, height, inside } in document space (see
+  // SprayText.rasterize); the set operations take same-sized bitmaps ---
+
+  static pad(raster, margin) {
+    const width = raster.width + margin * 2,
+      height = raster.height + margin * 2;
+    const inside = new Uint8Array(width * height);
+    for (let j = 0; j < raster.height; j++) {
+      const row = raster.inside.subarray(
+        j * raster.width,
+        (j + 1) * raster.width
+      );
+      inside.set(row, (j + margin) * width + margin);
+    }
+    const x = raster.x - margin,
+      y = raster.y - margin;
+    return { x, y, width, height, inside };
+  }
+
+  static _like(raster, inside) {
+    const { x, y, width, height } = raster;
+    return { x, y, width, height, inside };
+  }
+
+  // Grown by `radius` px (chamfer distance to the nearest solid pixel)
+  static dilate(raster, radius) {
+    if (radius <= 0) return raster;
+    const { width: w, height: h, inside } = raster;
+    const d = new Float32Array(w * h);
+    for (let i = 0; i < d.length; i++) d[i] = inside[i] ? 0 : Infinity;
+    const diag = Math.SQRT2;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        let v = d[i];
+        if (x > 0) v = Math.min(v, d[i - 1] + 1);
+        if (y > 0) {
+          v = Math.min(v, d[i - w] + 1);
+          if (x > 0) v = Math.min(v, d[i - w - 1] + diag);
+          if (x < w - 1) v = Math.min(v, d[i - w + 1] + diag);
+        }
+        d[i] = v;
+      }
+    }
+    for (let y = h - 1; y >= 0; y--) {
+      for (let x = w - 1; x >= 0; x--) {
+        const i = y * w + x;
+        let v = d[i];
+        if (x < w - 1) v = Math.min(v, d[i + 1] + 1);
+        if (y < h - 1) {
+          v = Math.min(v, d[i + w] + 1);
+          if (x < w - 1) v = Math.min(v, d[i + w + 1] + diag);
+          if (x > 0) v = Math.min(v, d[i + w - 1] + diag);
+        }
+        d[i] = v;
+      }
+    }
+    const grown = new Uint8Array(w * h);
+    for (let i = 0; i < d.length; i++) grown[i] = d[i] <= radius ? 1 : 0;
+    return GraffitiPiece._like(raster, grown);
+  }
+
+  static shift(raster, dx, dy) {
+    const { width: w, height: h, inside } = raster;
+    const moved = new Uint8Array(w * h);
+    for (let y = Math.max(0, dy); y < Math.min(h, h + dy); y++) {
+      for (let x = Math.max(0, dx); x < Math.min(w, w + dx); x++) {
+        moved[y * w + x] = inside[(y - dy) * w + (x - dx)];
+      }
+    }
+    return GraffitiPiece._like(raster, moved);
+  }
+
+  // Swept `depth` px along `angle` (radians), one px at a time
+  static extrude(raster, depth, angle) {
+    const swept = new Uint8Array(raster.inside);
+    for (let k = 1; k <= depth; k++) {
+      const dx = Math.round(Math.cos(angle) * k),
+        dy = Math.round(Math.sin(angle) * k);
+      const moved = GraffitiPiece.shift(raster, dx, dy).inside;
+      for (let i = 0; i < swept.length; i++) swept[i] |= moved[i];
+    }
+    return GraffitiPiece._like(raster, swept);
+  }
+
+  static union(a, b) {
+    const inside = a.inside.map((v, i) => v | b.inside[i]);
+    return GraffitiPiece._like(a, inside);
+  }
+
+  static subtract(a, b) {
+    const inside = a.inside.map((v, i) => (b.inside[i] ? 0 : v));
+    return GraffitiPiece._like(a, inside);
+  }
+
+  static covers(raster, x, y) {
+    const i = Math.floor(x - raster.x),
+      j = Math.floor(y - raster.y);
+    if (i < 0 || j < 0 || i >= raster.width || j >= raster.height) {
+      return false;
+    }
+    return raster.inside[j * raster.width + i] === 1;
+  }
+
+  // Document-space box of the solid pixels, or null if there are none
+  static extent(raster) {
+    const { width: w, height: h, inside } = raster;
+    let left = w,
+      right = -1,
+      top = h,
+      bottom = -1;
+    for (let j = 0; j < h; j++) {
+      for (let i = 0; i < w; i++) {
+        if (!inside[j * w + i]) continue;
+        left = Math.min(left, i);
+        right = Math.max(right, i);
+        top = Math.min(top, j);
+        bottom = Math.max(bottom, j);
+      }
+    }
+    if (right < 0) return null;
+    return {
+      left: raster.x + left,
+      right: raster.x + right + 1,
+      top: raster.y + top,
+      bottom: raster.y + bottom + 1,
+    };
+  }
+
+  // --- playback ---
+
+  // Spray the passes in order (see PassStroke)
+  play() {
+    this._hand = new PassStroke(this.sprayPaint, this.passes, this.options);
+    return this._hand.play();
+  }
+
+  stop() {
+    if (this._hand) this._hand.stop();
+  }
+}
+
+GraffitiPiece.DEFAULT_STYLE = {
+  fill: "#ffd400",
+  fade: null,
+  outline: "#111111",
+  outlineWidth: 10,
+  extrude: null,
+  depth: 16,
+  angle: 45,
+  shine: null,
+  shadow: null,
+  shadowOffset: 8,
+  density: 1,
+};
+GraffitiPiece.OUTLINE_NOZZLE = 1.5; // outline nozzle, × outline width
+GraffitiPiece.SHINE_NOZZLE = 0.6; // shine nozzle, × outline width
+GraffitiPiece.FADE_REACH = 0.6; // fade height, × letter height
+GraffitiPiece.FADE_GROWTH = 1.35; // each fade row's gap, × the last
@@ -0,0 +1,107 @@
+// Undo/redo history built on whole-document snapshots.
+// The target must expose captureState() / restoreState(state) and may expose
+// settle() to finish any in-flight simulation (drips) before a snapshot.
+class HistoryManager {
+  constructor(target, options = {}) {
+    this.target = target;
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // limits — oldest entries are dropped first when either is exceeded
+    this.maxDepth = 30;
+    this.maxBytes = 256 * 1024 * 1024; // 256 MB of snapshots
+
+    // called after every change so the UI can refresh its buttons
+    this.onChange = null;
+
+    this.setLimits(options);
+  }
+
+  setLimits({ maxDepth, maxBytes } = {}) {
+    if (maxDepth !== undefined) {
+      this.maxDepth = Math.max(1, Math.min(200, maxDepth | 0));
+    }
+    if (maxBytes !== undefined) {
+      this.maxBytes = Math.max(1024 * 1024, maxBytes);
+    }
+    this._trim();
+    this._changed();
+  }
+
+  // Store the current document as the state to return to on undo.
+  // Call this right before a change (stroke start, clear, ...).
+  record() {
+    this.undoStack.push(this.target.captureState());
+    this.redoStack.length = 0;
+    this._trim();
+    this._changed();
+  }
+
+  undo() {
+    if (!this.undoStack.length) return false;
+
+    // finish running drips so redo brings back the completed stroke
+    if (typeof this.target.settle === "function") this.target.settle();
+
+    this.redoStack.push(this.target.captureState());
+    this.target.restoreState(this.undoStack.pop());
+    this._trim();
+    this._changed();
+    return true;
+  }
+
+  redo() {
+    if (!this.redoStack.length) return false;
+
+    if (typeof this.target.settle === "function") this.target.settle();
+
+    this.undoStack.push(this.target.captureState());
+    this.target.restoreState(this.redoStack.pop());
+    this._trim();
+    this._changed();
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+    this._changed();
+  }
+
+  // total snapshot memory currently held
+  getByteSize() {
+    let bytes = 0;
+    for (const s of this.undoStack) bytes += s.bytes || 0;
+    for (const s of this.redoStack) bytes += s.bytes || 0;
+    return bytes;
+  }
+
+  _trim() {
+    while (this.undoStack.length > this.maxDepth) this.undoStack.shift();
+    while (this.redoStack.length > this.maxDepth) this.redoStack.shift();
+
+    // memory budget: drop the oldest undo states, then the furthest redo states
+    let bytes = this.getByteSize();
+    while (
+      bytes > this.maxBytes &&
+      this.undoStack.length + this.redoStack.length > 1
+    ) {
+      const dropped = this.undoStack.length
+        ? this.undoStack.shift()
+        : this.redoStack.shift();
+      bytes -= dropped.bytes || 0;
+    }
+  }
+
+  _changed() {
+    if (typeof this.onChange === "function") this.onChange(this);
+  }
+}
@@ -0,0 +1,534 @@
+// A single paint layer: offscreen bitmap + its own drip wetness buffer
+class Layer {
+  constructor(id, name, width, height, bufScale = 2) {
+    this.id = id;
+    this.name = name;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = this.canvas.getContext("2d");
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.imageSmoothingQuality = "high";
+
+    // compositing
+    this.opacity = 1.0;
+    this.blendMode = "source-over";
+    this.visible = true;
+    this.locked = false;
+
+    // wet paint grids (same grid as SprayPaint.bufScale)
+    this.bufScale = bufScale;
+    this._allocWet(width, height);
+  }
+
+  // One Float32Array per entry in Layer.WET_BUFFERS
+  _allocWet(width, height) {
+    this.bufW = Math.ceil(width / this.bufScale);
+    this.bufH = Math.ceil(height / this.bufScale);
+    for (const [name, channels] of Object.entries(Layer.WET_BUFFERS)) {
+      this[name] = new Float32Array(this.bufW * this.bufH * channels);
+    }
+    this.invalidateSheen();
+  }
+
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    for (const name in Layer.WET_BUFFERS) this[name].fill(0);
+    this.invalidateSheen();
+  }
+
+  invalidateSheen() {
+    this._sheenDirty = true;
+  }
+
+  // Wet paint overlay at grid resolution, drawn over the layer on screen:
+  // wet film darkens the paint and catches a soft highlight on its slopes
+  // (lit from the top left); both fade as it dries. null when all dry.
+  sheenCanvas() {
+    if (!this._sheenDirty) return this._sheen;
+    this._sheenDirty = false;
+
+    const { bufW: w, bufH: h, filmBuf: film } = this;
+    const { darken, gloss, lightX, lightY } = Layer.SHEEN;
+    const wetAt = (x, y) => {
+      const j = (y * w + x) * 2;
+      return film[j + 1] > 0 ? film[j] / film[j + 1] : 0;
+    };
+
+    let image = null;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const wet = wetAt(x, y);
+        if (wet <= 0) continue;
+        if (!image) {
+          if (!this._sheen) this._sheen = document.createElement("canvas");
+          this._sheen.width = w;
+          this._sheen.height = h;
+          image = this._sheen.getContext("2d").createImageData(w, h);
+        }
+        // film slope from its neighbours: drying edges read as relief
+        const gx =
+          wetAt(Math.min(w - 1, x + 1), y) - wetAt(Math.max(0, x - 1), y);
+        const gy =
+          wetAt(x, Math.min(h - 1, y + 1)) - wetAt(x, Math.max(0, y - 1));
+        const lit = Math.max(0, -(gx * lightX + gy * lightY));
+        const dark = darken * wet;
+        const shine = gloss * wet * (0.25 + Math.min(1, lit * 2));
+        const i = (y * w + x) * 4;
+        const white = (255 * shine) / (shine + dark);
+        image.data[i] = white;
+        image.data[i + 1] = white;
+        image.data[i + 2] = white;
+        image.data[i + 3] = 255 * Math.min(1, dark + shine);
+      }
+    }
+    if (!image) {
+      this._sheen = null;
+      return null;
+    }
+    this._sheen.getContext("2d").putImageData(image, 0, 0);
+    return this._sheen;
+  }
+
+  // Reallocate at a new size; pixels and wetness are lost
+  setSize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.imageSmoothingQuality = "high";
+    this._allocWet(width, height);
+  }
+
+  // Resize keeping the artwork: scale=true resamples pixels and wetness to
+  // the new size, otherwise both stay anchored top-left (crop / extend)
+  resize(width, height, scale = true) {
+    const old = document.createElement("canvas");
+    old.width = this.canvas.width;
+    old.height = this.canvas.height;
+    old.getContext("2d").drawImage(this.canvas, 0, 0);
+    const oldBufs = {};
+    for (const name in Layer.WET_BUFFERS) oldBufs[name] = this[name];
+    const oldW = this.bufW,
+      oldH = this.bufH;
+
+    this.setSize(width, height);
+    if (scale) {
+      this.ctx.drawImage(old, 0, 0, width, height);
+    } else {
+      this.ctx.drawImage(old, 0, 0);
+    }
+
+    for (const [name, channels] of Object.entries(Layer.WET_BUFFERS)) {
+      Layer.resampleGrid(
+        oldBufs[name],
+        oldW,
+        oldH,
+        this[name],
+        this.bufW,
+        this.bufH,
+        channels,
+        scale
+      );
+    }
+  }
+
+  // Copy a per-cell grid to a new size: scale=true resamples bilinearly,
+  // otherwise cells stay anchored top-left
+  static resampleGrid(src, oldW, oldH, dst, w, h, channels = 1, scale = true) {
+    const n = channels;
+    if (!scale) {
+      const cw = Math.min(oldW, w),
+        ch = Math.min(oldH, h);
+      for (let y = 0; y < ch; y++) {
+        dst.set(src.subarray(y * oldW * n, (y * oldW + cw) * n), y * w * n);
+      }
+      return;
+    }
+    const sx = oldW / w,
+      sy = oldH / h;
+    for (let y = 0; y < h; y++) {
+      const fy = Math.max(0, Math.min(oldH - 1, (y + 0.5) * sy - 0.5));
+      const y0 = Math.floor(fy),
+        y1 = Math.min(oldH - 1, y0 + 1),
+        ty = fy - y0;
+      for (let x = 0; x < w; x++) {
+        const fx = Math.max(0, Math.min(oldW - 1, (x + 0.5) * sx - 0.5));
+        const x0 = Math.floor(fx),
+          x1 = Math.min(oldW - 1, x0 + 1),
+          tx = fx - x0;
+        const i00 = (y0 * oldW + x0) * n,
+          i01 = (y0 * oldW + x1) * n,
+          i10 = (y1 * oldW + x0) * n,
+          i11 = (y1 * oldW + x1) * n;
+        for (let c = 0; c < n; c++) {
+          const top = src[i00 + c] * (1 - tx) + src[i01 + c] * tx;
+          const bottom = src[i10 + c] * (1 - tx) + src[i11 + c] * tx;
+          dst[(y * w + x) * n + c] = top * (1 - ty) + bottom * ty;
+        }
+      }
+    }
+  }
+
+  captureState() {
+    const image = this.ctx.getImageData(
+      0,
+      0,
+      this.canvas.width,
+      this.canvas.height
+    );
+    const buffers = {};
+    let bytes = image.data.byteLength;
+    for (const name in Layer.WET_BUFFERS) {
+      buffers[name] = this[name].slice();
+      bytes += buffers[name].byteLength;
+    }
+    return {
+      id: this.id,
+      name: this.name,
+      opacity: this.opacity,
+      blendMode: this.blendMode,
+      visible: this.visible,
+      locked: this.locked,
+      image,
+      buffers,
+      bytes,
+    };
+  }
+
+  restoreState(state) {
+    const { width, height } = state.image;
+    if (width !== this.canvas.width || height !== this.canvas.height) {
+      this.setSize(width, height);
+    }
+    this.name = state.name;
+    this.opacity = state.opacity;
+    this.blendMode = state.blendMode;
+    this.visible = state.visible;
+    this.locked = state.locked;
+    this.ctx.putImageData(state.image, 0, 0);
+    for (const name in Layer.WET_BUFFERS) {
+      const saved = state.buffers[name];
+      if (saved && saved.length === this[name].length) {
+        this[name].set(saved);
+      } else {
+        this[name].fill(0);
+      }
+    }
+    this.invalidateSheen();
+  }
+}
+
+// Per-cell wet paint grids → values per cell: paintBuf is the drip
+// wetness, pigmentBuf the wet paint's linear RGB (see Pigment), filmBuf
+// the film's [seconds left to dry, drying time]
+Layer.WET_BUFFERS = { paintBuf: 1, pigmentBuf: 3, filmBuf: 2 };
+
+// Wet sheen look: darkening and highlight strength at full wetness, and
+// the light direction
+Layer.SHEEN = { darken: 0.12, gloss: 0.18, lightX: -0.7, lightY: -0.7 };
+
+// Ordered layer stack, index 0 is the bottom layer
+class LayerStack {
+  constructor(width, height, bufScale = 2) {
+    this.width = width;
+    this.height = height;
+    this.bufScale = bufScale;
+
+    this.layers = [];
+    this.activeIndex = 0;
+    this._nextId = 1;
+
+    // set whenever pixels or layer properties change; cleared by the compositor
+    this.dirty = true;
+
+    // called after structural/property changes so the UI can re-render
+    this.onChange = null;
+
+    this.addLayer("Background");
+  }
+
+  get active() {
+    return this.layers[this.activeIndex];
+  }
+
+  get length() {
+    return this.layers.length;
+  }
+
+  // New detached layer sized to the document (see addLayer / setLayers)
+  createLayer(name) {
+    const id = this._nextId++;
+    return new Layer(
+      id,
+      name || `Layer ${id}`,
+      this.width,
+      this.height,
+      this.bufScale
+    );
+  }
+
+  // Insert a new layer above the active one and make it active
+  addLayer(name) {
+    const layer = this.createLayer(name);
+    const at = this.layers.length ? this.activeIndex + 1 : 0;
+    this.layers.splice(at, 0, layer);
+    this.activeIndex = at;
+    this._changed();
+    return layer;
+  }
+
+  removeLayer(index = this.activeIndex) {
+    if (this.layers.length <= 1) return false; // always keep one layer
+    if (index < 0 || index >= this.layers.length) return false;
+    this.layers.splice(index, 1);
+    if (this.activeIndex >= this.layers.length) {
+      this.activeIndex = this.layers.length - 1;
+    } else if (index < this.activeIndex) {
+      this.activeIndex--;
+    }
+    this._changed();
+    return true;
+  }
+
+  moveLayer(from, to) {
+    const n = this.layers.length;
+    if (from < 0 || from >= n) return false;
+    to = Math.max(0, Math.min(n - 1, to));
+    if (from === to) return false;
+
+    const active = this.active;
+    const [layer] = this.layers.splice(from, 1);
+    this.layers.splice(to, 0, layer);
+    this.activeIndex = this.layers.indexOf(active);
+    this._changed();
+    return true;
+  }
+
+  // Flatten a layer into the one below it (with its opacity and blend mode)
+  mergeDown(index = this.activeIndex) {
+    if (index <= 0 || index >= this.layers.length) return false;
+    const upper = this.layers[index];
+    const lower = this.layers[index - 1];
+
+    if (upper.visible) {
+      lower.ctx.save();
+      lower.ctx.globalAlpha = upper.opacity;
+      lower.ctx.globalCompositeOperation = upper.blendMode;
+      lower.ctx.drawImage(upper.canvas, 0, 0);
+      lower.ctx.restore();
+
+      // pooled paint from both layers stays wet after merging; wet
+      // pigments mix by their share of the wetness
+      const a = lower.paintBuf,
+        b = upper.paintBuf;
+      const pa = lower.pigmentBuf,
+        pb = upper.pigmentBuf;
+      const mixed = [0, 0, 0];
+      for (let i = 0; i < a.length; i++) {
+        if (b[i] > 0) {
+          const k = i * 3;
+          Pigment.mix(
+            pa.subarray(k, k + 3),
+            pb.subarray(k, k + 3),
+            b[i] / (a[i] + b[i]),
+            mixed
+          );
+          pa.set(mixed, k);
+        }
+        a[i] = Math.min(1, a[i] + b[i]);
+      }
+
+      // the wetter film (longer left to dry) wins
+      const fa = lower.filmBuf,
+        fb = upper.filmBuf;
+      for (let j = 0; j < fa.length; j += 2) {
+        if (fb[j] > fa[j]) {
+          fa[j] = fb[j];
+          fa[j + 1] = fb[j + 1];
+        }
+      }
+      lower.invalidateSheen();
+    }
+
+    this.layers.splice(index, 1);
+    if (this.activeIndex >= index) this.activeIndex--;
+    this._changed();
+    return true;
+  }
+
+  // Change the document size for every layer (see Layer.resize)
+  resize(width, height, { scale = true } = {}) {
+    width = Math.round(width);
+    height = Math.round(height);
+    if (width === this.width && height === this.height) return false;
+    this.layers.forEach((layer) => layer.resize(width, height, scale));
+    this.width = width;
+    this.height = height;
+    this._changed();
+    return true;
+  }
+
+  // Replace the whole stack (project load)
+  setLayers(layers, activeIndex = layers.length - 1) {
+    if (!layers.length) return;
+    this.layers = layers;
+    this.activeIndex = Math.max(0, Math.min(layers.length - 1, activeIndex));
+    this._changed();
+  }
+
+  setActive(index) {
+    if (index < 0 || index >= this.layers.length) return;
+    this.activeIndex = index;
+    this._changed();
+  }
+
+  setOpacity(index, opacity) {
+    const layer = this.layers[index];
+    if (!layer) return;
+    layer.opacity = Math.max(0, Math.min(1, opacity));
+    this._changed();
+  }
+
+  setBlendMode(index, mode) {
+    const layer = this.layers[index];
+    if (!layer || !LayerStack.BLEND_MODES.includes(mode)) return;
+    layer.blendMode = mode;
+    this._changed();
+  }
+
+  setVisible(index, visible) {
+    const layer = this.layers[index];
+    if (!layer) return;
+    layer.visible = !!visible;
+    this._changed();
+  }
+
+  setLocked(index, locked) {
+    const layer = this.layers[index];
+    if (!layer) return;
+    layer.locked = !!locked;
+    this._changed();
+  }
+
+  renameLayer(index, name) {
+    const layer = this.layers[index];
+    if (!layer || !name) return;
+    layer.name = name;
+    this._changed();
+  }
+
+  // Clear pixels and wetness on every layer (structure is kept)
+  clear() {
+    this.layers.forEach((layer) => layer.clear());
+    this.invalidate();
+  }
+
+  invalidate() {
+    this.dirty = true;
+  }
+
+  // Redraw every layer's wet sheen on the next composite
+  invalidateSheen() {
+    this.layers.forEach((layer) => layer.invalidateSheen());
+    this.invalidate();
+  }
+
+  // Draw all visible layers bottom → top into ctx, in ctx's current
+  // transform (document units), over a background color or image (the
+  // substrate). sheen adds the wet paint overlay (screen only; exports
+  // show the paint as it will dry).
+  compositeTo(ctx, background = null, sheen = false) {
+    ctx.save();
+    if (background) {
+      ctx.globalCompositeOperation = "source-over";
+      ctx.globalAlpha = 1;
+      if (typeof background === "string") {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, this.width, this.height);
+      } else {
+        ctx.drawImage(background, 0, 0, this.width, this.height);
+      }
+    }
+    for (const layer of this.layers) {
+      if (!layer.visible || layer.opacity <= 0) continue;
+      ctx.globalAlpha = layer.opacity;
+      ctx.globalCompositeOperation = layer.blendMode;
+      ctx.drawImage(layer.canvas, 0, 0);
+
+      const overlay = sheen ? layer.sheenCanvas() : null;
+      if (overlay) {
+        ctx.globalCompositeOperation = "source-over";
+        ctx.drawImage(
+          overlay,
+          0,
+          0,
+          overlay.width * layer.bufScale,
+          overlay.height * layer.bufScale
+        );
+      }
+    }
+    ctx.restore();
+  }
+
+  captureState() {
+    const layers = this.layers.map((layer) => layer.captureState());
+    return {
+      width: this.width,
+      height: this.height,
+      layers,
+      activeIndex: this.activeIndex,
+      bytes: layers.reduce((sum, l) => sum + l.bytes, 0),
+    };
+  }
+
+  restoreState(state) {
+    // snapshots taken before a document resize carry their own size
+    if (state.width) {
+      this.width = state.width;
+      this.height = state.height;
+    }
+    const byId = new Map(this.layers.map((l) => [l.id, l]));
+    this.layers = state.layers.map((ls) => {
+      let layer = byId.get(ls.id);
+      if (!layer) {
+        layer = new Layer(
+          ls.id,
+          ls.name,
+          this.width,
+          this.height,
+          this.bufScale
+        );
+      }
+      layer.restoreState(ls);
+      return layer;
+    });
+    this._nextId = Math.max(this._nextId, ...this.layers.map((l) => l.id + 1));
+    this.activeIndex = Math.min(state.activeIndex, this.layers.length - 1);
+    this._changed();
+  }
+
+  _changed() {
+    this.invalidate();
+    if (typeof this.onChange === "function") this.onChange(this);
+  }
+}
+
+LayerStack.BLEND_MODES = [
+  "source-over",
+  "multiply",
+  "screen",
+  "overlay",
+  "darken",
+  "lighten",
+  "color-dodge",
+  "color-burn",
+  "hard-light",
+  "soft-light",
+  "difference",
+  "exclusion",
+  "hue",
+  "saturation",
+  "color",
+  "luminosity",
+];
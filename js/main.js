@@ -3,10 +3,32 @@ class SprayPaintApp {
   constructor() {
     this.canvasDrawer = null;
     this.sprayPaint = null;
-    this.shapeDrawer = null;
+    this.history = null;
+    this.layers = null;
+    this.recorder = null;
+    this.player = null;
+    this.lastRecording = null;
+    this.store = null;
+    this._autosaveTimer = 0;
+    this._autosaveDirty = false;
+    this._autosaving = false;
 
     // UI elements
+    this.toolSelect = null;
     this.colorPicker = null;
+    this.buffColorPicker = null;
+    this.shapeSelect = null;
+    this.shapeFillToggle = null;
+    this.shapeDensitySlider = null;
+    this.shapeDensityValue = null;
+    this.handSpeedSlider = null;
+    this.handSpeedValue = null;
+    this.shapeEasingSelect = null;
+    this.shapeStroke = null; // shape being sprayed (ShapeStroke)
+    this.materialSelect = null;
+    this.wetMixToggle = null;
+    this.substrateSelect = null;
+    this.capSelect = null;
     this.nozzleSlider = null;
     this.softnessSlider = null;
     this.opacitySlider = null;
@@ -16,15 +38,128 @@ class SprayPaintApp {
     this.scatterSizeSlider = null;
     this.overspraySlider = null;
     this.distanceSlider = null;
+    this.canAngleSlider = null;
+    this.canAzimuthSlider = null;
+    this.penTiltToggle = null;
     this.dripThresholdSlider = null;
     this.dripGravitySlider = null;
     this.dripViscositySlider = null;
     this.dripEvaporationSlider = null;
+    this.dripDirectionSlider = null;
+    this.dripSurfaceSlider = null;
     this.dripToggleBtn = null;
-    this.goldColorBtn = null;
-    this.blackColorBtn = null;
+    this.colorPresetBtns = [];
     this.clearBtn = null;
     this.exportBtn = null;
+    this.undoBtn = null;
+    this.redoBtn = null;
+    this.historyDepthSlider = null;
+    this.historyMemorySlider = null;
+    this.recordBtn = null;
+    this.replayBtn = null;
+    this.saveProjectBtn = null;
+    this.openProjectBtn = null;
+    this.projectFileInput = null;
+    this.docSizeBtn = null;
+
+    // Layer panel
+    this.layerList = null;
+    this.layerOpacitySlider = null;
+    this.layerOpacityValue = null;
+    this.layerBlendSelect = null;
+    this.addLayerBtn = null;
+    this.removeLayerBtn = null;
+    this.layerUpBtn = null;
+    this.layerDownBtn = null;
+    this.mergeDownBtn = null;
+
+    // Gallery panel
+    this.galleryBtn = null;
+    this.galleryPanel = null;
+    this.galleryList = null;
+    this.saveToGalleryBtn = null;
+
+    // Environment panel
+    this.environmentBtn = null;
+    this.environmentPanel = null;
+    this.environmentSelect = null;
+    this.temperatureSlider = null;
+    this.humiditySlider = null;
+    this.windSpeedSlider = null;
+    this.windDirectionSlider = null;
+    this.temperatureValue = null;
+    this.humidityValue = null;
+    this.windSpeedValue = null;
+    this.windDirectionValue = null;
+
+    // Masks panel
+    this.masksBtn = null;
+    this.masksPanel = null;
+    this.maskToolSelect = null;
+    this.stencilShapeSelect = null;
+    this.tapeWidthSlider = null;
+    this.stencilGapSlider = null;
+    this.tapeWidthValue = null;
+    this.stencilGapValue = null;
+    this.importStencilBtn = null;
+    this.stencilFileInput = null;
+    this.liftMaskBtn = null;
+    this.liftAllMasksBtn = null;
+
+    // Text panel
+    this.textBtn = null;
+    this.textPanel = null;
+    this.textInput = null;
+    this.textFontSelect = null;
+    this.loadFontBtn = null;
+    this.fontFileInput = null;
+    this.textSizeSlider = null;
+    this.letterSpacingSlider = null;
+    this.textRotationSlider = null;
+    this.textCurveSlider = null;
+    this.textFillToggle = null;
+    this.textOutlineToggle = null;
+    this.textSizeValue = null;
+    this.letterSpacingValue = null;
+    this.textRotationValue = null;
+    this.textCurveValue = null;
+    this.textStyleSelect = null;
+
+    // Piece panel (graffiti piece passes)
+    this.pieceBtn = null;
+    this.piecePanel = null;
+    this.pieceFillColor = null;
+    this.pieceFadeToggle = null;
+    this.pieceFadeColor = null;
+    this.pieceOutlineColor = null;
+    this.pieceOutlineSlider = null;
+    this.pieceExtrudeToggle = null;
+    this.pieceExtrudeColor = null;
+    this.pieceDepthSlider = null;
+    this.pieceAngleSlider = null;
+    this.pieceShadowToggle = null;
+    this.pieceShadowColor = null;
+    this.pieceShadowSlider = null;
+    this.pieceShineToggle = null;
+    this.pieceShineColor = null;
+    this.pieceOutlineValue = null;
+    this.pieceDepthValue = null;
+    this.pieceAngleValue = null;
+    this.pieceShadowValue = null;
+
+    // SVG panel (imported artwork to spray or trace)
+    this.svgArtwork = null; // SvgArtwork
+    this.importSvgBtn = null;
+    this.svgFileInput = null;
+    this.svgPanel = null;
+    this.svgNameValue = null;
+    this.svgFillsToggle = null;
+    this.svgStrokesToggle = null;
+    this.svgColorsToggle = null;
+    this.svgGuideToggle = null;
+    this.spraySvgBtn = null;
+    this.svgPieceBtn = null;
+    this.clearSvgBtn = null;
 
     // Value displays
     this.nozzleValue = null;
@@ -36,10 +171,16 @@ class SprayPaintApp {
     this.scatterSizeValue = null;
     this.oversprayValue = null;
     this.distanceValue = null;
+    this.canAngleValue = null;
+    this.canAzimuthValue = null;
     this.dripThresholdValue = null;
     this.dripGravityValue = null;
     this.dripViscosityValue = null;
     this.dripEvaporationValue = null;
+    this.dripDirectionValue = null;
+    this.dripSurfaceValue = null;
+    this.historyDepthValue = null;
+    this.historyMemoryValue = null;
 
     this.init();
   }
@@ -64,11 +205,58 @@ class SprayPaintApp {
         this.canvasDrawer.ctx
       );
 
+      // Layer stack: spray, overspray and drips target the active layer.
+      // It is the document: a fixed size that starts out matching the
+      // window and is unaffected by later viewport / DPR changes.
+      this.layers = new LayerStack(
+        this.canvasDrawer.viewWidth,
+        this.canvasDrawer.viewHeight,
+        this.sprayPaint.bufScale
+      );
+      this.sprayPaint.setLayerStack(this.layers);
+      this.canvasDrawer.setLayerStack(this.layers);
+
+      // Masking tape / stencils over the wall, placed with the mask tool
+      this.masks = new MaskStack(
+        this.layers.width,
+        this.layers.height,
+        this.sprayPaint.bufScale
+      );
+      this.masks.onChange = () => {
+        this.layers.invalidate();
+        if (this.liftMaskBtn) this.updateMaskButtons();
+      };
+      this.sprayPaint.setMaskStack(this.masks);
+      this.canvasDrawer.setMaskStack(this.masks);
+      this.maskTool = new MaskTool((spec) => this.placeMask(spec));
+
       // start drip simulation
       this.sprayPaint.startDripLoop();
 
-      // Initialize shape drawer
-      this.shapeDrawer = new ShapeDrawer(this.sprayPaint);
+      // Pointer tools for the shape palette and spray text
+      this.shapeTool = new ShapeTool((spec) => this.sprayShape(spec));
+      this.textTool = new TextTool((x, y) =>
+        this.sprayText(x, y).catch((error) =>
+          console.error("Failed to spray text:", error)
+        )
+      );
+
+      // Undo/redo: snapshot the document before every stroke
+      this.history = new HistoryManager(this.sprayPaint);
+      this.sprayPaint.on("strokestart", () => {
+        // a replay or a shape's sweeps are a single undo step instead
+        if (!this.sprayPaint.replaying && !this.shapeStroke) {
+          this.history.record();
+        }
+      });
+      // each pass of a graffiti piece is an undo step of its own
+      this.sprayPaint.on("groupstart", () => {
+        if (!this.sprayPaint.replaying) this.history.record();
+      });
+
+      // Session recording / deterministic replay
+      this.recorder = new StrokeRecorder(this.sprayPaint);
+      this.player = new StrokePlayer(this.sprayPaint);
 
       // Connect canvas drawer to spray paint
       this.canvasDrawer.setSprayPaint(this.sprayPaint);
@@ -79,6 +267,9 @@ class SprayPaintApp {
       // Start animation loop
       this.canvasDrawer.startAnimationLoop();
 
+      // IndexedDB autosave / gallery; offers to restore the last session
+      this.setupStorage();
+
       console.log("Spray Paint App initialized successfully");
     } catch (error) {
       console.error("Failed to initialize Spray Paint App:", error);
@@ -87,7 +278,20 @@ class SprayPaintApp {
 
   setupUIControls() {
     // Get UI elements
+    this.toolSelect = document.getElementById("toolSelect");
     this.colorPicker = document.getElementById("colorPicker");
+    this.buffColorPicker = document.getElementById("buffColorPicker");
+    this.shapeSelect = document.getElementById("shapeSelect");
+    this.shapeFillToggle = document.getElementById("shapeFillToggle");
+    this.shapeDensitySlider = document.getElementById("shapeDensitySlider");
+    this.shapeDensityValue = document.getElementById("shapeDensityValue");
+    this.handSpeedSlider = document.getElementById("handSpeedSlider");
+    this.handSpeedValue = document.getElementById("handSpeedValue");
+    this.shapeEasingSelect = document.getElementById("shapeEasingSelect");
+    this.materialSelect = document.getElementById("materialSelect");
+    this.wetMixToggle = document.getElementById("wetMixToggle");
+    this.substrateSelect = document.getElementById("substrateSelect");
+    this.capSelect = document.getElementById("capSelect");
     this.nozzleSlider = document.getElementById("nozzleSlider");
     this.softnessSlider = document.getElementById("softnessSlider");
     this.opacitySlider = document.getElementById("opacitySlider");
@@ -97,17 +301,33 @@ class SprayPaintApp {
     this.scatterSizeSlider = document.getElementById("scatterSizeSlider");
     this.overspraySlider = document.getElementById("overspraySlider");
     this.distanceSlider = document.getElementById("distanceSlider");
+    this.canAngleSlider = document.getElementById("canAngleSlider");
+    this.canAzimuthSlider = document.getElementById("canAzimuthSlider");
+    this.penTiltToggle = document.getElementById("penTiltToggle");
     this.dripThresholdSlider = document.getElementById("dripThresholdSlider");
     this.dripGravitySlider = document.getElementById("dripGravitySlider");
     this.dripViscositySlider = document.getElementById("dripViscositySlider");
     this.dripEvaporationSlider = document.getElementById(
       "dripEvaporationSlider"
     );
+    this.dripDirectionSlider = document.getElementById("dripDirectionSlider");
+    this.dripSurfaceSlider = document.getElementById("dripSurfaceSlider");
     this.dripToggleBtn = document.getElementById("dripToggleBtn");
-    this.goldColorBtn = document.getElementById("goldColorBtn");
-    this.blackColorBtn = document.getElementById("blackColorBtn");
+    this.colorPresetBtns = SprayPaintApp.COLOR_PRESETS.map((preset) =>
+      document.getElementById(preset.id)
+    );
     this.clearBtn = document.getElementById("clearBtn");
     this.exportBtn = document.getElementById("exportBtn");
+    this.undoBtn = document.getElementById("undoBtn");
+    this.redoBtn = document.getElementById("redoBtn");
+    this.historyDepthSlider = document.getElementById("historyDepthSlider");
+    this.historyMemorySlider = document.getElementById("historyMemorySlider");
+    this.recordBtn = document.getElementById("recordBtn");
+    this.replayBtn = document.getElementById("replayBtn");
+    this.saveProjectBtn = document.getElementById("saveProjectBtn");
+    this.openProjectBtn = document.getElementById("openProjectBtn");
+    this.projectFileInput = document.getElementById("projectFileInput");
+    this.docSizeBtn = document.getElementById("docSizeBtn");
 
     // Get value displays
     this.nozzleValue = document.getElementById("nozzleValue");
@@ -119,13 +339,30 @@ class SprayPaintApp {
     this.scatterSizeValue = document.getElementById("scatterSizeValue");
     this.oversprayValue = document.getElementById("oversprayValue");
     this.distanceValue = document.getElementById("distanceValue");
+    this.canAngleValue = document.getElementById("canAngleValue");
+    this.canAzimuthValue = document.getElementById("canAzimuthValue");
     this.dripThresholdValue = document.getElementById("dripThresholdValue");
     this.dripGravityValue = document.getElementById("dripGravityValue");
     this.dripViscosityValue = document.getElementById("dripViscosityValue");
     this.dripEvaporationValue = document.getElementById("dripEvaporationValue");
+    this.dripDirectionValue = document.getElementById("dripDirectionValue");
+    this.dripSurfaceValue = document.getElementById("dripSurfaceValue");
+    this.historyDepthValue = document.getElementById("historyDepthValue");
+    this.historyMemoryValue = document.getElementById("historyMemoryValue");
+
+    this.populateToolSelect();
+    this.populateMaterialSelect();
+    this.populateCapSelect();
+    this.populateSubstrateSelect();
 
     // Setup event listeners
     this.setupEventListeners();
+    this.setupLayerPanel();
+    this.setupEnvironmentPanel();
+    this.setupMasksPanel();
+    this.setupTextPanel();
+    this.setupPiecePanel();
+    this.setupSvgPanel();
 
     // Set initial values
     this.updateDisplayValues();
@@ -138,6 +375,50 @@ class SprayPaintApp {
       this.updateColorPresetButtons(e.target.value);
     });
 
+    // Material select
+    this.materialSelect.addEventListener("change", (e) => {
+      this.sprayPaint.setMaterial(e.target.value);
+      this.updateColorPresetButtons(this.sprayPaint.color);
+    });
+
+    // Wet-on-wet pigment mixing
+    this.wetMixToggle.addEventListener("change", (e) => {
+      this.sprayPaint.setWetMixing(e.target.checked);
+    });
+
+    // Spray, buff or erase
+    this.toolSelect.addEventListener("change", (e) => {
+      this.sprayPaint.setTool(e.target.value);
+    });
+    this.buffColorPicker.addEventListener("input", (e) => {
+      this.sprayPaint.setBuffColor(e.target.value);
+    });
+
+    // Shape palette: drag shapes sprayed with the current brush
+    this.shapeSelect.addEventListener("change", (e) => {
+      this.setShapeTool(e.target.value);
+    });
+    this.shapeFillToggle.addEventListener("change", () =>
+      this.updateShapeControls()
+    );
+    this.shapeDensitySlider.addEventListener("input", () =>
+      this.updateShapeControls()
+    );
+    this.handSpeedSlider.addEventListener("input", () =>
+      this.updateShapeControls()
+    );
+
+    // Substrate under the paint
+    this.substrateSelect.addEventListener("change", (e) => {
+      this.sprayPaint.setSubstrate(e.target.value);
+    });
+
+    // Cap select; the nozzle slider follows the cap's size range
+    this.capSelect.addEventListener("change", (e) => {
+      this.sprayPaint.setCap(e.target.value);
+      this.updateCapControls();
+    });
+
     // Nozzle size slider
     this.nozzleSlider.addEventListener("input", (e) => {
       const value = parseInt(e.target.value);
@@ -201,6 +482,24 @@ class SprayPaintApp {
       this.distanceValue.textContent = value + "px";
     });
 
+    // Can angle / direction sliders
+    this.canAngleSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.sprayPaint.setCanAngle(value);
+      this.canAngleValue.textContent = value + "°";
+    });
+
+    this.canAzimuthSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.sprayPaint.setCanAzimuth(value);
+      this.canAzimuthValue.textContent = value + "°";
+    });
+
+    // Pen tilt drives the can angle when available
+    this.penTiltToggle.addEventListener("change", (e) => {
+      this.sprayPaint.setUseStylusTilt(e.target.checked);
+    });
+
     // Drip threshold slider
     this.dripThresholdSlider.addEventListener("input", (e) => {
       const value = parseInt(e.target.value);
@@ -229,42 +528,96 @@ class SprayPaintApp {
       this.dripEvaporationValue.textContent = (value / 100).toFixed(2);
     });
 
+    // Surface orientation: which way drips run, and how steep the surface is
+    this.dripDirectionSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.sprayPaint.setGravityDirection(value);
+      this.dripDirectionValue.textContent = value + "°";
+    });
+
+    this.dripSurfaceSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.sprayPaint.setSurfaceTilt(value);
+      this.dripSurfaceValue.textContent = value + "°";
+    });
+
     // Drip toggle button
     this.dripToggleBtn.addEventListener("click", () => {
       const enabled = this.sprayPaint.toggleDrips();
-      this.dripToggleBtn.textContent = enabled
-        ? "Disable Drips"
-        : "Enable Drips";
-      this.dripToggleBtn.style.backgroundColor = enabled
-        ? "#4CAF50"
-        : "#f44336";
+      this.updateDripToggleButton(enabled);
     });
 
     // Clear button
     this.clearBtn.addEventListener("click", () => {
-      this.canvasDrawer.clear();
+      this.clear();
+    });
+
+    // Undo / redo buttons
+    this.undoBtn.addEventListener("click", () => this.undo());
+    this.redoBtn.addEventListener("click", () => this.redo());
+    this.history.onChange = () => {
+      this.updateHistoryButtons();
+      this.markDirty();
+    };
+    this.updateHistoryButtons();
+
+    // History limits: the oldest snapshots go first when either is hit
+    this.historyDepthSlider.addEventListener("input", () =>
+      this.applyHistoryLimits()
+    );
+    this.historyMemorySlider.addEventListener("input", () =>
+      this.applyHistoryLimits()
+    );
+    this.applyHistoryLimits();
+
+    // Project save / open
+    this.saveProjectBtn.addEventListener("click", () => this.saveProject());
+    this.openProjectBtn.addEventListener("click", () => this.openProject());
+    this.projectFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = ""; // allow reopening the same file
+      if (file) this.loadProjectFile(file);
     });
 
+    // Document size
+    this.docSizeBtn.addEventListener("click", () => this.promptDocumentSize());
+
+    // Record / replay buttons
+    this.recordBtn.addEventListener("click", () => this.toggleRecording());
+    this.replayBtn.addEventListener("click", () => this.replayRecording());
+    this.updateRecordingButtons();
+
     // Export button
     this.exportBtn.addEventListener("click", () => {
       this.canvasDrawer.exportPNG();
     });
 
     // Color preset buttons
-    this.goldColorBtn.addEventListener("click", () => {
-      this.setColor("#EAC677");
-      this.updateColorPresetButtons("#EAC677");
-    });
-
-    this.blackColorBtn.addEventListener("click", () => {
-      this.setColor("#221F20");
-      this.updateColorPresetButtons("#221F20");
+    SprayPaintApp.COLOR_PRESETS.forEach((preset, i) => {
+      this.colorPresetBtns[i].addEventListener("click", () => {
+        this.setMaterial(preset.material);
+        this.setColor(preset.color);
+      });
     });
 
-    // Keyboard shortcuts
+    // Keyboard shortcuts (not while typing in a field or picking from a
+    // list; sliders and checkboxes keep them)
+    const typing = ({ target: el }) =>
+      !!el &&
+      (el.isContentEditable ||
+        el.tagName === "SELECT" ||
+        el.tagName === "TEXTAREA" ||
+        (el.tagName === "INPUT" && !["range", "checkbox"].includes(el.type)));
     document.addEventListener("keydown", (e) => {
-      this.handleKeyboard(e);
+      if (!typing(e)) this.handleKeyboard(e);
     });
+    document.addEventListener("keyup", (e) => {
+      if (!typing(e)) this.handleKeyUp(e);
+    });
+    // a Space released outside the window must not leave pan mode stuck
+    window.addEventListener("blur", () =>
+      this.canvasDrawer.setSpaceHeld(false)
+    );
   }
 
   handleKeyboard(e) {
@@ -275,31 +628,88 @@ class SprayPaintApp {
           e.preventDefault();
           this.canvasDrawer.exportPNG();
           break;
+        case "S":
+          e.preventDefault();
+          this.saveProject();
+          break;
+        case "o":
+          e.preventDefault();
+          this.openProject();
+          break;
         case "z":
+        case "Z":
           e.preventDefault();
-          this.canvasDrawer.clear();
+          if (e.shiftKey) this.redo();
+          else this.undo();
+          break;
+        case "y":
+          e.preventDefault();
+          this.redo();
           break;
       }
     }
 
+    // Tools: Enter closes a film polygon, Escape drops what's in hand
+    const tool = this.canvasDrawer.tool;
+    if (e.key === "Escape") this.stopShapeStroke();
+    if (tool && e.key === "Escape") {
+      e.preventDefault();
+      tool.cancel();
+      this.layers.invalidate();
+    } else if (tool === this.maskTool && e.key === "Enter") {
+      e.preventDefault();
+      this.maskTool.finish();
+      this.layers.invalidate();
+    }
+
     // Number keys for quick nozzle size changes
     if (e.key >= "1" && e.key <= "9") {
-      const size = parseInt(e.key) * 6;
-      this.sprayPaint.setNozzleSize(size);
+      this.sprayPaint.setNozzleSize(parseInt(e.key) * 6);
+      const size = this.sprayPaint.nozzleSize;
       this.nozzleSlider.value = size;
       this.nozzleValue.textContent = size;
     }
 
-    // Space bar to toggle drips
+    // Space: hold and drag to pan; a tap toggles drips (see handleKeyUp)
     if (e.key === " ") {
       e.preventDefault();
-      const enabled = this.sprayPaint.toggleDrips();
-      this.dripToggleBtn.textContent = enabled
-        ? "Disable Drips"
-        : "Enable Drips";
-      this.dripToggleBtn.style.backgroundColor = enabled
-        ? "#4CAF50"
-        : "#f44336";
+      if (!e.repeat) this.canvasDrawer.setSpaceHeld(true);
+    }
+
+    // View navigation (the document itself is unchanged)
+    if (!e.ctrlKey && !e.metaKey) {
+      const view = this.canvasDrawer;
+      const cx = view.viewWidth / 2,
+        cy = view.viewHeight / 2;
+      switch (e.key) {
+        case "r":
+        case "R":
+          e.preventDefault();
+          view.rotateAt(
+            cx,
+            cy,
+            (e.shiftKey ? -1 : 1) * SprayPaintApp.ROTATE_STEP
+          );
+          break;
+        case "0":
+          e.preventDefault();
+          view.fitView();
+          break;
+        case "+":
+        case "=":
+          e.preventDefault();
+          view.zoomAt(cx, cy, SprayPaintApp.ZOOM_STEP);
+          break;
+        case "-":
+          e.preventDefault();
+          view.zoomAt(cx, cy, 1 / SprayPaintApp.ZOOM_STEP);
+          break;
+      }
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === "e" || e.key === "E")) {
+      e.preventDefault();
+      this.toggleEraser();
     }
 
     // 'M' key to toggle scatter controls visibility
@@ -329,6 +739,767 @@ class SprayPaintApp {
     }
   }
 
+  handleKeyUp(e) {
+    if (e.key === " ") {
+      e.preventDefault();
+      // only a tap toggles drips; a space-drag just panned the view
+      if (!this.canvasDrawer.setSpaceHeld(false)) {
+        const enabled = this.sprayPaint.toggleDrips();
+        this.updateDripToggleButton(enabled);
+      }
+    }
+  }
+
+  setupLayerPanel() {
+    this.layerList = document.getElementById("layerList");
+    this.layerOpacitySlider = document.getElementById("layerOpacitySlider");
+    this.layerOpacityValue = document.getElementById("layerOpacityValue");
+    this.layerBlendSelect = document.getElementById("layerBlendSelect");
+    this.addLayerBtn = document.getElementById("addLayerBtn");
+    this.removeLayerBtn = document.getElementById("removeLayerBtn");
+    this.layerUpBtn = document.getElementById("layerUpBtn");
+    this.layerDownBtn = document.getElementById("layerDownBtn");
+    this.mergeDownBtn = document.getElementById("mergeDownBtn");
+
+    LayerStack.BLEND_MODES.forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = mode === "source-over" ? "normal" : mode;
+      this.layerBlendSelect.appendChild(option);
+    });
+
+    // Opacity / blend apply to the active layer
+    this.layerOpacitySlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.layers.setOpacity(this.layers.activeIndex, value / 100);
+    });
+
+    this.layerBlendSelect.addEventListener("change", (e) => {
+      this.layers.setBlendMode(this.layers.activeIndex, e.target.value);
+    });
+
+    // Structural edits are recorded so they can be undone; a session
+    // recording doesn't capture them, so they wait until it ends
+    this.addLayerBtn.addEventListener("click", () => {
+      if (this.isRecordingOrPlaying()) return;
+      this.history.record();
+      this.layers.addLayer();
+    });
+
+    this.removeLayerBtn.addEventListener("click", () => {
+      if (this.isRecordingOrPlaying() || this.layers.length <= 1) return;
+      this.history.record();
+      this.layers.removeLayer();
+    });
+
+    this.layerUpBtn.addEventListener("click", () => {
+      const i = this.layers.activeIndex;
+      if (this.isRecordingOrPlaying() || i >= this.layers.length - 1) return;
+      this.history.record();
+      this.layers.moveLayer(i, i + 1);
+    });
+
+    this.layerDownBtn.addEventListener("click", () => {
+      const i = this.layers.activeIndex;
+      if (this.isRecordingOrPlaying() || i <= 0) return;
+      this.history.record();
+      this.layers.moveLayer(i, i - 1);
+    });
+
+    this.mergeDownBtn.addEventListener("click", () => {
+      if (this.isRecordingOrPlaying() || this.layers.activeIndex <= 0) return;
+      this.history.record();
+      this.layers.mergeDown();
+    });
+
+    this.layers.onChange = () => {
+      this.renderLayerPanel();
+      this.markDirty();
+    };
+    this.renderLayerPanel();
+  }
+
+  // Temperature, humidity and wind, with presets
+  setupEnvironmentPanel() {
+    this.environmentBtn = document.getElementById("environmentBtn");
+    this.environmentPanel = document.getElementById("environmentPanel");
+    this.environmentSelect = document.getElementById("environmentSelect");
+    this.temperatureSlider = document.getElementById("temperatureSlider");
+    this.humiditySlider = document.getElementById("humiditySlider");
+    this.windSpeedSlider = document.getElementById("windSpeedSlider");
+    this.windDirectionSlider = document.getElementById("windDirectionSlider");
+    this.temperatureValue = document.getElementById("temperatureValue");
+    this.humidityValue = document.getElementById("humidityValue");
+    this.windSpeedValue = document.getElementById("windSpeedValue");
+    this.windDirectionValue = document.getElementById("windDirectionValue");
+
+    for (const preset of Environment.listPresets()) {
+      const option = document.createElement("option");
+      option.value = preset.id;
+      option.textContent = preset.name;
+      this.environmentSelect.appendChild(option);
+    }
+    const custom = document.createElement("option");
+    custom.value = "custom";
+    custom.textContent = "Custom";
+    this.environmentSelect.appendChild(custom);
+
+    this.environmentBtn.addEventListener("click", () => {
+      const show = this.environmentPanel.hidden;
+      this.environmentPanel.hidden = !show;
+      this.environmentBtn.classList.toggle("active", show);
+    });
+
+    this.environmentSelect.addEventListener("change", (e) => {
+      this.setEnvironmentPreset(e.target.value);
+    });
+
+    const sliders = [
+      this.temperatureSlider,
+      this.humiditySlider,
+      this.windSpeedSlider,
+      this.windDirectionSlider,
+    ];
+    for (const slider of sliders) {
+      slider.addEventListener("input", () => this.updateEnvironment());
+    }
+  }
+
+  setEnvironmentPreset(id) {
+    const preset = Environment.getPreset(id);
+    if (!preset) return;
+    this.temperatureSlider.value = preset.temperature;
+    this.humiditySlider.value = preset.humidity;
+    this.windSpeedSlider.value = preset.windSpeed;
+    this.windDirectionSlider.value = preset.windDirection;
+    this.updateEnvironment();
+  }
+
+  // Push the environment sliders to the engine and show which preset
+  // (if any) they match
+  updateEnvironment() {
+    const sp = this.sprayPaint;
+    const temperature = parseInt(this.temperatureSlider.value);
+    const humidity = parseInt(this.humiditySlider.value);
+    const windSpeed = parseInt(this.windSpeedSlider.value);
+    const windDirection = parseInt(this.windDirectionSlider.value);
+    sp.setTemperature(temperature);
+    sp.setHumidity(humidity);
+    sp.setWindSpeed(windSpeed);
+    sp.setWindDirection(windDirection);
+
+    this.temperatureValue.textContent = temperature + "°C";
+    this.humidityValue.textContent = humidity + "%";
+    this.windSpeedValue.textContent = windSpeed + " m/s";
+    this.windDirectionValue.textContent = windDirection + "°";
+
+    const preset = Environment.matchPreset(
+      temperature,
+      humidity,
+      windSpeed,
+      windDirection
+    );
+    this.environmentSelect.value = preset ? preset.id : "custom";
+  }
+
+  // Masking tape, film and stencils
+  setupMasksPanel() {
+    this.masksBtn = document.getElementById("masksBtn");
+    this.masksPanel = document.getElementById("masksPanel");
+    this.maskToolSelect = document.getElementById("maskToolSelect");
+    this.stencilShapeSelect = document.getElementById("stencilShapeSelect");
+    this.tapeWidthSlider = document.getElementById("tapeWidthSlider");
+    this.stencilGapSlider = document.getElementById("stencilGapSlider");
+    this.tapeWidthValue = document.getElementById("tapeWidthValue");
+    this.stencilGapValue = document.getElementById("stencilGapValue");
+    this.importStencilBtn = document.getElementById("importStencilBtn");
+    this.stencilFileInput = document.getElementById("stencilFileInput");
+    this.liftMaskBtn = document.getElementById("liftMaskBtn");
+    this.liftAllMasksBtn = document.getElementById("liftAllMasksBtn");
+
+    this.masksBtn.addEventListener("click", () => {
+      const show = this.masksPanel.hidden;
+      this.masksPanel.hidden = !show;
+      this.masksBtn.classList.toggle("active", show);
+    });
+
+    this.maskToolSelect.addEventListener("change", (e) => {
+      this.setMaskTool(e.target.value);
+    });
+    this.stencilShapeSelect.addEventListener("change", () =>
+      this.updateMaskControls()
+    );
+    this.tapeWidthSlider.addEventListener("input", () =>
+      this.updateMaskControls()
+    );
+    this.stencilGapSlider.addEventListener("input", () =>
+      this.updateMaskControls()
+    );
+
+    this.importStencilBtn.addEventListener("click", () => {
+      this.stencilFileInput.click();
+    });
+    this.stencilFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = ""; // allow re-importing the same file
+      if (file) this.importStencilImage(file);
+    });
+
+    this.liftMaskBtn.addEventListener("click", () => this.liftLastMask());
+    this.liftAllMasksBtn.addEventListener("click", () => this.liftAllMasks());
+
+    this.updateMaskControls();
+    this.updateMaskButtons();
+  }
+
+  // "none" hands the pointer back to the spray can
+  setMaskTool(mode) {
+    if (mode === "none") {
+      if (this.canvasDrawer.tool === this.maskTool) {
+        this.canvasDrawer.setTool(null);
+      }
+    } else {
+      this.maskTool.cancel();
+      this.maskTool.mode = mode;
+      this.canvasDrawer.setTool(this.maskTool);
+      this.shapeSelect.value = "none";
+    }
+    this.maskToolSelect.value = mode;
+  }
+
+  updateMaskControls() {
+    const tapeWidth = parseInt(this.tapeWidthSlider.value);
+    const gap = parseInt(this.stencilGapSlider.value);
+    this.maskTool.shape = this.stencilShapeSelect.value;
+    this.maskTool.tapeWidth = tapeWidth;
+    this.maskTool.gap = gap;
+    this.tapeWidthValue.textContent = tapeWidth + "px";
+    this.stencilGapValue.textContent = gap + "px";
+  }
+
+  updateMaskButtons() {
+    const empty = this.masks.length === 0;
+    this.liftMaskBtn.disabled = empty;
+    this.liftAllMasksBtn.disabled = empty;
+  }
+
+  // Spray text: content, font and layout for the text tool
+  setupTextPanel() {
+    this.textBtn = document.getElementById("textBtn");
+    this.textPanel = document.getElementById("textPanel");
+    this.textInput = document.getElementById("textInput");
+    this.textFontSelect = document.getElementById("textFontSelect");
+    this.loadFontBtn = document.getElementById("loadFontBtn");
+    this.fontFileInput = document.getElementById("fontFileInput");
+    this.textSizeSlider = document.getElementById("textSizeSlider");
+    this.letterSpacingSlider = document.getElementById("letterSpacingSlider");
+    this.textRotationSlider = document.getElementById("textRotationSlider");
+    this.textCurveSlider = document.getElementById("textCurveSlider");
+    this.textFillToggle = document.getElementById("textFillToggle");
+    this.textOutlineToggle = document.getElementById("textOutlineToggle");
+    this.textSizeValue = document.getElementById("textSizeValue");
+    this.letterSpacingValue = document.getElementById("letterSpacingValue");
+    this.textRotationValue = document.getElementById("textRotationValue");
+    this.textCurveValue = document.getElementById("textCurveValue");
+    this.textStyleSelect = document.getElementById("textStyleSelect");
+
+    for (const family of SprayText.FONTS) this.addFontOption(family);
+    this.textFontSelect.value = SprayText.DEFAULT_FONT;
+
+    this.textBtn.addEventListener("click", () => {
+      this.showTextPanel(this.textPanel.hidden);
+    });
+
+    for (const control of [
+      this.textInput,
+      this.textSizeSlider,
+      this.letterSpacingSlider,
+      this.textRotationSlider,
+      this.textCurveSlider,
+    ]) {
+      control.addEventListener("input", () => this.updateTextControls());
+    }
+    for (const control of [
+      this.textFontSelect,
+      this.textStyleSelect,
+      this.textFillToggle,
+      this.textOutlineToggle,
+    ]) {
+      control.addEventListener("change", () => this.updateTextControls());
+    }
+
+    this.loadFontBtn.addEventListener("click", () => {
+      this.fontFileInput.click();
+    });
+    this.fontFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = ""; // allow re-loading the same file
+      if (file) this.loadFont(file);
+    });
+
+    this.updateTextControls();
+  }
+
+  // Opening the panel picks up the text tool, closing it puts it down
+  showTextPanel(show) {
+    this.textPanel.hidden = !show;
+    this.textBtn.classList.toggle("active", show);
+    const holding = this.canvasDrawer.tool === this.textTool;
+    if (show && !holding) this.setShapeTool("text");
+    if (!show && holding) this.setShapeTool("none");
+  }
+
+  addFontOption(family) {
+    const option = document.createElement("option");
+    option.value = family;
+    option.textContent = family;
+    option.style.fontFamily = family;
+    this.textFontSelect.appendChild(option);
+  }
+
+  async loadFont(file) {
+    try {
+      const family = await SprayText.loadFontFile(file);
+      if (!SprayText.FONTS.includes(family)) this.addFontOption(family);
+      this.textFontSelect.value = family;
+      this.updateTextControls();
+    } catch (error) {
+      console.error("Failed to load font:", error);
+      alert("Could not load that font file.");
+    }
+  }
+
+  updateTextControls() {
+    const size = parseInt(this.textSizeSlider.value);
+    const letterSpacing = parseInt(this.letterSpacingSlider.value);
+    const rotation = parseInt(this.textRotationSlider.value);
+    const curve = parseInt(this.textCurveSlider.value);
+    Object.assign(this.textTool.options, {
+      text: this.textInput.value,
+      // a loaded font missing from this session falls back to the default
+      font: this.textFontSelect.value || SprayText.DEFAULT_FONT,
+      size,
+      letterSpacing,
+      rotation,
+      curve,
+      style: this.textStyleSelect.value,
+      fill: this.textFillToggle.checked,
+      outline: this.textOutlineToggle.checked,
+    });
+    this.textSizeValue.textContent = size + "px";
+    this.letterSpacingValue.textContent = letterSpacing + "px";
+    this.textRotationValue.textContent = rotation + "°";
+    this.textCurveValue.textContent = curve + "%";
+    this.layers.invalidate();
+  }
+
+  // Graffiti piece passes, used when the text style is a piece
+  setupPiecePanel() {
+    this.pieceBtn = document.getElementById("pieceBtn");
+    this.piecePanel = document.getElementById("piecePanel");
+    for (const id of [
+      "pieceFillColor",
+      "pieceFadeToggle",
+      "pieceFadeColor",
+      "pieceOutlineColor",
+      "pieceOutlineSlider",
+      "pieceExtrudeToggle",
+      "pieceExtrudeColor",
+      "pieceDepthSlider",
+      "pieceAngleSlider",
+      "pieceShadowToggle",
+      "pieceShadowColor",
+      "pieceShadowSlider",
+      "pieceShineToggle",
+      "pieceShineColor",
+      "pieceOutlineValue",
+      "pieceDepthValue",
+      "pieceAngleValue",
+      "pieceShadowValue",
+    ]) {
+      this[id] = document.getElementById(id);
+    }
+
+    this.pieceBtn.addEventListener("click", () => {
+      const show = this.piecePanel.hidden;
+      this.piecePanel.hidden = !show;
+      this.pieceBtn.classList.toggle("active", show);
+      if (show) {
+        this.textStyleSelect.value = "piece";
+        this.updateTextControls();
+      }
+    });
+
+    for (const slider of [
+      this.pieceOutlineSlider,
+      this.pieceDepthSlider,
+      this.pieceAngleSlider,
+      this.pieceShadowSlider,
+    ]) {
+      slider.addEventListener("input", () => this.updatePieceControls());
+    }
+
+    this.updatePieceControls();
+  }
+
+  updatePieceControls() {
+    this.pieceOutlineValue.textContent = this.pieceOutlineSlider.value + "px";
+    this.pieceDepthValue.textContent = this.pieceDepthSlider.value + "px";
+    this.pieceAngleValue.textContent = this.pieceAngleSlider.value + "°";
+    this.pieceShadowValue.textContent = this.pieceShadowSlider.value + "px";
+  }
+
+  // GraffitiPiece style from the Piece panel; unticked passes are left out
+  getPieceStyle() {
+    const optional = (toggle, color) => (toggle.checked ? color.value : null);
+    return {
+      fill: this.pieceFillColor.value,
+      fade: optional(this.pieceFadeToggle, this.pieceFadeColor),
+      outline: this.pieceOutlineColor.value,
+      outlineWidth: parseInt(this.pieceOutlineSlider.value),
+      extrude: optional(this.pieceExtrudeToggle, this.pieceExtrudeColor),
+      depth: parseInt(this.pieceDepthSlider.value),
+      angle: parseInt(this.pieceAngleSlider.value),
+      shadow: optional(this.pieceShadowToggle, this.pieceShadowColor),
+      shadowOffset: parseInt(this.pieceShadowSlider.value),
+      shine: optional(this.pieceShineToggle, this.pieceShineColor),
+      density: this.shapeTool.density,
+    };
+  }
+
+  // SVG artwork: a guide to trace by hand, or sprayed by the synthetic hand
+  setupSvgPanel() {
+    this.importSvgBtn = document.getElementById("importSvgBtn");
+    this.svgFileInput = document.getElementById("svgFileInput");
+    this.svgPanel = document.getElementById("svgPanel");
+    this.svgNameValue = document.getElementById("svgNameValue");
+    this.svgFillsToggle = document.getElementById("svgFillsToggle");
+    this.svgStrokesToggle = document.getElementById("svgStrokesToggle");
+    this.svgColorsToggle = document.getElementById("svgColorsToggle");
+    this.svgGuideToggle = document.getElementById("svgGuideToggle");
+    this.spraySvgBtn = document.getElementById("spraySvgBtn");
+    this.svgPieceBtn = document.getElementById("svgPieceBtn");
+    this.clearSvgBtn = document.getElementById("clearSvgBtn");
+
+    this.importSvgBtn.addEventListener("click", () => {
+      this.svgFileInput.click();
+    });
+    this.svgFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = ""; // allow re-importing the same file
+      if (file) this.importSvg(file);
+    });
+    this.svgGuideToggle.addEventListener("change", () => this.updateSvgGuide());
+    this.spraySvgBtn.addEventListener("click", () => this.spraySvg());
+    this.svgPieceBtn.addEventListener("click", () => this.spraySvgPiece());
+    this.clearSvgBtn.addEventListener("click", () => this.clearSvg());
+  }
+
+  // Fitted to the document and shown as a guide until removed
+  async importSvg(file) {
+    try {
+      const source = await file.text();
+      this.svgArtwork = SvgImport.parse(
+        source,
+        this.layers.width,
+        this.layers.height
+      );
+    } catch (error) {
+      console.error("Failed to import SVG:", error);
+      alert(`Could not import SVG: ${error.message || error}`);
+      return;
+    }
+    this.svgNameValue.textContent = file.name;
+    this.svgPanel.hidden = false;
+    this.importSvgBtn.classList.add("active");
+    this.updateSvgGuide();
+  }
+
+  updateSvgGuide() {
+    const show = this.svgArtwork && this.svgGuideToggle.checked;
+    this.canvasDrawer.setGuide(show ? this.svgArtwork : null);
+  }
+
+  // Fills swept, strokes followed, in the SVG's paint order; one undo step
+  spraySvg() {
+    const artwork = this.svgArtwork;
+    if (!artwork) return;
+    const passes = artwork.passes({
+      fills: this.svgFillsToggle.checked,
+      strokes: this.svgStrokesToggle.checked,
+      colors: this.svgColorsToggle.checked,
+      spacing: ShapeStroke.fillSpacing(
+        this.sprayPaint,
+        this.shapeTool.density
+      ),
+    });
+    if (!passes.length) return;
+    this.sweep(
+      (handOptions) => new PassStroke(this.sprayPaint, passes, handOptions)
+    );
+  }
+
+  // The filled shapes as letter outlines of a Piece panel piece
+  spraySvgPiece() {
+    const outlines = this.svgArtwork && this.svgArtwork.outlines();
+    if (!outlines || !outlines.length) return;
+    const style = this.getPieceStyle();
+    // the piece's passes record their own undo steps
+    this.sweep(
+      (handOptions) =>
+        GraffitiPiece.fromPaths(this.sprayPaint, outlines, style, handOptions),
+      false
+    );
+  }
+
+  clearSvg() {
+    this.svgArtwork = null;
+    this.svgPanel.hidden = true;
+    this.importSvgBtn.classList.remove("active");
+    this.updateSvgGuide();
+  }
+
+  placeMask(spec) {
+    if (this.player.playing) return;
+    this.history.record();
+    this.sprayPaint.addMask(spec);
+  }
+
+  liftLastMask() {
+    const pieces = this.masks.pieces;
+    if (this.player.playing || pieces.length === 0) return;
+    this.history.record();
+    this.sprayPaint.liftMask(pieces[pieces.length - 1].id);
+  }
+
+  liftAllMasks() {
+    if (this.player.playing || this.masks.length === 0) return;
+    this.history.record();
+    this.sprayPaint.liftAllMasks();
+  }
+
+  // Dark shapes in the image become holes in a stencil card
+  async importStencilImage(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const image = await ProjectFile._loadImage(url);
+      this.placeMask(
+        MaskStack.imageSpec(
+          image,
+          this.layers.width,
+          this.layers.height,
+          parseInt(this.stencilGapSlider.value)
+        )
+      );
+    } catch (error) {
+      console.error("Failed to import stencil:", error);
+      alert(`Could not import stencil: ${error.message || error}`);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  renderLayerPanel() {
+    const layers = this.layers;
+    const busy = this.isRecordingOrPlaying();
+    this.layerList.innerHTML = "";
+
+    // top layer first, like most paint apps
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers.layers[i];
+      const row = document.createElement("li");
+      row.className = "layer-row" + (i === layers.activeIndex ? " active" : "");
+
+      const visible = document.createElement("input");
+      visible.type = "checkbox";
+      visible.checked = layer.visible;
+      visible.title = "Visible";
+      visible.addEventListener("change", () =>
+        layers.setVisible(i, visible.checked)
+      );
+
+      const name = document.createElement("span");
+      name.className = "layer-name";
+      name.textContent = layer.name;
+      name.title = "Double-click to rename";
+      name.addEventListener("dblclick", () => {
+        const newName = prompt("Layer name:", layer.name);
+        if (newName) layers.renameLayer(i, newName.trim());
+      });
+
+      const locked = document.createElement("input");
+      locked.type = "checkbox";
+      locked.checked = layer.locked;
+      locked.disabled = busy; // a locked layer takes no paint on replay
+      locked.title = "Lock";
+      locked.addEventListener("change", () =>
+        layers.setLocked(i, locked.checked)
+      );
+
+      row.addEventListener("click", (e) => {
+        if (e.target.tagName !== "INPUT" && i !== layers.activeIndex) {
+          layers.setActive(i);
+        }
+      });
+
+      row.append(visible, name, locked);
+      this.layerList.appendChild(row);
+    }
+
+    const active = layers.active;
+    const opacity = Math.round(active.opacity * 100);
+    this.layerOpacitySlider.value = opacity;
+    this.layerOpacityValue.textContent = opacity + "%";
+    this.layerBlendSelect.value = active.blendMode;
+
+    this.addLayerBtn.disabled = busy;
+    this.removeLayerBtn.disabled = busy || layers.length <= 1;
+    this.layerUpBtn.disabled = busy || layers.activeIndex >= layers.length - 1;
+    this.layerDownBtn.disabled = busy || layers.activeIndex <= 0;
+    this.mergeDownBtn.disabled = busy || layers.activeIndex <= 0;
+  }
+
+  populateMaterialSelect() {
+    for (const material of MaterialCatalog.list()) {
+      const option = document.createElement("option");
+      option.value = material.id;
+      option.textContent = material.name;
+      this.materialSelect.appendChild(option);
+    }
+    this.materialSelect.value = this.sprayPaint.material;
+  }
+
+  populateToolSelect() {
+    for (const tool of Object.values(SprayPaint.TOOLS)) {
+      const option = document.createElement("option");
+      option.value = tool.id;
+      option.textContent = tool.name;
+      this.toolSelect.appendChild(option);
+    }
+    this.toolSelect.value = this.sprayPaint.tool;
+  }
+
+  // "none" sprays freehand again; "text" places spray text (Text panel)
+  setShapeTool(shape) {
+    const current = this.canvasDrawer.tool;
+    if (shape === "none") {
+      if (current === this.shapeTool || current === this.textTool) {
+        this.canvasDrawer.setTool(null);
+      }
+    } else if (shape === "text") {
+      this.textTool.cancel();
+      this.canvasDrawer.setTool(this.textTool);
+      if (this.maskToolSelect) this.maskToolSelect.value = "none";
+      if (this.textPanel) this.showTextPanel(true);
+    } else {
+      this.shapeTool.cancel();
+      this.shapeTool.shape = shape;
+      this.canvasDrawer.setTool(this.shapeTool);
+      if (this.maskToolSelect) this.maskToolSelect.value = "none";
+    }
+    this.shapeSelect.value = shape;
+  }
+
+  updateShapeControls() {
+    const density = parseInt(this.shapeDensitySlider.value);
+    this.shapeTool.fill = this.shapeFillToggle.checked;
+    this.shapeTool.density = density / 100;
+    this.shapeDensityValue.textContent = density + "%";
+    this.handSpeedValue.textContent = this.handSpeedSlider.value + " px/s";
+  }
+
+  // Sweep the shape with a synthetic hand, animated on screen
+  sprayShape(spec) {
+    this.sweep((options) =>
+      ShapeStroke.forShape(this.sprayPaint, spec, options)
+    );
+  }
+
+  // Spray the Text panel's text centred on x, y, once its font has loaded
+  async sprayText(x, y) {
+    const options = this.textTool.options;
+    await SprayText.ready(options);
+    const layout = SprayText.layout({ ...options, x, y });
+    if (options.style === "piece") {
+      const style = this.getPieceStyle();
+      // the piece's passes record their own undo steps
+      this.sweep(
+        (handOptions) =>
+          GraffitiPiece.fromText(this.sprayPaint, layout, style, handOptions),
+        false
+      );
+      return;
+    }
+    const style = {
+      fill: options.fill,
+      outline: options.outline,
+      density: this.shapeTool.density,
+    };
+    this.sweep((handOptions) =>
+      ShapeStroke.forText(this.sprayPaint, layout, style, handOptions)
+    );
+  }
+
+  // Play the synthetic hand make(options) builds (a ShapeStroke,
+  // PassStroke or GraffitiPiece), as one undo step unless `oneStep` is false
+  sweep(make, oneStep = true) {
+    if (this.player.playing || this.shapeStroke) return;
+    if (!this.sprayPaint.canPaint()) return;
+    const hand = make({
+      speed: parseInt(this.handSpeedSlider.value),
+      easing: this.shapeEasingSelect.value,
+    });
+    if (!hand) return;
+    if (oneStep) this.history.record();
+    this.shapeStroke = hand;
+    this.shapeStroke
+      .play()
+      .catch((error) => console.error("Synthetic stroke failed:", error))
+      .finally(() => {
+        this.shapeStroke = null;
+      });
+  }
+
+  stopShapeStroke() {
+    if (this.shapeStroke) this.shapeStroke.stop();
+  }
+
+  // E swaps between the can and the hard eraser
+  toggleEraser() {
+    const tool = this.sprayPaint.tool === "eraser" ? "spray" : "eraser";
+    this.sprayPaint.setTool(tool);
+    this.toolSelect.value = tool;
+  }
+
+  populateCapSelect() {
+    for (const cap of CapCatalog.list()) {
+      const option = document.createElement("option");
+      option.value = cap.id;
+      option.textContent = cap.name;
+      this.capSelect.appendChild(option);
+    }
+    this.capSelect.value = this.sprayPaint.cap;
+  }
+
+  populateSubstrateSelect() {
+    for (const substrate of SubstrateCatalog.list()) {
+      const option = document.createElement("option");
+      option.value = substrate.id;
+      option.textContent = substrate.name;
+      this.substrateSelect.appendChild(option);
+    }
+    this.substrateSelect.value = this.sprayPaint.substrate;
+  }
+
+  // Fit the nozzle slider to the active cap's range
+  updateCapControls() {
+    const [min, max] = this.sprayPaint.getCap().nozzle;
+    this.nozzleSlider.min = min;
+    this.nozzleSlider.max = max;
+    this.nozzleSlider.value = this.sprayPaint.nozzleSize;
+    this.nozzleValue.textContent = this.sprayPaint.nozzleSize;
+  }
+
   updateDisplayValues() {
     // Set initial values from sliders
     this.nozzleValue.textContent = this.nozzleSlider.value;
@@ -340,16 +1511,26 @@ class SprayPaintApp {
     this.scatterSizeValue.textContent = this.scatterSizeSlider.value + "%";
     this.oversprayValue.textContent = this.overspraySlider.value + "%";
     this.distanceValue.textContent = this.distanceSlider.value + "px";
+    this.canAngleValue.textContent = this.canAngleSlider.value + "°";
+    this.canAzimuthValue.textContent = this.canAzimuthSlider.value + "°";
     this.dripThresholdValue.textContent = this.dripThresholdSlider.value + "%";
     this.dripGravityValue.textContent = this.dripGravitySlider.value;
     this.dripViscosityValue.textContent = this.dripViscositySlider.value;
     this.dripEvaporationValue.textContent = (
       parseFloat(this.dripEvaporationSlider.value) / 100
     ).toFixed(2);
+    this.dripDirectionValue.textContent = this.dripDirectionSlider.value + "°";
+    this.dripSurfaceValue.textContent = this.dripSurfaceSlider.value + "°";
 
     // Set initial spray paint values
+    this.sprayPaint.setTool(this.toolSelect.value);
     this.sprayPaint.setColor(this.colorPicker.value);
+    this.sprayPaint.setBuffColor(this.buffColorPicker.value);
+    this.sprayPaint.setMaterial(this.materialSelect.value);
+    this.sprayPaint.setSubstrate(this.substrateSelect.value);
+    this.sprayPaint.setCap(this.capSelect.value);
     this.sprayPaint.setNozzleSize(parseInt(this.nozzleSlider.value));
+    this.updateCapControls();
     this.sprayPaint.setSoftness(parseInt(this.softnessSlider.value));
     this.sprayPaint.setOpacity(parseInt(this.opacitySlider.value));
     this.sprayPaint.setFlow(parseInt(this.flowSlider.value));
@@ -358,6 +1539,8 @@ class SprayPaintApp {
     this.sprayPaint.setScatterSize(parseInt(this.scatterSizeSlider.value));
     this.sprayPaint.setOverspray(parseInt(this.overspraySlider.value));
     this.sprayPaint.setDistance(parseInt(this.distanceSlider.value));
+    this.sprayPaint.setCanAngle(parseInt(this.canAngleSlider.value));
+    this.sprayPaint.setCanAzimuth(parseInt(this.canAzimuthSlider.value));
     this.sprayPaint.setDripThreshold(parseInt(this.dripThresholdSlider.value));
     this.sprayPaint.setDripGravity(parseInt(this.dripGravitySlider.value));
     this.sprayPaint.setDripViscosity(
@@ -366,6 +1549,15 @@ class SprayPaintApp {
     this.sprayPaint.setDripEvaporation(
       parseFloat(this.dripEvaporationSlider.value)
     );
+    this.sprayPaint.setGravityDirection(
+      parseInt(this.dripDirectionSlider.value)
+    );
+    this.sprayPaint.setSurfaceTilt(parseInt(this.dripSurfaceSlider.value));
+    this.updateEnvironment();
+    this.updateMaskControls();
+    this.updateShapeControls();
+    this.updateTextControls();
+    this.updatePieceControls();
   }
 
   // Public methods for external control
@@ -376,22 +1568,32 @@ class SprayPaintApp {
   }
 
   updateColorPresetButtons(currentColor) {
-    // Remove active class from all preset buttons
-    this.goldColorBtn.classList.remove("active");
-    this.blackColorBtn.classList.remove("active");
+    // A preset is active when both its color and material match
+    const color = currentColor.toLowerCase();
+    const material = this.sprayPaint.material;
+    SprayPaintApp.COLOR_PRESETS.forEach((preset, i) => {
+      const match =
+        preset.color.toLowerCase() === color && preset.material === material;
+      this.colorPresetBtns[i].classList.toggle("active", match);
+    });
+  }
 
-    // Add active class to matching button
-    if (currentColor === "#EAC677") {
-      this.goldColorBtn.classList.add("active");
-    } else if (currentColor === "#221F20") {
-      this.blackColorBtn.classList.add("active");
-    }
+  setMaterial(id) {
+    this.sprayPaint.setMaterial(id);
+    this.materialSelect.value = this.sprayPaint.material;
+    this.updateColorPresetButtons(this.sprayPaint.color);
   }
 
   setNozzleSize(size) {
     this.sprayPaint.setNozzleSize(size);
-    this.nozzleSlider.value = size;
-    this.nozzleValue.textContent = size;
+    this.nozzleSlider.value = this.sprayPaint.nozzleSize;
+    this.nozzleValue.textContent = this.sprayPaint.nozzleSize;
+  }
+
+  setCap(id) {
+    this.sprayPaint.setCap(id);
+    this.capSelect.value = this.sprayPaint.cap;
+    this.updateCapControls();
   }
 
   setSoftness(softness) {
@@ -413,9 +1615,427 @@ class SprayPaintApp {
   }
 
   clear() {
+    this.history.record();
     this.canvasDrawer.clear();
   }
 
+  // Resize the document (all layers + drip buffers). scale=true resamples
+  // the artwork, otherwise it keeps its pixel size and is cropped/extended.
+  resizeDocument(width, height, scale = true) {
+    const max = SprayPaintApp.MAX_DOCUMENT_SIZE;
+    width = Math.max(1, Math.min(max, Math.round(width)));
+    height = Math.max(1, Math.min(max, Math.round(height)));
+    if (width === this.layers.width && height === this.layers.height) return;
+
+    this.stopShapeStroke();
+    this.sprayPaint.stopDrawing();
+    this.sprayPaint.settle();
+    this.layers.resize(width, height, { scale });
+    this.sprayPaint.setDocumentSize(width, height);
+    // masks are cut for the old wall: they come off
+    this.masks.setSize(width, height);
+  }
+
+  promptDocumentSize() {
+    if (this.recorder.isRecording || this.player.playing) return;
+    const current = `${this.layers.width}x${this.layers.height}`;
+    const answer = prompt("Document size in pixels (width x height):", current);
+    if (!answer) return;
+    const match = answer.match(/^\s*(\d+)\s*[x×, ]\s*(\d+)\s*$/i);
+    if (!match) {
+      alert(`Invalid size "${answer}", expected e.g. 1920x1080`);
+      return;
+    }
+    const scale = confirm(
+      "Scale the artwork to the new size?\n" +
+        "OK: scale  ·  Cancel: keep pixel size (crop / extend)"
+    );
+    this.stopShapeStroke();
+    this.history.record();
+    this.resizeDocument(parseInt(match[1]), parseInt(match[2]), scale);
+  }
+
+  undo() {
+    // restoring a snapshot can't be reproduced from a recording
+    if (this.recorder.isRecording || this.player.playing) return;
+    this.stopShapeStroke();
+    this.history.undo();
+  }
+
+  redo() {
+    if (this.recorder.isRecording || this.player.playing) return;
+    this.stopShapeStroke();
+    this.history.redo();
+  }
+
+  applyHistoryLimits() {
+    const maxDepth = parseInt(this.historyDepthSlider.value);
+    const megabytes = parseInt(this.historyMemorySlider.value);
+    this.history.setLimits({ maxDepth, maxBytes: megabytes * 1024 * 1024 });
+    this.historyDepthValue.textContent = maxDepth;
+    this.historyMemoryValue.textContent = megabytes + " MB";
+  }
+
+  // Snapshot restores and layer structure edits aren't recorded, so they
+  // wait while a session is recorded or replayed
+  isRecordingOrPlaying() {
+    return this.recorder.isRecording || this.player.playing;
+  }
+
+  updateHistoryButtons() {
+    const busy = this.isRecordingOrPlaying();
+    this.undoBtn.disabled = busy || !this.history.canUndo();
+    this.redoBtn.disabled = busy || !this.history.canRedo();
+  }
+
+  toggleRecording() {
+    if (this.player.playing) return;
+    if (this.recorder.isRecording) {
+      this.lastRecording = this.recorder.stop();
+    } else {
+      this.recorder.start();
+    }
+    this.updateRecordingButtons();
+    this.updateHistoryButtons();
+    this.renderLayerPanel();
+  }
+
+  replayRecording() {
+    if (!this.lastRecording || this.recorder.isRecording) return;
+    if (this.player.playing) {
+      this.player.stop();
+      return;
+    }
+
+    this.history.record();
+    const done = this.player.play(this.lastRecording);
+    this.updateRecordingButtons();
+    this.updateHistoryButtons();
+    this.renderLayerPanel();
+    done.then(() => {
+      // player may have replayed through settings; resync the UI
+      this.syncControlsFromEngine();
+      this.updateRecordingButtons();
+      this.updateHistoryButtons();
+      this.renderLayerPanel();
+    });
+  }
+
+  updateRecordingButtons() {
+    const recording = this.recorder.isRecording;
+    const playing = this.player.playing;
+    this.recordBtn.textContent = recording ? "Stop Rec" : "Record";
+    this.recordBtn.classList.toggle("recording", recording);
+    this.recordBtn.disabled = playing;
+    this.replayBtn.textContent = playing ? "Stop" : "Replay";
+    this.replayBtn.disabled = recording || !this.lastRecording;
+  }
+
+  updateDripToggleButton(enabled) {
+    this.dripToggleBtn.textContent = enabled ? "Disable Drips" : "Enable Drips";
+    this.dripToggleBtn.style.backgroundColor = enabled ? "#4CAF50" : "#f44336";
+  }
+
+  // Slider/picker values keyed by element id (project files)
+  getControlValues() {
+    const values = {};
+    for (const id of SprayPaintApp.CONTROL_IDS) values[id] = this[id].value;
+    return values;
+  }
+
+  applyControlValues(values) {
+    // the nozzle slider's range depends on the cap, so switch caps first
+    if (values.capSelect !== undefined) this.setCap(values.capSelect);
+    for (const id of SprayPaintApp.CONTROL_IDS) {
+      if (values[id] !== undefined) this[id].value = values[id];
+    }
+    this.updateDisplayValues();
+    this.updateColorPresetButtons(this.colorPicker.value);
+  }
+
+  saveProject() {
+    const json = ProjectFile.stringify(this);
+    const blob = new Blob([json], { type: "application/json" });
+    const link = document.createElement("a");
+    link.download = `spray-paint-${Date.now()}${ProjectFile.EXTENSION}`;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  openProject() {
+    this.projectFileInput.click();
+  }
+
+  async loadProjectFile(file) {
+    try {
+      const doc = ProjectFile.parse(await file.text());
+      await this.openDocument(doc);
+    } catch (error) {
+      console.error("Failed to open project:", error);
+      alert(`Could not open project: ${error.message}`);
+    }
+  }
+
+  // Replace the document with a migrated project manifest
+  async openDocument(doc) {
+    if (this.recorder.isRecording) this.toggleRecording();
+    this.player.stop();
+    this.stopShapeStroke();
+    await ProjectFile.apply(this, doc);
+    // an opened project starts a fresh history
+    this.history.clear();
+    this.updateRecordingButtons();
+  }
+
+  // --- Autosave / gallery (IndexedDB) ---
+  setupStorage() {
+    this.galleryBtn = document.getElementById("galleryBtn");
+    this.galleryPanel = document.getElementById("galleryPanel");
+    this.galleryList = document.getElementById("galleryList");
+    this.saveToGalleryBtn = document.getElementById("saveToGalleryBtn");
+
+    if (!ProjectStore.isSupported()) {
+      console.warn("IndexedDB unavailable: autosave and gallery disabled");
+      this.galleryBtn.disabled = true;
+      return;
+    }
+    this.store = new ProjectStore();
+
+    this.galleryBtn.addEventListener("click", () => this.toggleGallery());
+    this.saveToGalleryBtn.addEventListener("click", () =>
+      this.saveToGallery()
+    );
+
+    // last chance to persist when the tab is hidden or closed
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.autosave();
+    });
+    window.addEventListener("pagehide", () => this.autosave());
+    this.sprayPaint.on("strokeend", () => this.markDirty());
+
+    // nothing is written until the user has answered the restore prompt,
+    // so a declined session isn't overwritten by the blank canvas early
+    this.restoreAutosave().finally(() => {
+      this._autosaveTimer = setInterval(
+        () => this.autosave(),
+        SprayPaintApp.AUTOSAVE_INTERVAL
+      );
+    });
+  }
+
+  markDirty() {
+    this._autosaveDirty = true;
+  }
+
+  async restoreAutosave() {
+    try {
+      const record = await this.store.get(ProjectStore.AUTOSAVE_ID);
+      if (!record) return;
+      const when = new Date(record.updatedAt).toLocaleString();
+      if (!confirm(`Restore your previous session from ${when}?`)) return;
+      await this.openDocument(ProjectFile.migrate(record.project));
+      this._autosaveDirty = false;
+    } catch (error) {
+      console.error("Failed to restore autosave:", error);
+    }
+  }
+
+  async autosave() {
+    if (!this.store || !this._autosaveTimer || this._autosaving) return;
+    if (!this._autosaveDirty) return;
+    // never snapshot half a stroke or a session in progress
+    if (
+      this.sprayPaint.isDrawing ||
+      this.shapeStroke ||
+      this.recorder.isRecording ||
+      this.player.playing
+    ) {
+      return;
+    }
+
+    this._autosaving = true;
+    this._autosaveDirty = false;
+    try {
+      const now = Date.now();
+      await this.store.put({
+        id: ProjectStore.AUTOSAVE_ID,
+        name: "Autosave",
+        createdAt: now,
+        updatedAt: now,
+        thumbnail: this.canvasDrawer.createThumbnail(),
+        project: ProjectFile.serialize(this),
+      });
+    } catch (error) {
+      this._autosaveDirty = true;
+      console.error("Autosave failed:", error);
+    } finally {
+      this._autosaving = false;
+    }
+  }
+
+  toggleGallery() {
+    const show = this.galleryPanel.hidden;
+    this.galleryPanel.hidden = !show;
+    this.galleryBtn.classList.toggle("active", show);
+    if (show) this.renderGallery();
+  }
+
+  async saveToGallery() {
+    const name = prompt(
+      "Name this piece:",
+      `Piece ${new Date().toLocaleString()}`
+    );
+    if (!name) return;
+    try {
+      const now = Date.now();
+      await this.store.put({
+        id: ProjectStore.newId(),
+        name: name.trim(),
+        createdAt: now,
+        updatedAt: now,
+        thumbnail: this.canvasDrawer.createThumbnail(),
+        project: ProjectFile.serialize(this),
+      });
+      this.renderGallery();
+    } catch (error) {
+      console.error("Failed to save to gallery:", error);
+      alert(`Could not save to gallery: ${error.message}`);
+    }
+  }
+
+  async openFromGallery(id) {
+    try {
+      const record = await this.store.get(id);
+      if (!record) return;
+      if (!confirm(`Replace the current canvas with "${record.name}"?`)) {
+        return;
+      }
+      await this.openDocument(ProjectFile.migrate(record.project));
+    } catch (error) {
+      console.error("Failed to open piece:", error);
+      alert(`Could not open piece: ${error.message}`);
+    }
+  }
+
+  async renderGallery() {
+    let pieces;
+    try {
+      pieces = await this.store.list();
+    } catch (error) {
+      console.error("Failed to list gallery:", error);
+      return;
+    }
+
+    this.galleryList.innerHTML = "";
+    if (!pieces.length) {
+      const empty = document.createElement("li");
+      empty.className = "gallery-empty";
+      empty.textContent = "No saved pieces yet";
+      this.galleryList.appendChild(empty);
+      return;
+    }
+
+    for (const piece of pieces) {
+      const row = document.createElement("li");
+      row.className = "gallery-item";
+
+      const thumb = document.createElement("img");
+      thumb.src = piece.thumbnail;
+      thumb.alt = piece.name;
+      thumb.title = "Open";
+      thumb.addEventListener("click", () => this.openFromGallery(piece.id));
+
+      const info = document.createElement("div");
+      info.className = "gallery-info";
+      const name = document.createElement("span");
+      name.className = "gallery-name";
+      name.textContent = piece.name;
+      const date = document.createElement("small");
+      date.textContent = new Date(piece.updatedAt).toLocaleString();
+
+      const actions = document.createElement("div");
+      actions.className = "gallery-actions";
+      const button = (label, title, onClick) => {
+        const btn = document.createElement("button");
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener("click", onClick);
+        actions.appendChild(btn);
+      };
+
+      // a failed store change is reported; the list is redrawn either way
+      const change = async (verb, action) => {
+        try {
+          await action();
+        } catch (error) {
+          console.error(`Failed to ${verb} piece:`, error);
+          alert(`Could not ${verb} piece: ${error.message}`);
+        }
+        this.renderGallery();
+      };
+
+      button("Open", "Open this piece", () => this.openFromGallery(piece.id));
+      button("Rename", "Rename this piece", () => {
+        const newName = prompt("Piece name:", piece.name);
+        if (!newName || !newName.trim()) return;
+        change("rename", () => this.store.rename(piece.id, newName.trim()));
+      });
+      button("Copy", "Duplicate this piece", () =>
+        change("duplicate", () => this.store.duplicate(piece.id))
+      );
+      button("Delete", "Delete this piece", () => {
+        if (!confirm(`Delete "${piece.name}"?`)) return;
+        change("delete", () => this.store.delete(piece.id));
+      });
+
+      info.append(name, date, actions);
+      row.append(thumb, info);
+      this.galleryList.appendChild(row);
+    }
+  }
+
+  // Reflect the engine's current brush/drip settings in the sliders
+  syncControlsFromEngine() {
+    const sp = this.sprayPaint;
+    this.toolSelect.value = sp.tool;
+    this.colorPicker.value = sp.color;
+    this.buffColorPicker.value = sp.buffColor;
+    this.materialSelect.value = sp.material;
+    this.wetMixToggle.checked = sp.wetMixing;
+    this.substrateSelect.value = sp.substrate;
+    this.capSelect.value = sp.cap;
+    this.updateCapControls();
+    this.softnessSlider.value = Math.round(sp.softness * 100);
+    this.opacitySlider.value = Math.round(sp.opacity * 100);
+    this.flowSlider.value = Math.round(sp.flow * 100);
+    this.scatterRadiusSlider.value = Math.round(
+      sp.scatterRadiusMultiplier * 100
+    );
+    this.scatterAmountSlider.value = Math.round(
+      sp.scatterAmountMultiplier * 100
+    );
+    this.scatterSizeSlider.value = Math.round(sp.scatterSizeMultiplier * 100);
+    this.overspraySlider.value = Math.round(sp.oversprayMultiplier * 100);
+    this.distanceSlider.value = sp.distance;
+    this.canAngleSlider.value = Math.round(sp.canAngle);
+    this.canAzimuthSlider.value = Math.round(sp.canAzimuth);
+    this.penTiltToggle.checked = sp.useStylusTilt;
+    this.dripThresholdSlider.value = Math.round(sp.DRIP_THRESHOLD * 100);
+    this.dripGravitySlider.value = sp.GRAVITY;
+    this.dripViscositySlider.value = sp.VISCOSITY;
+    this.dripEvaporationSlider.value = Math.round(sp.WET_EVAP * 100);
+    this.dripDirectionSlider.value = Math.round(sp.gravityDirection);
+    this.dripSurfaceSlider.value = Math.round(sp.surfaceTilt);
+    this.temperatureSlider.value = Math.round(sp.temperature);
+    this.humiditySlider.value = Math.round(sp.humidity);
+    this.windSpeedSlider.value = Math.round(sp.windSpeed);
+    this.windDirectionSlider.value = Math.round(sp.windDirection);
+    this.updateDisplayValues();
+    this.updateColorPresetButtons(sp.color);
+    this.updateDripToggleButton(sp.dripsEnabled);
+  }
+
   exportPNG() {
     this.canvasDrawer.exportPNG();
   }
@@ -425,15 +2045,87 @@ class SprayPaintApp {
     return this.sprayPaint;
   }
 
-  getShapeDrawer() {
-    return this.shapeDrawer;
-  }
-
   getCanvasDrawer() {
     return this.canvasDrawer;
   }
+
+  getHistory() {
+    return this.history;
+  }
+
+  getLayers() {
+    return this.layers;
+  }
 }
 
+// Controls captured in project files; each id is also the app property name
+SprayPaintApp.CONTROL_IDS = [
+  "toolSelect",
+  "colorPicker",
+  "buffColorPicker",
+  "shapeDensitySlider",
+  "handSpeedSlider",
+  "shapeEasingSelect",
+  "materialSelect",
+  "substrateSelect",
+  "capSelect",
+  "nozzleSlider",
+  "softnessSlider",
+  "opacitySlider",
+  "flowSlider",
+  "scatterRadiusSlider",
+  "scatterAmountSlider",
+  "scatterSizeSlider",
+  "overspraySlider",
+  "distanceSlider",
+  "canAngleSlider",
+  "canAzimuthSlider",
+  "dripThresholdSlider",
+  "dripGravitySlider",
+  "dripViscositySlider",
+  "dripEvaporationSlider",
+  "dripDirectionSlider",
+  "dripSurfaceSlider",
+  "temperatureSlider",
+  "humiditySlider",
+  "windSpeedSlider",
+  "windDirectionSlider",
+  "stencilShapeSelect",
+  "tapeWidthSlider",
+  "stencilGapSlider",
+  "textInput",
+  "textFontSelect",
+  "textSizeSlider",
+  "letterSpacingSlider",
+  "textRotationSlider",
+  "textCurveSlider",
+  "textStyleSelect",
+  "pieceFillColor",
+  "pieceFadeColor",
+  "pieceOutlineColor",
+  "pieceOutlineSlider",
+  "pieceExtrudeColor",
+  "pieceDepthSlider",
+  "pieceAngleSlider",
+  "pieceShadowColor",
+  "pieceShadowSlider",
+  "pieceShineColor",
+];
+
+// Preset swatches: a color in a material
+SprayPaintApp.COLOR_PRESETS = [
+  { id: "goldColorBtn", color: "#EAC677", material: "metallic" },
+  { id: "silverColorBtn", color: "#C9CCD1", material: "metallic" },
+  { id: "copperColorBtn", color: "#B87333", material: "metallic" },
+  { id: "chromeColorBtn", color: "#D7DCE2", material: "chrome" },
+  { id: "blackColorBtn", color: "#221F20", material: "matte" },
+];
+
+SprayPaintApp.AUTOSAVE_INTERVAL = 30000; // ms
+SprayPaintApp.MAX_DOCUMENT_SIZE = 8192; // px per side
+SprayPaintApp.ZOOM_STEP = 1.25;
+SprayPaintApp.ROTATE_STEP = Math.PI / 12; // 15°
+
 // Initialize the app when the script loads
 const app = new SprayPaintApp();
 
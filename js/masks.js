@@ -0,0 +1,658 @@
+// Masking: tape, masking film, shape stencils and image stencils laid on
+// the wall. Each piece keeps its hard cover (where it blocks paint), a
+// shield (the cover softened where paint creeps under an edge that stands
+// `gap` px off the wall) and the paint that landed on its face. Pieces
+// are built from plain specs, so they can be recorded, saved and undone.
+class MaskStack {
+  constructor(width, height, bufScale = 2) {
+    this.width = width;
+    this.height = height;
+    this.bufScale = bufScale;
+    this.pieces = [];
+    this._nextId = 1;
+
+    // union of all pieces: cover / shield bitmaps and per-cell grids
+    this.cover = null;
+    this.shield = null;
+    this.coverGrid = null; // hard cover per wetness cell, 0–1
+    this.openGrid = null; // share of spray reaching the wall per cell
+
+    // set between begin() and end(): the wall under the masks is held in
+    // _under while the covered part of the layer collects new paint
+    this.painting = false;
+    this._ctx = null;
+    this._under = null;
+    this._scratch = null;
+
+    // called after pieces are added or lifted
+    this.onChange = null;
+  }
+
+  get length() {
+    return this.pieces.length;
+  }
+
+  // Lay a piece (see MaskStack.buildPiece for specs); returns its id
+  add(spec) {
+    const piece = MaskStack.buildPiece(spec);
+    if (!piece) return null;
+    piece.id = this._nextId++;
+    this.pieces.push(piece);
+    this._rebuild();
+    return piece.id;
+  }
+
+  // Peel a piece off, revealing the wall (and underspray) beneath it
+  lift(id) {
+    const i = this.pieces.findIndex((p) => p.id === id);
+    if (i < 0) return false;
+    this.pieces.splice(i, 1);
+    this._rebuild();
+    return true;
+  }
+
+  liftAll() {
+    if (!this.pieces.length) return false;
+    this.pieces.length = 0;
+    this._rebuild();
+    return true;
+  }
+
+  // Document resize: pieces don't survive it
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pieces.length = 0;
+    this._under = null;
+    this._scratch = null;
+    this._rebuild();
+  }
+
+  coverAt(x, y) {
+    const k = this._cellIndex(x, y);
+    return k >= 0 && this.coverGrid ? this.coverGrid[k] : 0;
+  }
+
+  openAt(k) {
+    return this.openGrid ? this.openGrid[k] : 1;
+  }
+
+  _cellIndex(x, y) {
+    const bufW = Math.ceil(this.width / this.bufScale);
+    const bufH = Math.ceil(this.height / this.bufScale);
+    const cx = Math.floor(x / this.bufScale),
+      cy = Math.floor(y / this.bufScale);
+    if (cx < 0 || cy < 0 || cx >= bufW || cy >= bufH) return -1;
+    return cy * bufW + cx;
+  }
+
+  // --- painting through the masks ---
+
+  // Start shielding ctx (a layer the size of the document): set its
+  // covered part aside and clear it to collect the paint that lands there
+  begin(ctx) {
+    if (this.painting || !this.pieces.length) return false;
+    this.painting = true;
+    this._ctx = ctx;
+    this._under = this._blank(this._under);
+    const under = this._under.getContext("2d");
+    under.drawImage(ctx.canvas, 0, 0);
+    under.globalCompositeOperation = "destination-in";
+    under.drawImage(this.cover, 0, 0);
+    under.globalCompositeOperation = "source-over";
+    this._clearCovered(ctx);
+    return true;
+  }
+
+  // Sort paint that landed on the covered part since the last call: all
+  // of it onto the faces, the share the shield lets through onto the wall
+  collect() {
+    if (!this.painting) return;
+    const ctx = this._ctx;
+    this._scratch = this._blank(this._scratch);
+    const scratch = this._scratch.getContext("2d");
+    scratch.drawImage(ctx.canvas, 0, 0);
+    scratch.globalCompositeOperation = "destination-in";
+    scratch.drawImage(this.cover, 0, 0);
+
+    for (const piece of this.pieces) {
+      const face = piece.face.getContext("2d");
+      face.drawImage(this._scratch, -piece.x, -piece.y);
+      piece.view = null;
+    }
+
+    scratch.globalCompositeOperation = "destination-out";
+    scratch.drawImage(this.shield, 0, 0);
+    scratch.globalCompositeOperation = "source-over";
+    this._under.getContext("2d").drawImage(this._scratch, 0, 0);
+    this._clearCovered(ctx);
+  }
+
+  // Finish: put the wall (with its underspray) back under the masks
+  end() {
+    if (!this.painting) return;
+    this.collect();
+    const ctx = this._ctx;
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = "source-over";
+    ctx.drawImage(this._under, 0, 0);
+    ctx.restore();
+    this.painting = false;
+    this._ctx = null;
+  }
+
+  _clearCovered(ctx) {
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = "destination-out";
+    ctx.drawImage(this.cover, 0, 0);
+    ctx.restore();
+  }
+
+  // reuse (cleared) or create a document-sized canvas
+  _blank(canvas) {
+    if (
+      !canvas ||
+      canvas.width !== this.width ||
+      canvas.height !== this.height
+    ) {
+      canvas = document.createElement("canvas");
+      canvas.width = this.width;
+      canvas.height = this.height;
+    } else {
+      canvas.getContext("2d").clearRect(0, 0, this.width, this.height);
+    }
+    return canvas;
+  }
+
+  // Union bitmaps and cell grids after pieces change
+  _rebuild() {
+    if (!this.pieces.length) {
+      this.cover = this.shield = null;
+      this.coverGrid = this.openGrid = null;
+    } else {
+      this.cover = this._blank(this.cover);
+      this.shield = this._blank(this.shield);
+      const cover = this.cover.getContext("2d");
+      const shield = this.shield.getContext("2d");
+      for (const piece of this.pieces) {
+        cover.drawImage(piece.cover, piece.x, piece.y);
+        shield.drawImage(piece.shield, piece.x, piece.y);
+      }
+
+      // sampled at each cell's center
+      const s = this.bufScale;
+      const bufW = Math.ceil(this.width / s);
+      const bufH = Math.ceil(this.height / s);
+      const c = cover.getImageData(0, 0, this.width, this.height).data;
+      const h = shield.getImageData(0, 0, this.width, this.height).data;
+      this.coverGrid = new Float32Array(bufW * bufH);
+      this.openGrid = new Float32Array(bufW * bufH);
+      for (let cy = 0, k = 0; cy < bufH; cy++) {
+        const y = Math.min(this.height - 1, Math.floor((cy + 0.5) * s));
+        for (let cx = 0; cx < bufW; cx++, k++) {
+          const x = Math.min(this.width - 1, Math.floor((cx + 0.5) * s));
+          const i = (y * this.width + x) * 4 + 3;
+          this.coverGrid[k] = c[i] / 255;
+          this.openGrid[k] = 1 - h[i] / 255;
+        }
+      }
+    }
+    if (typeof this.onChange === "function") this.onChange(this);
+  }
+
+  // Pieces on screen: each face in its material color with the paint it
+  // caught (never exported; lifting shows the wall)
+  drawTo(ctx) {
+    for (const piece of this.pieces) {
+      if (!piece.view) piece.view = MaskStack._renderView(piece);
+      ctx.drawImage(piece.view, piece.x, piece.y);
+    }
+  }
+
+  static _renderView(piece) {
+    const view = document.createElement("canvas");
+    view.width = piece.cover.width;
+    view.height = piece.cover.height;
+    const ctx = view.getContext("2d");
+    ctx.fillStyle = MaskStack.FACE_COLORS[piece.spec.kind];
+    ctx.fillRect(0, 0, view.width, view.height);
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.drawImage(piece.cover, 0, 0);
+    ctx.globalCompositeOperation = "source-atop";
+    ctx.drawImage(piece.face, 0, 0);
+    return view;
+  }
+
+  // --- snapshots (history, recordings) ---
+
+  captureState() {
+    const pieces = this.pieces.map((piece) => ({
+      piece,
+      face: piece.face
+        .getContext("2d")
+        .getImageData(0, 0, piece.face.width, piece.face.height),
+    }));
+    return {
+      width: this.width,
+      height: this.height,
+      pieces,
+      nextId: this._nextId,
+      bytes: pieces.reduce((sum, p) => sum + p.face.data.byteLength, 0),
+    };
+  }
+
+  restoreState(state) {
+    this.width = state.width;
+    this.height = state.height;
+    this.painting = false;
+    this._ctx = null;
+    this.pieces = state.pieces.map(({ piece, face }) => {
+      piece.face.getContext("2d").putImageData(face, 0, 0);
+      piece.view = null;
+      return piece;
+    });
+    this._nextId = state.nextId;
+    this._rebuild();
+  }
+
+  // --- pieces ---
+
+  // spec.kind:
+  //   "tape"    - strip of masking tape `width` px wide along `points`
+  //   "film"    - masking film over the polygon `points`
+  //   "stencil" - card with a ShapeDrawer shape cut out of it: `shape`
+  //               in the box x, y, w, h
+  //   "image"   - stencil cut from an image: `bits` (see encodeBits) of
+  //               `width` × `height` px at x, y
+  // spec.gap: how far the piece stands off the wall (px); tape and film
+  // are pressed flat (0)
+  static buildPiece(spec) {
+    const gap = Math.max(0, spec.gap || 0);
+    let box, draw;
+    switch (spec.kind) {
+      case "tape": {
+        if (!spec.points || spec.points.length < 2) return null;
+        const pad = spec.width / 2;
+        box = MaskStack._bounds(spec.points, pad);
+        draw = (ctx) => {
+          ctx.lineWidth = spec.width;
+          ctx.lineCap = "butt";
+          ctx.lineJoin = "round";
+          ctx.strokeStyle = "#000";
+          MaskStack._tracePath(ctx, spec.points, false);
+          ctx.stroke();
+        };
+        break;
+      }
+      case "film": {
+        if (!spec.points || spec.points.length < 3) return null;
+        box = MaskStack._bounds(spec.points, 0);
+        draw = (ctx) => {
+          ctx.fillStyle = "#000";
+          MaskStack._tracePath(ctx, spec.points, true);
+          ctx.fill();
+        };
+        break;
+      }
+      case "stencil": {
+        if (spec.w < 2 || spec.h < 2) return null;
+        const outline = ShapeDrawer.outline(
+          spec.shape,
+          spec.x,
+          spec.y,
+          spec.w,
+          spec.h
+        );
+        const margin = Math.max(
+          MaskStack.CARD_MIN_MARGIN,
+          MaskStack.CARD_MARGIN * Math.max(spec.w, spec.h)
+        );
+        const card = [
+          [spec.x - margin, spec.y - margin],
+          [spec.x + spec.w + margin, spec.y - margin],
+          [spec.x + spec.w + margin, spec.y + spec.h + margin],
+          [spec.x - margin, spec.y + spec.h + margin],
+        ];
+        box = MaskStack._bounds(card, 0);
+        draw = (ctx) => {
+          ctx.fillStyle = "#000";
+          MaskStack._tracePath(ctx, card, true);
+          ctx.fill();
+          ctx.globalCompositeOperation = "destination-out";
+          MaskStack._tracePath(ctx, outline, true);
+          ctx.fill();
+        };
+        break;
+      }
+      case "image": {
+        const bits = MaskStack.decodeBits(spec.bits, spec.width * spec.height);
+        box = MaskStack._bounds(
+          [
+            [spec.x, spec.y],
+            [spec.x + spec.width, spec.y + spec.height],
+          ],
+          0
+        );
+        draw = (ctx) => {
+          const image = ctx.createImageData(spec.width, spec.height);
+          for (let i = 0; i < bits.length; i++) {
+            image.data[i * 4 + 3] = bits[i] ? 255 : 0;
+          }
+          ctx.putImageData(image, spec.x - box.x, spec.y - box.y);
+        };
+        break;
+      }
+      default:
+        return null;
+    }
+
+    const cover = document.createElement("canvas");
+    cover.width = box.w;
+    cover.height = box.h;
+    const ctx = cover.getContext("2d");
+    ctx.translate(-box.x, -box.y);
+    draw(ctx);
+
+    const face = document.createElement("canvas");
+    face.width = box.w;
+    face.height = box.h;
+
+    return {
+      id: 0,
+      spec,
+      x: box.x,
+      y: box.y,
+      cover,
+      shield: MaskStack._shield(cover, gap * MaskStack.UNDERSPRAY),
+      face,
+      view: null,
+    };
+  }
+
+  // Integer bounding box of points, padded by pad (+2 px of open margin)
+  static _bounds(points, pad) {
+    let x0 = Infinity,
+      y0 = Infinity,
+      x1 = -Infinity,
+      y1 = -Infinity;
+    for (const [x, y] of points) {
+      x0 = Math.min(x0, x);
+      y0 = Math.min(y0, y);
+      x1 = Math.max(x1, x);
+      y1 = Math.max(y1, y);
+    }
+    const x = Math.floor(x0 - pad) - 2,
+      y = Math.floor(y0 - pad) - 2;
+    return {
+      x,
+      y,
+      w: Math.ceil(x1 + pad) + 2 - x,
+      h: Math.ceil(y1 + pad) + 2 - y,
+    };
+  }
+
+  static _tracePath(ctx, points, closed) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    if (closed) ctx.closePath();
+  }
+
+  // The cover, softened inward over `reach` px from every edge: paint
+  // creeps under a raised edge, most of it right at the edge
+  static _shield(cover, reach) {
+    const w = cover.width,
+      h = cover.height;
+    const shield = document.createElement("canvas");
+    shield.width = w;
+    shield.height = h;
+    const ctx = shield.getContext("2d");
+    if (reach <= 0) {
+      ctx.drawImage(cover, 0, 0);
+      return shield;
+    }
+
+    // chamfer distance from each covered pixel to the nearest open one
+    const image = cover.getContext("2d").getImageData(0, 0, w, h);
+    const a = image.data;
+    const dist = new Float32Array(w * h);
+    for (let i = 0; i < dist.length; i++) {
+      dist[i] = a[i * 4 + 3] >= 128 ? 1e9 : 0;
+    }
+    const D = Math.SQRT2;
+    const relax = (i, x, y, dx, dy, cost) => {
+      const nx = x + dx,
+        ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= w || ny >= h) return;
+      dist[i] = Math.min(dist[i], dist[ny * w + nx] + cost);
+    };
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        if (!dist[i]) continue;
+        relax(i, x, y, -1, 0, 1);
+        relax(i, x, y, 0, -1, 1);
+        relax(i, x, y, -1, -1, D);
+        relax(i, x, y, 1, -1, D);
+      }
+    }
+    for (let y = h - 1; y >= 0; y--) {
+      for (let x = w - 1; x >= 0; x--) {
+        const i = y * w + x;
+        if (!dist[i]) continue;
+        relax(i, x, y, 1, 0, 1);
+        relax(i, x, y, 0, 1, 1);
+        relax(i, x, y, 1, 1, D);
+        relax(i, x, y, -1, 1, D);
+      }
+    }
+
+    const edge = MaskStack.EDGE_SHIELD;
+    for (let i = 0; i < dist.length; i++) {
+      const ramp = Math.min(1, (dist[i] - 0.5) / reach);
+      a[i * 4 + 3] *= edge + (1 - edge) * Math.max(0, ramp);
+    }
+    ctx.putImageData(image, 0, 0);
+    return shield;
+  }
+
+  // 1 bit per pixel, base64 (image stencil specs)
+  static encodeBits(bits) {
+    const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+    for (let i = 0; i < bits.length; i++) {
+      if (bits[i]) bytes[i >> 3] |= 1 << (i & 7);
+    }
+    let bin = "";
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+  }
+
+  static decodeBits(b64, length) {
+    const bin = atob(b64 || "");
+    const bits = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      const byte = bin.charCodeAt(i >> 3) || 0;
+      bits[i] = (byte >> (i & 7)) & 1;
+    }
+    return bits;
+  }
+
+  // Image → stencil spec: dark, opaque pixels (the design) are cut out
+  // and let paint through; light or transparent ones are card. Fitted
+  // into the document's middle.
+  static imageSpec(image, docWidth, docHeight, gap = 0) {
+    const fit = Math.min(
+      1,
+      (docWidth * MaskStack.IMAGE_FIT) / image.width,
+      (docHeight * MaskStack.IMAGE_FIT) / image.height
+    );
+    const width = Math.max(1, Math.round(image.width * fit));
+    const height = Math.max(1, Math.round(image.height * fit));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0, width, height);
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const bits = new Uint8Array(width * height);
+    for (let i = 0; i < bits.length; i++) {
+      const j = i * 4;
+      const lum =
+        (0.2126 * data[j] + 0.7152 * data[j + 1] + 0.0722 * data[j + 2]) / 255;
+      bits[i] = (data[j + 3] / 255) * (1 - lum) > 0.5 ? 0 : 1;
+    }
+    return {
+      kind: "image",
+      x: Math.round((docWidth - width) / 2),
+      y: Math.round((docHeight - height) / 2),
+      width,
+      height,
+      bits: MaskStack.encodeBits(bits),
+      gap,
+    };
+  }
+}
+
+MaskStack.UNDERSPRAY = 2.5; // px of creep under an edge per px of gap
+MaskStack.EDGE_SHIELD = 0.15; // share of paint a raised edge still blocks
+MaskStack.CARD_MARGIN = 0.35; // stencil card around its cut-out, × size
+MaskStack.CARD_MIN_MARGIN = 40; // px
+MaskStack.IMAGE_FIT = 0.6; // image stencils fill up to this share of the doc
+MaskStack.FACE_COLORS = {
+  tape: "rgba(226, 204, 140, 0.92)",
+  film: "rgba(176, 206, 226, 0.6)",
+  stencil: "rgba(206, 196, 172, 0.95)",
+  image: "rgba(206, 196, 172, 0.95)",
+};
+
+// Pointer tool that lays masks: drag a strip of tape, click out a film
+// polygon (click the first point or press Enter to close, Esc cancels),
+// or drag a stencil's box. Finished specs go to onPlace.
+class MaskTool {
+  constructor(onPlace) {
+    this.onPlace = onPlace;
+    this.mode = "tape"; // "tape" | "film" | "stencil"
+    this.shape = "circle"; // stencil cut-out (ShapeDrawer.outline)
+    this.tapeWidth = 24;
+    this.gap = 4;
+    this._points = null;
+    this._hover = null;
+    this._drag = null;
+  }
+
+  pointerDown(pos, e, zoom = 1) {
+    if (this.mode === "film") {
+      const pts = this._points || (this._points = []);
+      const first = pts[0];
+      const snap = MaskTool.CLOSE_RADIUS / zoom;
+      if (
+        pts.length >= 3 &&
+        Math.hypot(pos.x - first[0], pos.y - first[1]) <= snap
+      ) {
+        this.finish();
+      } else {
+        pts.push([pos.x, pos.y]);
+      }
+      return;
+    }
+    if (this.mode === "tape") {
+      this._points = [[pos.x, pos.y]];
+      return;
+    }
+    this._drag = { x0: pos.x, y0: pos.y, x1: pos.x, y1: pos.y };
+  }
+
+  pointerMove(pos, e, down) {
+    this._hover = pos;
+    if (!down) return;
+    if (this.mode === "tape" && this._points) {
+      const last = this._points[this._points.length - 1];
+      // thin the path; tape doesn't follow every tremor
+      if (Math.hypot(pos.x - last[0], pos.y - last[1]) >= MaskTool.TAPE_STEP) {
+        this._points.push([pos.x, pos.y]);
+      }
+    } else if (this._drag) {
+      this._drag.x1 = pos.x;
+      this._drag.y1 = pos.y;
+    }
+  }
+
+  pointerUp(pos) {
+    if (this.mode === "tape" && this._points) {
+      this._points.push([pos.x, pos.y]);
+      const points = this._points;
+      this._points = null;
+      this.onPlace({ kind: "tape", points, width: this.tapeWidth, gap: 0 });
+    } else if (this._drag) {
+      const d = this._drag;
+      this._drag = null;
+      this.onPlace({
+        kind: "stencil",
+        shape: this.shape,
+        x: Math.min(d.x0, d.x1),
+        y: Math.min(d.y0, d.y1),
+        w: Math.abs(d.x1 - d.x0),
+        h: Math.abs(d.y1 - d.y0),
+        gap: this.gap,
+      });
+    }
+  }
+
+  // Close the film polygon being clicked out
+  finish() {
+    const points = this._points;
+    this._points = null;
+    if (this.mode === "film" && points && points.length >= 3) {
+      this.onPlace({ kind: "film", points, gap: 0 });
+    }
+  }
+
+  cancel() {
+    this._points = null;
+    this._drag = null;
+  }
+
+  get busy() {
+    return !!(this._points || this._drag);
+  }
+
+  // Outline of the piece in progress, in document units
+  drawPreview(ctx, zoom = 1) {
+    ctx.save();
+    ctx.strokeStyle = MaskTool.PREVIEW_COLOR;
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    if (this._points && this.mode === "tape") {
+      ctx.globalAlpha = 0.5;
+      ctx.lineWidth = this.tapeWidth;
+      ctx.lineCap = "butt";
+      ctx.lineJoin = "round";
+      ctx.setLineDash([]);
+      MaskStack._tracePath(ctx, this._points, false);
+      ctx.stroke();
+    } else if (this._points) {
+      const pts = this._hover
+        ? [...this._points, [this._hover.x, this._hover.y]]
+        : this._points;
+      MaskStack._tracePath(ctx, pts, false);
+      ctx.stroke();
+    } else if (this._drag) {
+      const d = this._drag;
+      const outline = ShapeDrawer.outline(
+        this.shape,
+        Math.min(d.x0, d.x1),
+        Math.min(d.y0, d.y1),
+        Math.abs(d.x1 - d.x0),
+        Math.abs(d.y1 - d.y0)
+      );
+      MaskStack._tracePath(ctx, outline, true);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+MaskTool.CLOSE_RADIUS = 10; // screen px around the first film point
+MaskTool.TAPE_STEP = 6; // px between tape path points
+MaskTool.PREVIEW_COLOR = "#1e88e5";
@@ -0,0 +1,260 @@
+// Paint materials: how a color is rendered (brush body, specular lobes,
+// flake), how its drips are glazed and composited, and how wet it runs.
+// Any color can use any material; only the material id is stored in
+// settings and project files.
+class MaterialCatalog {
+  static get(id) {
+    return (
+      MaterialCatalog.MATERIALS[id] ||
+      MaterialCatalog.MATERIALS[MaterialCatalog.DEFAULT]
+    );
+  }
+
+  static list() {
+    return Object.values(MaterialCatalog.MATERIALS);
+  }
+
+  static has(id) {
+    return Object.prototype.hasOwnProperty.call(MaterialCatalog.MATERIALS, id);
+  }
+}
+
+MaterialCatalog.DEFAULT = "matte";
+
+// tones:      brush body as [stop, shade, alpha]; shade < 0 mixes the paint
+//             color toward black, > 0 toward white. null = soft flat body
+//             (follows the softness slider)
+// alpha:      body opacity (transparent paints)
+// lobes:      specular highlights screened over the body: center (x, y) and
+//             radius r as fractions of the brush radius, peak alpha, tint
+//             toward white and hue shift in degrees (pearlescent flip)
+// flake:      ± brightness noise baked into the brush
+// sparkle:    chance of a faint glint per brush (never on touch)
+// composite:  how spray dots land on the layer
+// drip:       the same brush recipe for drips, plus drip compositing, trail
+//             and head alpha gains and a multiply glaze that deepens the tone
+// wet:        wetness gain / per-cell cap multipliers (touch* on touch
+//             screens) and the drip spawn gate set (SprayPaint.DRIP_GATES)
+// dryTime:    seconds for a fresh coat to dry at 20 °C / 50 % humidity
+//             (scaled by the environment)
+// dwellBoost: grain opacity boost when holding still, [mouse, touch]
+// touchSafe:  normalise dot density on touch screens, where stacked
+//             highlights burst
+MaterialCatalog.MATERIALS = {
+  matte: {
+    id: "matte",
+    name: "Matte",
+    tones: null,
+    alpha: 1,
+    lobes: [],
+    flake: 0,
+    sparkle: 0,
+    composite: "source-over",
+    drip: {
+      tones: null,
+      lobes: [],
+      glaze: 0,
+      composite: "multiply",
+      alphaGain: 1,
+      headGain: 1,
+    },
+    wet: { gain: 1, cap: 1, gates: "normal" },
+    dryTime: 40,
+    dwellBoost: null,
+    touchSafe: false,
+  },
+  gloss: {
+    id: "gloss",
+    name: "Gloss",
+    tones: null,
+    alpha: 1,
+    lobes: [{ x: 0.7, y: 0.68, r: 0.5, alpha: 0.22, tint: 0.9, hue: 0 }],
+    flake: 0,
+    sparkle: 0,
+    composite: "source-over",
+    // multiply would swallow the highlight
+    drip: {
+      tones: null,
+      lobes: [{ x: 0.72, y: 0.66, r: 0.45, alpha: 0.16, tint: 0.9, hue: 0 }],
+      glaze: 0.04,
+      composite: "source-over",
+      alphaGain: 1.05,
+      headGain: 1.05,
+    },
+    wet: { gain: 1.1, cap: 1.05, gates: "normal" },
+    dryTime: 70,
+    dwellBoost: null,
+    touchSafe: false,
+  },
+  metallic: {
+    id: "metallic",
+    name: "Metallic",
+    tones: [
+      [0, 0.35, 0.8],
+      [0.3, 0, 1],
+      [0.7, -0.12, 1],
+      [1, -0.3, 1],
+    ],
+    alpha: 1,
+    lobes: [
+      { x: 0.72, y: 0.72, r: 0.62, alpha: 0.42, tint: 0.85, hue: 0 },
+      { x: 1.18, y: 0.82, r: 0.42, alpha: 0.16, tint: 1, hue: 0 },
+    ],
+    flake: 0,
+    sparkle: 0.25,
+    composite: "source-over",
+    // denser than the spray body so drips don't read pale; metals are not
+    // multiplied (it darkens them)
+    drip: {
+      tones: [
+        [0, 0, 0.92],
+        [0.58, 0, 0.86],
+        [1, 0, 0.12],
+      ],
+      lobes: [{ x: 0.78, y: 0.72, r: 0.6, alpha: 0.08, tint: 0.85, hue: 0 }],
+      glaze: 0.08,
+      composite: "source-over",
+      alphaGain: 1.13,
+      headGain: 1.1,
+    },
+    wet: {
+      gain: 1.45,
+      cap: 1.2,
+      touchGain: 2.8,
+      touchCap: 1.45,
+      gates: "eager",
+    },
+    dryTime: 50,
+    dwellBoost: [1.25, 1.55],
+    touchSafe: true,
+  },
+  chrome: {
+    id: "chrome",
+    name: "Chrome",
+    // mirror bands: bright sky, dark horizon, lighter ground
+    tones: [
+      [0, 0.6, 0.9],
+      [0.35, 0.25, 1],
+      [0.55, -0.45, 1],
+      [0.8, 0.1, 1],
+      [1, -0.3, 1],
+    ],
+    alpha: 1,
+    lobes: [
+      { x: 0.7, y: 0.66, r: 0.5, alpha: 0.6, tint: 1, hue: 0 },
+      { x: 1.2, y: 0.9, r: 0.3, alpha: 0.3, tint: 1, hue: 0 },
+    ],
+    flake: 0,
+    sparkle: 0.4,
+    composite: "source-over",
+    drip: {
+      tones: [
+        [0, 0.3, 0.92],
+        [0.5, -0.2, 0.86],
+        [1, 0, 0.12],
+      ],
+      lobes: [{ x: 0.75, y: 0.7, r: 0.5, alpha: 0.18, tint: 1, hue: 0 }],
+      glaze: 0.06,
+      composite: "source-over",
+      alphaGain: 1.13,
+      headGain: 1.1,
+    },
+    wet: {
+      gain: 1.45,
+      cap: 1.2,
+      touchGain: 2.8,
+      touchCap: 1.45,
+      gates: "eager",
+    },
+    dryTime: 60,
+    dwellBoost: [1.25, 1.55],
+    touchSafe: true,
+  },
+  pearlescent: {
+    id: "pearlescent",
+    name: "Pearlescent",
+    tones: [
+      [0, 0.3, 0.85],
+      [0.4, 0.1, 1],
+      [1, -0.1, 1],
+    ],
+    alpha: 1,
+    // interference: highlights flip hue either side of the base color
+    lobes: [
+      { x: 0.7, y: 0.7, r: 0.6, alpha: 0.3, tint: 0.6, hue: 60 },
+      { x: 1.15, y: 0.85, r: 0.45, alpha: 0.22, tint: 0.5, hue: -50 },
+    ],
+    flake: 6,
+    sparkle: 0.15,
+    composite: "source-over",
+    drip: {
+      tones: [
+        [0, 0.1, 0.9],
+        [0.58, 0, 0.84],
+        [1, 0, 0.12],
+      ],
+      lobes: [{ x: 0.76, y: 0.72, r: 0.55, alpha: 0.1, tint: 0.6, hue: 60 }],
+      glaze: 0.05,
+      composite: "source-over",
+      alphaGain: 1.08,
+      headGain: 1.05,
+    },
+    wet: {
+      gain: 1.2,
+      cap: 1.1,
+      touchGain: 2.2,
+      touchCap: 1.3,
+      gates: "eager",
+    },
+    dryTime: 60,
+    dwellBoost: [1.1, 1.3],
+    touchSafe: true,
+  },
+  fluorescent: {
+    id: "fluorescent",
+    name: "Fluorescent",
+    tones: null,
+    alpha: 1,
+    // self-lit glow over the whole dot
+    lobes: [{ x: 1, y: 1, r: 1, alpha: 0.3, tint: 0.15, hue: 0 }],
+    flake: 0,
+    sparkle: 0,
+    composite: "source-over",
+    drip: {
+      tones: null,
+      lobes: [{ x: 1, y: 1, r: 1, alpha: 0.2, tint: 0.15, hue: 0 }],
+      glaze: 0,
+      composite: "source-over",
+      alphaGain: 1,
+      headGain: 1,
+    },
+    wet: { gain: 1, cap: 1, gates: "normal" },
+    dryTime: 45,
+    dwellBoost: null,
+    touchSafe: false,
+  },
+  candy: {
+    id: "candy",
+    name: "Candy",
+    // transparent tint that deepens what's underneath
+    tones: null,
+    alpha: 0.6,
+    lobes: [],
+    flake: 0,
+    sparkle: 0,
+    composite: "multiply",
+    drip: {
+      tones: null,
+      lobes: [],
+      glaze: 0.06,
+      composite: "multiply",
+      alphaGain: 0.9,
+      headGain: 0.9,
+    },
+    // thin paint: runs easily
+    wet: { gain: 1.15, cap: 1.1, gates: "eager" },
+    dryTime: 90,
+    dwellBoost: null,
+    touchSafe: false,
+  },
+};
@@ -0,0 +1,59 @@
+// Subtractive pigment mixing: single-constant Kubelka–Munk per RGB channel.
+// Colors are linear reflectances 0..1. Each channel's K/S = (1 − R)² / 2R
+// mixes linearly by concentration, so yellow sprayed into wet blue turns
+// green instead of the grey an RGB average gives.
+class Pigment {
+  // "#rrggbb" → linear [r, g, b]
+  static fromHex(hex, out = [0, 0, 0]) {
+    const c = hex.replace("#", "");
+    for (let i = 0; i < 3; i++) {
+      const v = parseInt(c.slice(i * 2, i * 2 + 2), 16) / 255;
+      out[i] = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    }
+    return out;
+  }
+
+  // linear [r, g, b] → "#rrggbb"; step > 1 quantises each channel (keeps
+  // the brush cache small when many mixed tones appear)
+  static toHex(rgb, step = 1) {
+    let hex = "#";
+    for (let i = 0; i < 3; i++) {
+      const v = Math.max(0, Math.min(1, rgb[i]));
+      const s =
+        v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+      const q = Math.min(255, Math.round((s * 255) / step) * step);
+      hex += q.toString(16).padStart(2, "0");
+    }
+    return hex;
+  }
+
+  static toKS(r) {
+    const R = Math.max(Pigment.MIN_R, Math.min(1, r));
+    return ((1 - R) * (1 - R)) / (2 * R);
+  }
+
+  static fromKS(ks) {
+    return 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+  }
+
+  // Mix concentration t of pigment b into pigment a
+  static mix(a, b, t, out = [0, 0, 0]) {
+    for (let i = 0; i < 3; i++) {
+      const ks = (1 - t) * Pigment.toKS(a[i]) + t * Pigment.toKS(b[i]);
+      out[i] = Pigment.fromKS(ks);
+    }
+    return out;
+  }
+
+  // Largest per-channel difference (linear)
+  static distance(a, b) {
+    return Math.max(
+      Math.abs(a[0] - b[0]),
+      Math.abs(a[1] - b[1]),
+      Math.abs(a[2] - b[2])
+    );
+  }
+}
+
+// darkest reflectance; keeps K/S finite for pure black channels
+Pigment.MIN_R = 0.002;
@@ -0,0 +1,211 @@
+// Project files: a versioned JSON manifest with the UI control values,
+// engine/drip settings, every layer (PNG data URL + wetness, wet pigment and
+// drying film buffers), the masks on the wall and an optional stroke
+// recording.
+class ProjectFile {
+  // Build the manifest for the current document
+  static serialize(app, { includeRecording = true } = {}) {
+    const sp = app.sprayPaint;
+    const layers = app.layers;
+
+    const recording =
+      includeRecording && app.lastRecording
+        ? ProjectFile._serializeRecording(app.lastRecording)
+        : null;
+
+    return {
+      format: ProjectFile.FORMAT,
+      version: ProjectFile.VERSION,
+      savedAt: new Date().toISOString(),
+      canvas: {
+        width: layers.width,
+        height: layers.height,
+        bufScale: layers.bufScale,
+      },
+      controls: app.getControlValues(),
+      engine: sp.getSettings(),
+      activeLayer: layers.activeIndex,
+      layers: layers.layers.map((layer) => ({
+        name: layer.name,
+        opacity: layer.opacity,
+        blendMode: layer.blendMode,
+        visible: layer.visible,
+        locked: layer.locked,
+        image: layer.canvas.toDataURL("image/png"),
+        wetness: ProjectFile.encodeFloat32(layer.paintBuf),
+        pigment: ProjectFile.encodeFloat32(layer.pigmentBuf),
+        film: ProjectFile.encodeFloat32(layer.filmBuf),
+      })),
+      // mask specs only: paint sprayed onto a mask isn't kept
+      masks: app.masks ? app.masks.pieces.map((piece) => piece.spec) : [],
+      recording,
+    };
+  }
+
+  static stringify(app, options) {
+    return JSON.stringify(ProjectFile.serialize(app, options));
+  }
+
+  // Parse + migrate; throws on foreign or newer files
+  static parse(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Project file is not valid JSON");
+    }
+    return ProjectFile.migrate(doc);
+  }
+
+  static migrate(doc) {
+    if (!doc || doc.format !== ProjectFile.FORMAT) {
+      throw new Error("Not a spray paint project file");
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      throw new Error(`Unknown project version: ${doc.version}`);
+    }
+    if (doc.version > ProjectFile.VERSION) {
+      throw new Error(
+        `Project was saved by a newer version (v${doc.version}); ` +
+          `this app reads up to v${ProjectFile.VERSION}`
+      );
+    }
+
+    // step through migrations one version at a time
+    while (doc.version < ProjectFile.VERSION) {
+      const step = ProjectFile.MIGRATIONS[doc.version];
+      if (!step) {
+        throw new Error(`No migration from project v${doc.version}`);
+      }
+      doc = step(doc);
+    }
+    return doc;
+  }
+
+  // Replace the app's document with a parsed project. Resolves once all
+  // layer bitmaps have been decoded.
+  static async apply(app, doc) {
+    const sp = app.sprayPaint;
+    const stack = app.layers;
+
+    sp.stopDrawing();
+    sp.settle();
+    sp.resetDynamics();
+
+    // the document takes the project's size (layers are replaced below)
+    if (doc.canvas && doc.canvas.width && doc.canvas.height) {
+      app.resizeDocument(doc.canvas.width, doc.canvas.height, false);
+    }
+
+    const images = await Promise.all(
+      doc.layers.map((l) => ProjectFile._loadImage(l.image))
+    );
+
+    const layers = doc.layers.map((l, i) => {
+      const layer = stack.createLayer(l.name);
+      layer.opacity = l.opacity;
+      layer.blendMode = l.blendMode;
+      layer.visible = l.visible;
+      layer.locked = l.locked;
+      layer.ctx.drawImage(images[i], 0, 0);
+
+      const wet = ProjectFile.decodeFloat32(l.wetness);
+      if (wet.length === layer.paintBuf.length) layer.paintBuf.set(wet);
+      const pigment = ProjectFile.decodeFloat32(l.pigment);
+      if (pigment.length === layer.pigmentBuf.length) {
+        layer.pigmentBuf.set(pigment);
+      } else if (doc.engine && doc.engine.color) {
+        // older files: assume wet paint is the saved color, so its drips
+        // don't run black
+        const rgb = Pigment.fromHex(doc.engine.color);
+        for (let j = 0; j < layer.pigmentBuf.length; j += 3) {
+          layer.pigmentBuf.set(rgb, j);
+        }
+      }
+      // older files have no film: their paint loads dry
+      const film = ProjectFile.decodeFloat32(l.film);
+      if (film.length === layer.filmBuf.length) layer.filmBuf.set(film);
+      layer.invalidateSheen();
+      return layer;
+    });
+    stack.setLayers(layers, doc.activeLayer);
+
+    if (app.masks) {
+      app.masks.liftAll();
+      for (const spec of doc.masks || []) app.masks.add(spec);
+    }
+
+    // sliders first (they push through the setters), then raw engine
+    // fields the UI doesn't expose
+    app.applyControlValues(doc.controls);
+    sp.applySettings(doc.engine);
+    app.syncControlsFromEngine();
+
+    app.lastRecording = doc.recording
+      ? ProjectFile._deserializeRecording(doc.recording)
+      : null;
+  }
+
+  // --- helpers ---
+  static encodeFloat32(arr) {
+    const bytes = new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength);
+    let bin = "";
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(bin);
+  }
+
+  static decodeFloat32(b64) {
+    if (!b64) return new Float32Array(0);
+    const bin = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Float32Array(bytes.buffer, 0, bytes.length >> 2);
+  }
+
+  static _loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("Could not decode layer image"));
+      img.src = src;
+    });
+  }
+
+  // the starting document snapshot stays in memory only
+  static _serializeRecording(recording) {
+    const { initialState, ...rest } = recording;
+    return rest;
+  }
+
+  static _deserializeRecording(data) {
+    return { ...data, initialState: null };
+  }
+}
+
+ProjectFile.FORMAT = "realistic-spray-paint";
+ProjectFile.VERSION = 2;
+ProjectFile.EXTENSION = ".spray.json";
+
+// version → function(doc) returning the doc upgraded to version + 1
+ProjectFile.MIGRATIONS = {
+  // v2: materials; before them gold (#EAC677) was the only metallic color
+  1: (doc) => {
+    const material = (settings) =>
+      settings && String(settings.color).toLowerCase() === "#eac677"
+        ? "metallic"
+        : "matte";
+    const engine = { ...doc.engine, material: material(doc.engine) };
+    const controls = { ...doc.controls, materialSelect: engine.material };
+    const recording = doc.recording && {
+      ...doc.recording,
+      settings: {
+        ...doc.recording.settings,
+        material: material(doc.recording.settings),
+      },
+    };
+    return { ...doc, version: 2, engine, controls, recording };
+  },
+};
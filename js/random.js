@@ -0,0 +1,42 @@
+// Seedable PRNG (mulberry32). SprayPaint draws every random number from one
+// of these so a session can be replayed pixel-for-pixel from its seed.
+class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this._state = this.seed;
+  }
+
+  // uniform float in [0, 1)
+  next() {
+    let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  getState() {
+    return this._state;
+  }
+
+  setState(state) {
+    this._state = state >>> 0;
+  }
+
+  static randomSeed() {
+    return (Math.random() * 4294967296) >>> 0;
+  }
+
+  // FNV-1a — stable seed from a string (e.g. a brush cache key)
+  static hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+}
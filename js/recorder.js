@@ -0,0 +1,194 @@
+// Session recording: every call listed in SprayPaint.RECORDED_METHODS
+// (pointer samples with pressure, continuous-spray ticks, simulation frames
+// and setter calls) is captured with its engine timestamp.
+class StrokeRecorder {
+  constructor(sprayPaint) {
+    this.sprayPaint = sprayPaint;
+    this.recording = null;
+    this._originals = null;
+    this._depth = 0;
+  }
+
+  get isRecording() {
+    return !!this.recording;
+  }
+
+  start() {
+    if (this.recording) return;
+    const sp = this.sprayPaint;
+
+    // start from a quiet engine: no stroke, no running drips, fresh seed
+    sp.stopDrawing();
+    sp.settle();
+    const seed = SeededRandom.randomSeed();
+    const startT = sp.now();
+    sp.setSeed(seed);
+    sp.resetDynamics(startT);
+
+    this.recording = {
+      version: StrokeRecorder.FORMAT_VERSION,
+      seed,
+      startT,
+      endT: null,
+      isTouch: sp.isTouch,
+      settings: sp.getSettings(),
+      // in-memory only: the document the session started from
+      initialState: sp.captureState(),
+      events: [],
+    };
+    this._wrap();
+  }
+
+  stop() {
+    if (!this.recording) return null;
+    this._unwrap();
+    const recording = this.recording;
+    recording.endT = this.sprayPaint.now();
+    this.recording = null;
+    return recording;
+  }
+
+  // Shadow the engine methods with logging wrappers on the instance
+  _wrap() {
+    const sp = this.sprayPaint;
+    this._originals = {};
+
+    for (const name of SprayPaint.RECORDED_METHODS) {
+      const original = sp[name];
+      this._originals[name] = original;
+
+      sp[name] = (...args) => {
+        // only top-level calls are logged; nested ones replay implicitly
+        if (this._depth > 0) return original.apply(sp, args);
+
+        const t = sp.now();
+        const event = { t, m: name, a: args };
+        if (name === "startDrawing" && sp.layers) {
+          event.layer = sp.layers.activeIndex;
+        }
+        this.recording.events.push(event);
+
+        // time stands still inside one call, exactly as it does on replay
+        const clock = sp._clock;
+        sp.setClock(() => t);
+        this._depth++;
+        try {
+          return original.apply(sp, args);
+        } finally {
+          this._depth--;
+          sp.setClock(clock);
+        }
+      };
+    }
+  }
+
+  _unwrap() {
+    // deleting the instance wrappers exposes the prototype methods again
+    for (const name in this._originals) delete this.sprayPaint[name];
+    this._originals = null;
+  }
+}
+
+StrokeRecorder.FORMAT_VERSION = 1;
+
+// Replays a recording with the recorded seed and a virtual clock, so every
+// random draw and speed estimate matches the original session.
+class StrokePlayer {
+  constructor(sprayPaint) {
+    this.sprayPaint = sprayPaint;
+    this.playing = false;
+    this._t = 0;
+    this._raf = 0;
+    this._resolve = null;
+    this._savedTouch = false;
+  }
+
+  // realtime: follow the recorded timing; otherwise replay synchronously.
+  // Resolves when the replay ends or is stopped.
+  play(recording, { realtime = true, speed = 1 } = {}) {
+    this.stop();
+    const sp = this.sprayPaint;
+
+    sp.stopDrawing();
+    sp.settle();
+    sp.replaying = true;
+    this.playing = true;
+
+    this._t = recording.startT;
+    sp.setClock(() => this._t);
+
+    // recordings loaded from a project have no initial document
+    if (recording.initialState) sp.restoreState(recording.initialState);
+    else sp.clear();
+
+    this._savedTouch = sp.isTouch;
+    sp.isTouch = recording.isTouch;
+    sp.applySettings(recording.settings);
+    sp.setSeed(recording.seed);
+    sp.resetDynamics(recording.startT);
+
+    const events = recording.events;
+    let next = 0;
+
+    if (!realtime) {
+      while (next < events.length) this._runEvent(events[next++]);
+      this._finish();
+      return Promise.resolve();
+    }
+
+    const wallStart = performance.now();
+    return new Promise((resolve) => {
+      this._resolve = resolve;
+      const frame = () => {
+        if (!this.playing) return;
+        const target =
+          recording.startT + (performance.now() - wallStart) * speed;
+        while (next < events.length && events[next].t <= target) {
+          this._runEvent(events[next++]);
+        }
+        if (next >= events.length) {
+          this._finish();
+          return;
+        }
+        this._raf = requestAnimationFrame(frame);
+      };
+      this._raf = requestAnimationFrame(frame);
+    });
+  }
+
+  stop() {
+    if (!this.playing) return;
+    cancelAnimationFrame(this._raf);
+    this._finish();
+  }
+
+  _runEvent(event) {
+    const sp = this.sprayPaint;
+    this._t = event.t;
+    if (event.layer !== undefined && sp.layers) {
+      sp.layers.activeIndex = Math.min(event.layer, sp.layers.length - 1);
+    }
+    sp[event.m](...event.a);
+  }
+
+  _finish() {
+    const sp = this.sprayPaint;
+
+    // drips still running when the recording stopped are completed here,
+    // then the engine goes back to wall-clock time
+    sp.stopDrawing();
+    sp.settle();
+    sp.setClock(null);
+    sp.resetDynamics();
+    sp.isTouch = this._savedTouch;
+    sp.replaying = false;
+    if (sp.layers) sp.layers.setActive(sp.layers.activeIndex);
+
+    this.playing = false;
+    if (this._resolve) {
+      const resolve = this._resolve;
+      this._resolve = null;
+      resolve();
+    }
+  }
+}
@@ -1,5 +1,10 @@
 class SprayPaint {
   constructor(canvas, ctx) {
+    // Reproducible randomness + overridable clock (stroke replay)
+    this.rng = new SeededRandom();
+    this._clock = null;
+    this.replaying = false; // true while a StrokePlayer drives the engine
+
     this.canvas = canvas;
     this.ctx = ctx;
     this.isDrawing = false;
@@ -24,6 +29,9 @@ class SprayPaint {
     this.pressure = 1.0;
     this.pressureSmoothing = 0.2;
 
+    // Stylus orientation from Pointer Events (degrees, see setPen)
+    this.pen = SprayPaint.defaultPen();
+
     // Scatter controls
     this.scatterRadiusMultiplier = 2.0; // 200% default
     this.scatterAmountMultiplier = 1.0; // 100% default - full density
@@ -34,21 +42,60 @@ class SprayPaint {
 
     // Distance physics
     this.distance = 6; // 6px default
-    this.theta0 = 0.2; // ~11.5°
-    this.kTheta = 0.1;
     this.Dref = 40; // px nozzle reference
 
+    // Spray cap (cone angle, grain, flow curve, footprint; see CapCatalog)
+    this.cap = CapCatalog.DEFAULT;
+    this._strokeAngle = 0; // radians, direction of travel for flat caps
+
+    // Paint material (brush look, drip glaze, wetness; see MaterialCatalog)
+    this.material = MaterialCatalog.DEFAULT;
+
+    // Can angle: tilt of the spray axis away from the wall normal (degrees)
+    // and the direction it points along the wall (degrees, 0 = +x, 90 = +y)
+    this.canAngle = 0;
+    this.canAzimuth = 90;
+    this.useStylusTilt = true; // pen tilt overrides the sliders
+    this.MAX_CAN_ANGLE = 60; // degrees
+    this.MAX_CONE_EDGE = (80 * Math.PI) / 180; // far edge stays on the wall
+    this._footprint = null; // last footprint from deriveSprayParams
+
     // Overspray simulation
     this.lastOverPos = null;
     this.oversprayStep = this.computeOversprayStep();
 
+    // Document size in px; spray physics work in these units whatever the
+    // display size (see setDocumentSize)
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.viewScale = 1; // CSS px per document px
+
     // --- DRIPS: buffers & params ---
     this.bufScale = 2;
     this.bufW = Math.ceil(canvas.width / this.bufScale);
     this.bufH = Math.ceil(canvas.height / this.bufScale);
     this.paintBuf = new Float32Array(this.bufW * this.bufH);
+    this.pigmentBuf = new Float32Array(this.bufW * this.bufH * 3);
+    this.filmBuf = new Float32Array(this.bufW * this.bufH * 2);
     this.drips = [];
 
+    // Drying: every cell's paint film holds [seconds left, drying time]
+    // (reference climate; see MaterialCatalog dryTime). Film wetter than
+    // TOUCH_DRY is tacky: new paint pools faster and drips slide on it.
+    this.TOUCH_DRY = 0.65; // film wetness (left / time) when touch dry
+    this.WET_FILM_GAIN = 0.35; // extra wetness on tacky film
+    this.SHEEN_INTERVAL = 0.12; // s between wet sheen redraws
+    this._sheenClock = 0;
+    this._sheenStale = false;
+
+    // Wet-on-wet mixing: new paint mixes (Kubelka–Munk, see Pigment) with
+    // the wet pigment in the active layer's cells; dry paint just layers
+    this.wetMixing = true;
+    this.MIX_WET_MIN = 0.04; // cells drier than this count as dry
+    this.MIX_DOT_WET = 0.35; // wetness at which a dot shows half wet pigment
+    this._paintLin = [0, 0, 0]; // this.color as linear RGB
+    this._paintLinHex = null;
+
     // physics (seconds-based)
     this.DRIP_THRESHOLD = 0.59; // pooled paint needed at center cell
     this.DRIP_HYST = 0.24; // local drain after spawn
@@ -66,8 +113,50 @@ class SprayPaint {
     this.DEPOSIT_PER_PX = 1.25; // volume lost per 60–70 px of travel
     this.LATERAL_SPREAD = 0.6; // px/frame lateral meander
 
+    // Surface orientation: the direction gravity pulls along the document
+    // (degrees, 0 = +x, 90 = +y) and the surface's tilt from horizontal
+    // (90 = wall, 0 = floor / ceiling). Below POOL_TILT drips pool.
+    this.gravityDirection = 90;
+    this.surfaceTilt = 90;
+    this.POOL_TILT = 8; // degrees
+    this.POOL_SPREAD = 2.2; // s^-1 — how fast a pool's rim spreads
+
+    // Environment (see Environment): temperature °C, relative humidity %,
+    // wind speed m/s and the direction it blows (degrees, 0 = +x, 90 = +y)
+    this.temperature = 20;
+    this.humidity = 50;
+    this.windSpeed = 0;
+    this.windDirection = 0;
+    this.WIND_DRIFT = 3; // px of mist drift per m/s, grows with distance
+    this.GRAIN_SKEW = 0.15; // share of the drift the grain cloud's rim takes
+
+    // Substrate (see SubstrateCatalog): spray from further than
+    // RECESS_DISTANCE misses up to RECESS_SHADOW of the grain landing in
+    // the deepest recesses; porous cells soak up part of the wetness
+    this.substrate = SubstrateCatalog.DEFAULT;
+    this.RECESS_DISTANCE = 40; // px
+    this.RECESS_SHADOW = 0.9;
+    this._surface = null; // rendered maps, see getSurface
+
+    // Tool on the pointer (see SprayPaint.TOOLS): the can, the buff (the
+    // can loaded with buffColor) or an eraser
+    this.tool = "spray";
+    this.buffColor = "#ffffff";
+    this._heldPaint = null; // the user's paint while the buff sprays
+    this.ERASE_STEP = 0.25; // eraser dab spacing, × radius
+    this.strokeGroup = null; // name of the open stroke group, if any
+
+    // drip ↔ paint interaction
+    this.DRY_DRAG = 0.35; // extra damping over dry surface
+    this.WET_SLIP = 0.3; // less damping over wet paint
+    this.DRIP_PICKUP = 1.5; // s^-1 — share of crossed wetness a head soaks up
+    this.DRIP_TRAIL_WET = 0.4; // share of shed volume left as trail wetness
+    this.SPLIT_VOL = 1.5; // drips heavier than this may split
+    this.SPLIT_CHANCE = 0.6; // splits per second above SPLIT_VOL
+    this.MERGE_GRACE = 0.3; // s — age before drips can merge in flight
+
     // speed estimation for dwell logic
-    this.lastStampAtMs = performance.now();
+    this.lastStampAtMs = this.now();
     this.speedEMA = 0; // px/s EMA
 
     // dwell speed references
@@ -128,8 +217,6 @@ class SprayPaint {
     this.TAIL_HOOK_STRENGTH = 0.6; // 0..1 — curvature of the tail (randomized per drip)
     this.TAIL_BEAD_CHANCE = 0.35; // 0..1 — chance of a tiny bead at the very tip
 
-    this.GOLD_DRIP_ALPHA_GAIN = 0.98; // +?% density for gold drips
-    this.GOLD_GLAZE = 0.26; // strength of warm multiply glaze
     this.metallicShimmerDrip = true; // enable subtle metallic shimmer on drips
 
     // after other fields
@@ -147,25 +234,392 @@ class SprayPaint {
     this._armAfterMs = 450;      // wait ~0.45s after first touch
     this._armAfterTravel = 26;   // and at least ~26px of path length
 
-    // --- device / input hints for gold handling ---
+    // --- device / input hints for touch-safe materials ---
     this.isTouch = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
 
-    // --- gold debug flags/state ---
-    this.debugGold = true; // master switch for gold/touch diagnostics
+    // --- material debug flags/state ---
+    this.debugMaterial = true; // master switch for material/touch diagnostics
     this._dbgLast = { stamp: 0, grain: 0, over: 0, brush: 0 };
     this._dbgStrokeId = 0;
+    this.debugDrips = false; // drip split / merge / pool diagnostics
+
+    // stroke lifecycle listeners (history, recording)
+    this._listeners = {};
+
+    // optional layer stack; when set, painting targets its active layer
+    this.layers = null;
+
+    // optional masks (tape, stencils; see MaskStack) shielding the wall
+    this.masks = null;
+  }
+
+  // --- render target: active layer when a LayerStack is attached ---
+  get ctx() {
+    return this.layers ? this.layers.active.ctx : this._ctx;
+  }
+
+  set ctx(ctx) {
+    this._ctx = ctx;
+  }
+
+  get paintBuf() {
+    return this.layers ? this.layers.active.paintBuf : this._paintBuf;
+  }
+
+  set paintBuf(buf) {
+    this._paintBuf = buf;
+  }
+
+  get pigmentBuf() {
+    return this.layers ? this.layers.active.pigmentBuf : this._pigmentBuf;
+  }
+
+  set pigmentBuf(buf) {
+    this._pigmentBuf = buf;
+  }
+
+  get filmBuf() {
+    return this.layers ? this.layers.active.filmBuf : this._filmBuf;
+  }
+
+  set filmBuf(buf) {
+    this._filmBuf = buf;
+  }
+
+  setLayerStack(layers) {
+    this.layers = layers;
+    this.setDocumentSize(layers.width, layers.height);
+  }
+
+  setMaskStack(masks) {
+    this.masks = masks;
+  }
+
+  // Lay a mask piece (spec: see MaskStack.buildPiece); returns its id
+  addMask(spec) {
+    if (!this.masks) return null;
+    const id = this.masks.add(spec);
+    if (this.layers) this.layers.invalidate();
+    return id;
+  }
+
+  liftMask(id) {
+    if (!this.masks || !this.masks.lift(id)) return;
+    if (this.layers) this.layers.invalidate();
+  }
+
+  liftAllMasks() {
+    if (!this.masks || !this.masks.liftAll()) return;
+    if (this.layers) this.layers.invalidate();
+  }
+
+  // Shield the wall under the masks while painting into the active layer
+  // (see MaskStack.begin); false when there is nothing to shield or a
+  // stroke already does
+  _beginMasking() {
+    return !!this.masks && this.masks.begin(this.ctx);
+  }
+
+  // Sort paint that landed on masks since the last call
+  _collectMaskPaint() {
+    if (this.masks) this.masks.collect();
+  }
+
+  // Share of the spray reaching the wall in cell k
+  _maskOpen(k) {
+    return this.masks ? this.masks.openAt(k) : 1;
+  }
+
+  // A mask over (x, y): drips run onto it and end there
+  _onMask(x, y) {
+    return !!this.masks && this.masks.coverAt(x, y) > 0.5;
+  }
 
+  // Reallocate the drip grids for a new document size. Layer wetness is
+  // resampled by LayerStack.resize; spawn throttling starts over.
+  setDocumentSize(width, height) {
+    this.width = width;
+    this.height = height;
+    const bufW = Math.ceil(width / this.bufScale);
+    const bufH = Math.ceil(height / this.bufScale);
+    if (bufW === this.bufW && bufH === this.bufH) return;
+
+    this.bufW = bufW;
+    this.bufH = bufH;
+    this._paintBuf = new Float32Array(bufW * bufH);
+    this._pigmentBuf = new Float32Array(bufW * bufH * 3);
+    this._filmBuf = new Float32Array(bufW * bufH * 2);
+    this._spawnCooldown = new Uint16Array(bufW * bufH);
+    this._lastSpawnAt = new Uint32Array(bufW * bufH);
+    this._recentSpawns.length = 0;
+    this.drips.length = 0;
+  }
+
+  // hidden or locked layers don't accept paint
+  canPaint() {
+    if (!this.layers) return true;
+    const layer = this.layers.active;
+    return layer.visible && !layer.locked;
+  }
+
+  // --- stroke events: "strokestart" fires before any paint lands ---
+  on(type, fn) {
+    (this._listeners[type] || (this._listeners[type] = [])).push(fn);
+  }
+
+  off(type, fn) {
+    const list = this._listeners[type];
+    if (!list) return;
+    const i = list.indexOf(fn);
+    if (i >= 0) list.splice(i, 1);
+  }
+
+  _emit(type, detail) {
+    const list = this._listeners[type];
+    if (!list) return;
+    for (const fn of list.slice()) fn(detail);
+  }
+
+  // --- determinism: every random draw and timestamp goes through these ---
+  random() {
+    return this.rng.next();
+  }
+
+  now() {
+    return this._clock ? this._clock() : performance.now();
+  }
+
+  setSeed(seed) {
+    this.rng.setSeed(seed);
+  }
+
+  // fn() → ms; pass null to return to performance.now()
+  setClock(fn) {
+    this._clock = fn || null;
+  }
+
+  // Forget per-stroke motion state, spawn throttles and running drips so a
+  // recording starts (and replays) from exactly the same engine state.
+  resetDynamics(nowMs = this.now()) {
+    this.isDrawing = false;
+    if (this._sprayInterval) {
+      clearInterval(this._sprayInterval);
+      this._sprayInterval = null;
+    }
+    this.lastX = this.lastY = this.currentX = this.currentY = 0;
+    this.pressure = 1.0;
+    this.pen = SprayPaint.defaultPen();
+    this.lastOverPos = null;
+    this.lastStampTime = 0;
+    this.lastStampAtMs = nowMs;
+    this.speedEMA = 0;
+    this._lastDwellWetAt = 0;
+    this._lastDwellOverAt = 0;
+    this._dripArmed = false;
+    this._paintStartMs = 0;
+    this._travelSinceStart = 0;
+    this._lastSpawnGlobalAt = 0;
+    this._recentSpawns.length = 0;
+    this._spawnCooldown.fill(0);
+    this._lastSpawnAt.fill(0);
+    this.drips.length = 0;
+    this._dripUID = 0;
+  }
+
+  // Raw engine settings (already clamped/converted by the setters)
+  getSettings() {
+    const out = {};
+    for (const k of SprayPaint.SETTING_FIELDS) out[k] = this[k];
+    // mid-buff, the user's paint is the setting
+    if (this._heldPaint) Object.assign(out, this._heldPaint);
+    return out;
+  }
+
+  applySettings(settings) {
+    for (const k of SprayPaint.SETTING_FIELDS) {
+      if (settings[k] !== undefined) this[k] = settings[k];
+    }
+    this.oversprayStep = this.computeOversprayStep();
+    this.lastOverPos = null;
   }
 
   setColor(color) {
-    this.color = color;
+    if (this._heldPaint) this._heldPaint.color = color;
+    else this.color = color;
   }
 
   setNozzleSize(size) {
-    this.nozzleSize = Math.max(2, Math.min(120, size));
+    const [min, max] = this.getCap().nozzle;
+    this.nozzleSize = Math.max(min, Math.min(max, size));
     this.oversprayStep = this.computeOversprayStep();
   }
 
+  getCap() {
+    return CapCatalog.get(this.cap);
+  }
+
+  // Switch caps; the nozzle size is brought into the new cap's range
+  setCap(id) {
+    if (!CapCatalog.has(id)) return;
+    this.cap = id;
+    this.setNozzleSize(this.nozzleSize);
+  }
+
+  getMaterial() {
+    return MaterialCatalog.get(this.material);
+  }
+
+  setMaterial(id) {
+    if (!MaterialCatalog.has(id)) return;
+    if (this._heldPaint) this._heldPaint.material = id;
+    else this.material = id;
+  }
+
+  getTool() {
+    return SprayPaint.TOOLS[this.tool] || SprayPaint.TOOLS.spray;
+  }
+
+  setTool(id) {
+    if (!SprayPaint.TOOLS[id]) return;
+    this.tool = id;
+  }
+
+  setBuffColor(color) {
+    this.buffColor = color;
+  }
+
+  // The buff is the same can loaded with buffColor in its own material:
+  // swapped in for a stroke, the user's paint put back after it
+  _loadBuff() {
+    const buff = this.getTool().buff;
+    if (!buff || this._heldPaint) return false;
+    this._heldPaint = { color: this.color, material: this.material };
+    this.color = this.buffColor;
+    this.material = buff.material;
+    return true;
+  }
+
+  _unloadBuff() {
+    if (!this._heldPaint) return;
+    this.color = this._heldPaint.color;
+    this.material = this._heldPaint.material;
+    this._heldPaint = null;
+  }
+
+  setWetMixing(on) {
+    this.wetMixing = !!on;
+  }
+
+  // Current color as linear RGB (cached per color)
+  _paintPigment() {
+    if (this._paintLinHex !== this.color) {
+      Pigment.fromHex(this.color, this._paintLin);
+      this._paintLinHex = this.color;
+    }
+    return this._paintLin;
+  }
+
+  // Mix `amount` of fresh paint into cell k's wet pigment and re-wet its
+  // film; call before the wetness is added. Dry cells (or mixing off)
+  // take the new color.
+  _depositPaint(k, amount) {
+    if (amount <= 0) return;
+    this._mixPigmentAt(
+      this.paintBuf,
+      this.pigmentBuf,
+      k,
+      this._paintPigment(),
+      amount
+    );
+    this._wetFilm(this.filmBuf, k, this.getMaterial().dryTime);
+  }
+
+  // Fresh paint restarts the film's drying (a slower coat underneath
+  // that is still wetter keeps its own clock)
+  _wetFilm(film, k, dryTime) {
+    const j = k * 2;
+    if (film[j] >= dryTime) return;
+    film[j] = dryTime;
+    film[j + 1] = dryTime;
+  }
+
+  // Film wetness of cell k, 1 fresh → 0 dry
+  _filmWetness(film, k) {
+    const j = k * 2;
+    return film[j + 1] > 0 ? film[j] / film[j + 1] : 0;
+  }
+
+  // Film wetness while still tacky, 0 once touch dry
+  _tackiness(film, k) {
+    const w = this._filmWetness(film, k);
+    return w > this.TOUCH_DRY ? w : 0;
+  }
+
+  // Advance drying by `step` reference seconds; true while any cell is wet
+  _dryFilm(film, step) {
+    let wet = false;
+    for (let j = 0; j < film.length; j += 2) {
+      if (film[j] > 0) {
+        film[j] = Math.max(0, film[j] - step);
+        wet = true;
+      }
+    }
+    return wet;
+  }
+
+  // _depositPaint's pigment mix for any layer's grids and pigment (drips)
+  _mixPigmentAt(wetBuf, buf, k, paint, amount) {
+    if (amount <= 0) return;
+    const wet = wetBuf[k];
+    const j = k * 3;
+    if (!this.wetMixing || wet < this.MIX_WET_MIN) {
+      buf[j] = paint[0];
+      buf[j + 1] = paint[1];
+      buf[j + 2] = paint[2];
+      return;
+    }
+    const cell = buf.subarray(j, j + 3);
+    Pigment.mix(cell, paint, amount / (wet + amount), cell);
+  }
+
+  // Color of the wet pigment pooled in cell k (the current color when it
+  // is that paint, so drips share its cached brushes)
+  _pooledColorAt(k) {
+    const j = k * 3;
+    const cell = this.pigmentBuf.subarray(j, j + 3);
+    if (Pigment.distance(cell, this._paintPigment()) < 0.01) return this.color;
+    return Pigment.toHex(cell);
+  }
+
+  // Color a dot landing at (x, y) shows: the paint mixed with any wet
+  // pigment under it. `cache` maps cell → color for one stamp.
+  _wetColorAt(x, y, cache) {
+    if (!this.wetMixing) return this.color;
+    const k = this.cellIndexFromXY(x, y);
+    if (k < 0) return this.color;
+    const wet = this.paintBuf[k];
+    if (wet < this.MIX_WET_MIN) return this.color;
+    let color = cache.get(k);
+    if (color) return color;
+
+    const j = k * 3;
+    const cell = this.pigmentBuf.subarray(j, j + 3);
+    const paint = this._paintPigment();
+    if (Pigment.distance(cell, paint) < 0.01) {
+      color = this.color;
+    } else {
+      const share = wet / (wet + this.MIX_DOT_WET);
+      color = Pigment.toHex(Pigment.mix(paint, cell, share), 8);
+    }
+    cache.set(k, color);
+    return color;
+  }
+
+  // Flow after the cap's pressure response
+  getFlow() {
+    return this.flow * this.getCap().flow(this.pressure);
+  }
+
   setSoftness(softness) {
     this.softness = Math.max(0.7, Math.min(0.95, softness / 100));
   }
@@ -206,147 +660,181 @@ class SprayPaint {
     this.distance = Math.max(2, zPx | 0);
   }
 
-  // NEW: choose a compositor for drips based on color
-  getDripCompositeMode() {
-    // Metallics (like gold) should not be multiplied — it darkens them.
-    // Use normal blending for identical tone. Keep multiply for non-metal.
-    return this.isGoldColor(this.color) ? "source-over" : "multiply";
+  setCanAngle(degrees) {
+    this.canAngle = Math.max(0, Math.min(this.MAX_CAN_ANGLE, degrees));
   }
 
-  // Draw one drip stamp. Gold gets extra metallic passes.
-  // Keeps spray brushes untouched (no effect on dot density).
-  // --- Replace the whole helper with this version ---
-  // Matches the spray's metallic recipe: warm multiply + two screened lobes.
-  // Only runs for gold; keeps stamp density unchanged.
-  _stampDrip(R, x, y, alpha) {
-    const ctx = this.ctx;
+  setCanAzimuth(degrees) {
+    this.canAzimuth = ((degrees % 360) + 360) % 360;
+  }
 
-    // 0) Base body (identical tone as paint)
-    ctx.globalCompositeOperation = "source-over";
-    ctx.globalAlpha = alpha;
-    ctx.drawImage(this.getBrush(R), x - R, y - R);
+  setUseStylusTilt(on) {
+    this.useStylusTilt = !!on;
+  }
 
-    if (!this.isGoldColor(this.color)) return;
+  // Spray axis tilt + azimuth (radians): from the pen when it reports tilt,
+  // otherwise from the can angle settings
+  getCanTilt() {
+    const pen = this.pen;
+    const deg = Math.PI / 180;
+    if (
+      this.useStylusTilt &&
+      pen.pointerType === "pen" &&
+      (pen.tiltX || pen.tiltY)
+    ) {
+      const tx = Math.tan(pen.tiltX * deg);
+      const ty = Math.tan(pen.tiltY * deg);
+      // the barrel leans toward +tilt, so the spray travels the other way
+      return {
+        tilt: Math.min(this.MAX_CAN_ANGLE * deg, Math.atan(Math.hypot(tx, ty))),
+        azimuth: Math.atan2(-ty, -tx),
+      };
+    }
+    return { tilt: this.canAngle * deg, azimuth: this.canAzimuth * deg };
+  }
+
+  // Map an offset (ox, oy) inside the upright-can footprint of the given
+  // radius onto the tilted footprint. fade < 1 on the far side, where the
+  // paint travels further and lands thinner.
+  _tiltOffset(ox, oy, radius, fp) {
+    if (!fp || !fp.tilted) return { x: ox, y: oy, fade: 1 };
+    const a = ox * fp.ux + oy * fp.uy; // along the tilt
+    const b = oy * fp.ux - ox * fp.uy; // across it
+    const along = a * (a > 0 ? fp.far : fp.near);
+    const across = b * fp.across;
+    const fade =
+      a > 0 ? 1 / (1 + 0.5 * (fp.far - 1) * (a / Math.max(1e-3, radius))) : 1;
+    return {
+      x: along * fp.ux - across * fp.uy,
+      y: along * fp.uy + across * fp.ux,
+      fade,
+    };
+  }
 
-    // Tunables (tight link to spray look)
-    const GLZ = 0.09; // warm glaze strength (0.08–0.14)
-    const SH1 = 0.18; // primary highlight (0.04–0.08)
-    const SH2 = 0.05; // secondary reflection (0.02–0.05)
-    const OFF1 = 0.34; // primary highlight offset (fraction of R)
-    const OFF2 = 0.7; // secondary highlight offset
-    const SHR = 0.86; // highlight radius scale
-    const SHR2 = 0.55; // second lobe radius scale
+  // Drips composite per material (metals aren't multiplied; it darkens them)
+  getDripCompositeMode(material = this.material) {
+    return MaterialCatalog.get(material).drip.composite;
+  }
 
-    // 1) Warm mid-tone multiply glaze (deepens like the spray core)
-    ctx.save();
-    ctx.globalCompositeOperation = "multiply";
-    ctx.globalAlpha = GLZ;
-    ctx.drawImage(this.getBrush(R), x - R, y - R);
-    ctx.restore();
+  // Drip control methods
+  setDripThreshold(threshold) {
+    this.DRIP_THRESHOLD = Math.max(0.1, Math.min(0.8, threshold / 100));
+  }
 
-    // Light comes from up-left (same as brush layout in createMetallicBrush)
-    const offX1 = R * OFF1,
-      offY1 = R * OFF1; // up-left
-    const offX2 = R * OFF2,
-      offY2 = R * 0.1; // slight lateral second lobe
+  setDripGravity(gravity) {
+    this.GRAVITY = Math.max(500, Math.min(5000, gravity));
+  }
 
-    // 2) Primary specular lobe (screen)
-    ctx.save();
-    ctx.globalCompositeOperation = "screen";
-    ctx.globalAlpha = SH1;
-    const R1 = Math.max(0.7, R * SHR);
-    ctx.drawImage(this.getBrush(R1), x - R1 - offX1, y - R1 - offY1);
-    ctx.restore();
+  setDripViscosity(viscosity) {
+    this.VISCOSITY = Math.max(0.5, Math.min(15, viscosity));
+  }
 
-    // 3) Secondary reflection (screen, smaller & fainter)
-    ctx.save();
-    ctx.globalCompositeOperation = "screen";
-    ctx.globalAlpha = SH2;
-    const R2 = Math.max(0.5, R * SHR2);
-    ctx.drawImage(this.getBrush(R2), x - R2 + offX2, y - R2 - offY2);
-    ctx.restore();
+  setDripEvaporation(evaporation) {
+    this.WET_EVAP = Math.max(0.05, Math.min(1.0, evaporation / 100));
+  }
 
-    // 3b) Metallic sheen to lift center tone
-    ctx.save();
-    ctx.globalCompositeOperation = "screen";
-    ctx.globalAlpha = 0.08;
-    const sheen = ctx.createRadialGradient(
-      x - R * 0.12,
-      y - R * 0.18,
-      0,
-      x,
-      y,
-      R * 1.05
-    );
-    sheen.addColorStop(0.0, "rgba(255,240,210,0.75)");
-    sheen.addColorStop(0.45, "rgba(255,228,170,0.28)");
-    sheen.addColorStop(1.0, "rgba(255,228,170,0.0)");
-    ctx.fillStyle = sheen;
-    ctx.fillRect(x - R, y - R, R * 2, R * 2);
-    ctx.restore();
+  setTemperature(celsius) {
+    this.temperature = Math.max(-10, Math.min(40, celsius));
+  }
 
-    // 4) Tiny micro-sparkle (rare + very faint; avoids glitter)
-    if (Math.random() < 0.08) {
-      ctx.save();
-      ctx.globalCompositeOperation = "screen";
-      const Rs = Math.max(0.45, R * (0.42 + Math.random() * 0.2));
-      const jx = (Math.random() - 0.3) * R * 0.22;
-      const jy = (Math.random() - 0.6) * R * 0.22;
-      ctx.globalAlpha = 0.02;
-      ctx.drawImage(this.getBrush(Rs), x + jx - Rs, y + jy - Rs);
-      ctx.restore();
-    }
+  setHumidity(percent) {
+    this.humidity = Math.max(0, Math.min(100, percent));
   }
 
-  // Convenience wrapper so the drip code is clean
-  _stampDripAt(R, xx, yy, alpha) {
-    this._stampDrip(R, xx, yy, alpha);
+  setWindSpeed(speed) {
+    this.windSpeed = Math.max(0, Math.min(15, speed));
   }
 
-  // Lightweight, cached specular brush for gold (pure highlight, no color shift)
-  getGoldSpecBrush(radius) {
-    const R = Math.max(1, Math.round(radius * 2) / 2);
-    const dpr = Math.max(1, window.devicePixelRatio || 1);
-    const key = `gold-spec-${R}-${dpr}`;
-    if (this.stampCache.has(key)) return this.stampCache.get(key);
+  setWindDirection(degrees) {
+    this.windDirection = ((degrees % 360) + 360) % 360;
+  }
 
-    const px = Math.ceil(R * 2 * dpr);
-    const c = document.createElement("canvas");
-    c.width = c.height = Math.max(2, px);
+  getSubstrate() {
+    return SubstrateCatalog.get(this.substrate);
+  }
 
-    const g = c.getContext("2d", { alpha: true });
-    g.imageSmoothingEnabled = true;
-    g.imageSmoothingQuality = "high";
+  setSubstrate(id) {
+    if (!SubstrateCatalog.has(id)) return;
+    this.substrate = id;
+    if (this.layers) this.layers.invalidate();
+  }
 
-    const rr = R * dpr;
-    // bright center → quick falloff, neutral white/yellow for screen blending
-    const spec = g.createRadialGradient(rr, rr, 0, rr, rr, rr);
-    spec.addColorStop(0.0, "rgba(255,255,255,1.0)");
-    spec.addColorStop(0.3, "rgba(255,244,200,0.8)");
-    spec.addColorStop(0.75, "rgba(255,215,0,0.20)");
-    spec.addColorStop(1.0, "rgba(255,215,0,0.00)");
-    g.fillStyle = spec;
-    g.fillRect(0, 0, c.width, c.height);
+  // The substrate's albedo, depth and porosity maps for the current
+  // document, rendered on first use after a substrate or size change
+  getSurface() {
+    const s = this._surface;
+    if (
+      !s ||
+      s.id !== this.substrate ||
+      s.width !== this.width ||
+      s.height !== this.height
+    ) {
+      this._surface = SubstrateCatalog.build(
+        this.substrate,
+        this.width,
+        this.height,
+        this.bufScale
+      );
+    }
+    return this._surface;
+  }
 
-    this.stampCache.set(key, c);
-    return c;
+  // Whether a grain landing at (x, y) misses a recess: the further the
+  // can, the less of the spray reaches into mortar joints and pits
+  _missesRecess(x, y) {
+    const { depth } = this.getSurface();
+    if (!depth) return false;
+    const k = this.cellIndexFromXY(x, y);
+    if (k < 0 || depth[k] <= 0) return false;
+    const reach = Math.min(1, this.distance / this.RECESS_DISTANCE);
+    return this.random() < this.RECESS_SHADOW * depth[k] * reach;
   }
 
-  // Drip control methods
-  setDripThreshold(threshold) {
-    this.DRIP_THRESHOLD = Math.max(0.1, Math.min(0.8, threshold / 100));
+  // Environment multipliers for evaporation (and drying) and viscosity
+  getClimate() {
+    return Environment.factors(this.temperature, this.humidity);
   }
 
-  setDripGravity(gravity) {
-    this.GRAVITY = Math.max(500, Math.min(5000, gravity));
+  // Evaporation (s^-1) and drip damping after temperature and humidity
+  getEvaporation() {
+    return this.WET_EVAP * this.getClimate().evap;
   }
 
-  setDripViscosity(viscosity) {
-    this.VISCOSITY = Math.max(0.5, Math.min(15, viscosity));
+  getViscosity() {
+    return this.VISCOSITY * this.getClimate().viscosity;
   }
 
-  setDripEvaporation(evaporation) {
-    this.WET_EVAP = Math.max(0.05, Math.min(1.0, evaporation / 100));
+  // Wind drift (px) of the lightest mist at the current can distance;
+  // heavier particles and the grain cloud take a share of it
+  getWind() {
+    if (!this.windSpeed) return { x: 0, y: 0 };
+    const a = (this.windDirection * Math.PI) / 180;
+    const drift = this.windSpeed * this.WIND_DRIFT * (1 + this.distance / 10);
+    return { x: Math.cos(a) * drift, y: Math.sin(a) * drift };
+  }
+
+  setGravityDirection(degrees) {
+    this.gravityDirection = ((degrees % 360) + 360) % 360;
+  }
+
+  setSurfaceTilt(degrees) {
+    this.surfaceTilt = Math.max(0, Math.min(90, degrees));
+  }
+
+  // Gravity along the surface: unit direction (x, y) in document space,
+  // the share of GRAVITY that pulls along it (1 on a wall, 0 flat) and
+  // whether the surface is flat enough for drips to pool
+  getGravity() {
+    const deg = Math.PI / 180;
+    const a = this.gravityDirection * deg;
+    // exact axes for the cardinal directions (cos 90° isn't quite 0)
+    const snap = (v) => Math.round(v * 1e12) / 1e12;
+    return {
+      x: snap(Math.cos(a)),
+      y: snap(Math.sin(a)),
+      slope: snap(Math.sin(this.surfaceTilt * deg)),
+      pool: this.surfaceTilt < this.POOL_TILT,
+    };
   }
 
   setLineDynamicsEnabled(on) {
@@ -388,12 +876,19 @@ class SprayPaint {
   }
 
   // --- HD brush with devicePixelRatio & smoothing ---
-  getBrush(radius) {
+  // color / material / softness default to the current paint; drips pass
+  // the paint they were spawned from
+  getBrush(
+    radius,
+    color = this.color,
+    material = this.material,
+    softness = this.softness
+  ) {
     const R = this._safeR(radius);
     const r = Math.max(1, Math.round(R * 4) / 4);
     const dpr = Math.max(1, window.devicePixelRatio || 1);
     const variant = this._drawingDrip ? "drip" : "spray"; // NEW
-    const key = `hd-${r}-${dpr}-${this.color}-${this.softness}-${variant}`;
+    const key = `hd-${r}-${dpr}-${color}-${softness}-${material}-${variant}`;
 
     if (this.stampCache.has(key)) return this.stampCache.get(key);
 
@@ -408,162 +903,166 @@ class SprayPaint {
 
     const rr = r * dpr;
 
-    if (this.isGoldColor(this.color)) {
-      // pass variant so drips use toned-down highlight
-      this.createMetallicBrush(g, rr, r, dpr, variant);
-    } else {
-      const grad = g.createRadialGradient(rr, rr, 0, rr, rr, rr);
-      grad.addColorStop(0, this.color);
-      grad.addColorStop(this.softness, this.color);
-      grad.addColorStop(1, this.color + "00");
-      g.fillStyle = grad;
-      g.fillRect(0, 0, c.width, c.height);
-    }
+    // pass variant so drips use the material's drip recipe; seed from the
+    // cache key so a rebuilt brush is identical to the evicted one
+    const brushRng = new SeededRandom(SeededRandom.hashString(key));
+    this.createMaterialBrush(
+      g,
+      rr,
+      variant,
+      () => brushRng.next(),
+      color,
+      material,
+      softness
+    );
 
     this.stampCache.set(key, c);
     return c;
   }
 
-  // Check if the color is gold (close to #EAC677)
-  isGoldColor(color) {
-    const goldHex = "#eac677";
-    const normalizedColor = color.toLowerCase();
-    return normalizedColor === goldHex || normalizedColor === "#eac677";
-  }
-
-  // Create metallic brush effect for gold color
-  // helper
-  _hexToRgba(hex, a = 1) {
+  // Paint color as rgba, mixed toward white (amount > 0) or black (< 0)
+  // and optionally hue-rotated by `hue` degrees
+  _shade(hex, amount = 0, alpha = 1, hue = 0) {
     const c = hex.replace("#", "");
-    const r = parseInt(c.slice(0, 2), 16),
+    let r = parseInt(c.slice(0, 2), 16),
       g = parseInt(c.slice(2, 4), 16),
       b = parseInt(c.slice(4, 6), 16);
-    return `rgba(${r},${g},${b},${a})`;
+    if (hue) {
+      // luminance-preserving rotation, as CSS hue-rotate()
+      const a = (hue * Math.PI) / 180;
+      const cs = Math.cos(a),
+        sn = Math.sin(a);
+      const nr =
+        r * (0.213 + cs * 0.787 - sn * 0.213) +
+        g * (0.715 - cs * 0.715 - sn * 0.715) +
+        b * (0.072 - cs * 0.072 + sn * 0.928);
+      const ng =
+        r * (0.213 - cs * 0.213 + sn * 0.143) +
+        g * (0.715 + cs * 0.285 + sn * 0.14) +
+        b * (0.072 - cs * 0.072 - sn * 0.283);
+      const nb =
+        r * (0.213 - cs * 0.213 - sn * 0.787) +
+        g * (0.715 - cs * 0.715 + sn * 0.715) +
+        b * (0.072 + cs * 0.928 + sn * 0.072);
+      r = nr;
+      g = ng;
+      b = nb;
+    }
+    const to = amount > 0 ? 255 : 0;
+    const k = Math.min(1, Math.abs(amount));
+    const mix = (v) => Math.round(Math.max(0, Math.min(255, v + (to - v) * k)));
+    return `rgba(${mix(r)},${mix(g)},${mix(b)},${alpha})`;
   }
 
+  // Build a brush in a material (the current one by default)
   // variant: "spray" | "drip"
-  createMetallicBrush(ctx, radius, baseRadius, dpr, variant = "spray") {
-    const cx = radius, cy = radius;
-    const _nowDbg = performance.now();
-
-    // Helper
-    const rgba = (hex, a = 1) => {
-      const c = hex.replace("#", "");
-      const r = parseInt(c.slice(0, 2), 16),
-            g = parseInt(c.slice(2, 4), 16),
-            b = parseInt(c.slice(4, 6), 16);
-      return `rgba(${r},${g},${b},${a})`;
-    };
-
-    // ---- GOLD DRIP (tone-matched to spray, but denser & less "pale") ----
-    if (this.isGoldColor(this.color) && variant === "drip") {
-      const gold = "#EAC677";
-
-      // Body: higher core density + slightly faster edge falloff
-      const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
-      g.addColorStop(0.00, rgba(gold, 0.92));
-      g.addColorStop(Math.min(0.58, this.softness * 0.7), rgba(gold, 0.86));
-      g.addColorStop(1.00, rgba(gold, 0.12));
-      ctx.fillStyle = g;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-      // Warm multiply glaze to match sprayed midtone depth
-      ctx.globalCompositeOperation = "multiply";
-      const warm = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
-      warm.addColorStop(0.0, rgba("#D6A84E", this.GOLD_GLAZE * 0.65));
-      warm.addColorStop(1.0, rgba("#D6A84E", 0.0));
-      ctx.fillStyle = warm;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-      // Subtle spec band (reduced so drips don’t look “light gold”)
-      ctx.globalCompositeOperation = "screen";
-      const band = ctx.createRadialGradient(cx * 0.78, cy * 0.72, 0, cx, cy, radius * 0.6);
-      band.addColorStop(0.0, rgba("#FFF8DC", 0.08));
-      band.addColorStop(0.45, rgba("#FFD700", 0.05));
-      band.addColorStop(1.0, rgba("#FFD700", 0.0));
-      ctx.fillStyle = band;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-      ctx.globalCompositeOperation = "source-over";
-      if (this.debugGold && _nowDbg - (this._dbgLast.brush || 0) > 800) {
-        console.log(`[GOLD-BRUSH] variant=drip dpr=${dpr} isTouch=${this.isTouch}`);
-        this._dbgLast.brush = _nowDbg;
+  // rng: brush-local random source, so cached brushes don't depend on paint order
+  createMaterialBrush(
+    ctx,
+    radius,
+    variant = "spray",
+    rng = Math.random,
+    color = this.color,
+    material = this.material,
+    softness = this.softness
+  ) {
+    const mat = MaterialCatalog.get(material);
+    const look = variant === "drip" ? mat.drip : mat;
+    const cx = radius,
+      cy = radius;
+    const w = ctx.canvas.width,
+      h = ctx.canvas.height;
+    const _nowDbg = this.now();
+
+    // Body: the material's tone ramp, or a soft flat dot
+    const body = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+    if (look.tones) {
+      for (const [stop, shade, alpha] of look.tones) {
+        const tone = this._shade(color, shade, alpha * mat.alpha);
+        body.addColorStop(stop, tone);
       }
-      return;
+    } else {
+      body.addColorStop(0, this._shade(color, 0, mat.alpha));
+      body.addColorStop(softness, this._shade(color, 0, mat.alpha));
+      body.addColorStop(1, this._shade(color, 0, 0));
     }
+    ctx.fillStyle = body;
+    ctx.fillRect(0, 0, w, h);
 
-    // ---- GOLD SPRAY (slightly safer on touch to avoid "end burst") ----
-    if (this.isGoldColor(this.color)) {
-      const touchAtten = this.isTouch ? 0.75 : 1.0; // reduce highlight strength on touch
-
-      // Base body
-      const g0 = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
-      g0.addColorStop(0.00, rgba("#FFD700", 0.80));
-      g0.addColorStop(0.30, "#EAC677");
-      g0.addColorStop(0.70, "#D4AF37");
-      g0.addColorStop(1.00, rgba("#B8860B", 1.0));
-      ctx.fillStyle = g0;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-      // Highlight (attenuated on touch to prevent burst)
-      const g1 = ctx.createRadialGradient(cx * 0.72, cy * 0.72, 0, cx, cy, radius * 0.62);
-      g1.addColorStop(0.0, rgba("#FFF8DC", 0.42 * touchAtten));
-      g1.addColorStop(0.4, rgba("#FFD700", 0.34 * touchAtten));
-      g1.addColorStop(1.0, rgba("#FFD700", 0.0));
-      ctx.globalCompositeOperation = "screen";
-      ctx.fillStyle = g1;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-      // Secondary reflection (also attenuated on touch)
-      const g2 = ctx.createRadialGradient(cx * 1.18, cy * 0.82, 0, cx, cy, radius * 0.42);
-      g2.addColorStop(0.0, rgba("#FFFFFF", 0.16 * touchAtten));
-      g2.addColorStop(0.3, rgba("#FFD700", 0.12 * touchAtten));
-      g2.addColorStop(1.0, rgba("#FFD700", 0.0));
-      ctx.fillStyle = g2;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-      // Remove micro-sparkles on touch devices (they can spike when stamps stack)
-      if (!this.isTouch) {
-        // extremely subtle sprinkle (kept off on touch)
-        if (Math.random() < 0.25) {
-          const spark = ctx.createRadialGradient(cx * 1.04, cy * 0.92, 0, cx, cy, radius * 0.34);
-          spark.addColorStop(0.0, rgba("#FFFFFF", 0.02));
-          spark.addColorStop(1.0, rgba("#FFFFFF", 0.0));
-          ctx.fillStyle = spark;
-          ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        }
-      }
+    // Drip glaze: a darker multiply pass to match the sprayed midtone depth
+    if (variant === "drip" && look.glaze) {
+      ctx.globalCompositeOperation = "multiply";
+      const glaze = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+      glaze.addColorStop(0.0, this._shade(color, -0.12, look.glaze * 2));
+      glaze.addColorStop(1.0, this._shade(color, -0.12, 0));
+      ctx.fillStyle = glaze;
+      ctx.fillRect(0, 0, w, h);
+    }
 
-      ctx.globalCompositeOperation = "source-over";
-      if (this.debugGold && _nowDbg - (this._dbgLast.brush || 0) > 800) {
-        console.log(
-          `[GOLD-BRUSH] variant=spray dpr=${dpr} isTouch=${this.isTouch} touchAtten=${touchAtten}`
-        );
-        this._dbgLast.brush = _nowDbg;
-      }
-      return;
+    // Specular lobes (attenuated on touch to avoid "end burst")
+    const touchAtten = this.isTouch && mat.touchSafe ? 0.75 : 1.0;
+    ctx.globalCompositeOperation = "screen";
+    for (const lobe of look.lobes) {
+      const a = lobe.alpha * touchAtten;
+      const g = ctx.createRadialGradient(
+        cx * lobe.x,
+        cy * lobe.y,
+        0,
+        cx,
+        cy,
+        radius * lobe.r
+      );
+      g.addColorStop(0.0, this._shade(color, lobe.tint, a, lobe.hue));
+      g.addColorStop(
+        0.4,
+        this._shade(color, lobe.tint * 0.4, a * 0.8, lobe.hue)
+      );
+      g.addColorStop(1.0, this._shade(color, lobe.tint * 0.4, 0));
+      ctx.fillStyle = g;
+      ctx.fillRect(0, 0, w, h);
     }
 
-    // ---- Non-gold fallback (unchanged from your previous behavior) ----
-    const gStd = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
-    gStd.addColorStop(0.0, this._hexToRgba("#FFD700", 0.85));
-    gStd.addColorStop(0.3, "#EAC677");
-    gStd.addColorStop(0.7, "#D4AF37");
-    gStd.addColorStop(1.0, this._hexToRgba("#B8860B", 1.0));
-    ctx.fillStyle = gStd;
-    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    // Extremely subtle glint (kept off on touch, where stamps stack)
+    if (variant === "spray" && !this.isTouch && rng() < mat.sparkle) {
+      const spark = ctx.createRadialGradient(
+        cx * 1.04,
+        cy * 0.92,
+        0,
+        cx,
+        cy,
+        radius * 0.34
+      );
+      spark.addColorStop(0.0, "rgba(255,255,255,0.02)");
+      spark.addColorStop(1.0, "rgba(255,255,255,0)");
+      ctx.fillStyle = spark;
+      ctx.fillRect(0, 0, w, h);
+    }
+    ctx.globalCompositeOperation = "source-over";
 
-    const gHi = ctx.createRadialGradient(cx * 0.72, cy * 0.72, 0, cx, cy, radius * 0.62);
-    gHi.addColorStop(0.0, this._hexToRgba("#FFF8DC", 0.55));
-    gHi.addColorStop(0.4, this._hexToRgba("#FFD700", 0.45));
-    gHi.addColorStop(1.0, this._hexToRgba("#FFD700", 0.0));
-    ctx.fillStyle = gHi;
-    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    if (mat.flake) this.addMetallicNoise(ctx, cx, cy, radius, rng, mat.flake);
 
-    this.addMetallicNoise(ctx, cx, cy, radius);
+    if (
+      this.debugMaterial &&
+      mat.touchSafe &&
+      _nowDbg - (this._dbgLast.brush || 0) > 800
+    ) {
+      console.log(
+        `[MATERIAL-BRUSH] material=${mat.id} variant=${variant} ` +
+          `isTouch=${this.isTouch} touchAtten=${touchAtten}`
+      );
+      this._dbgLast.brush = _nowDbg;
+    }
   }
-  // Add metallic noise texture
-  addMetallicNoise(ctx, centerX, centerY, radius) {
+
+  // Add metallic noise texture (± amount brightness)
+  addMetallicNoise(
+    ctx,
+    centerX,
+    centerY,
+    radius,
+    rng = Math.random,
+    amount = 10
+  ) {
     const imageData = ctx.getImageData(
       0,
       0,
@@ -579,7 +1078,7 @@ class SprayPaint {
 
       if (distance <= radius) {
         // Add subtle metallic noise
-        const noise = (Math.random() - 0.5) * 20; // ±10 brightness variation
+        const noise = (rng() - 0.5) * 2 * amount;
         data[i] = Math.max(0, Math.min(255, data[i] + noise)); // Red
         data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise)); // Green
         data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise)); // Blue
@@ -593,18 +1092,19 @@ class SprayPaint {
     const Dn = this.nozzleSize;
     const z = this.distance;
     const p = this.pressure;
+    const cap = this.getCap();
 
     // add mild pressure widening (kd ≈ 0.06–0.10)
     const theta =
-      this.theta0 +
-      this.kTheta * Math.log(1 + Dn / this.Dref) +
+      cap.theta0 +
+      cap.kTheta * Math.log(1 + Dn / this.Dref) +
       0.08 * Math.log(1 + p); // new
 
     const Rz = z * Math.tan(theta);
     const sigma = Math.max(0.6, (z / 15) * (Dn / this.Dref) * 1.5);
-    const densityFactor = this._goldTouchDensityFactor();
+    const densityFactor = this._touchDensityFactor();
     const touchAlphaFactor =
-      this.isTouch && this.isGoldColor(this.color) ? 0.5 : 1;
+      this.isTouch && this.getMaterial().touchSafe ? 0.5 : 1;
     let alphaScale = (this.opacity * p) / (0.02 * z * z + 1);
     if (densityFactor < 1) {
       alphaScale *= densityFactor * touchAlphaFactor;
@@ -613,14 +1113,69 @@ class SprayPaint {
     if (densityFactor < 1) {
       scatterRadius *= Math.max(0.7, densityFactor * 1.15);
     }
-    return { theta, Rz, sigma, alphaScale, scatterRadius };
+
+    // Tilted cone: the wall cuts it in an ellipse whose far half is
+    // stretched (edge at tilt + theta) and near half compressed (tilt − theta)
+    const { tilt, azimuth } = this.getCanTilt();
+    const tanT = Math.tan(theta);
+    const tanA = Math.tan(tilt);
+    const footprint = {
+      tilted: tilt > 1e-3,
+      tilt,
+      ux: Math.cos(azimuth),
+      uy: Math.sin(azimuth),
+      far: (Math.tan(Math.min(tilt + theta, this.MAX_CONE_EDGE)) - tanA) / tanT,
+      near: (tanA - Math.tan(tilt - theta)) / tanT,
+      across: 1 / Math.cos(tilt),
+    };
+    // kept for _accumWet, which has no params of its own
+    this._footprint = footprint;
+
+    // flat caps: a slit across the stroke, or along the pen's barrel twist
+    let slit = null;
+    if (cap.footprint.shape === "line") {
+      const pen = this.pen;
+      const angle =
+        cap.footprint.followTwist && pen.pointerType === "pen" && pen.twist
+          ? (pen.twist * Math.PI) / 180
+          : this._strokeAngle + (cap.footprint.angle * Math.PI) / 180;
+      slit = {
+        cos: Math.cos(angle),
+        sin: Math.sin(angle),
+        aspect: cap.footprint.aspect,
+      };
+    }
+
+    return {
+      theta,
+      Rz,
+      sigma,
+      alphaScale,
+      scatterRadius,
+      footprint,
+      cap,
+      slit,
+      wind: this.getWind(),
+    };
+  }
+
+  // Squash a round-footprint offset onto a flat cap's slit (length along
+  // the slit angle, width × aspect)
+  _slitOffset(ox, oy, slit) {
+    if (!slit) return { x: ox, y: oy };
+    const along = ox * slit.cos + oy * slit.sin;
+    const across = (oy * slit.cos - ox * slit.sin) * slit.aspect;
+    return {
+      x: along * slit.cos - across * slit.sin,
+      y: along * slit.sin + across * slit.cos,
+    };
   }
 
   // --- Helper functions for sophisticated grain control ---
   randn() {
     // Box–Muller transform for normal distribution
-    let u = 1 - Math.random(),
-      v = 1 - Math.random();
+    let u = 1 - this.random(),
+      v = 1 - this.random();
     return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
   }
 
@@ -646,8 +1201,9 @@ class SprayPaint {
     return Math.max(a, Math.min(b, x));
   }
 
-  _goldTouchDensityFactor() {
-    if (!this.isGoldColor(this.color)) return 1;
+  // Touch screens stack highlights of touch-safe materials; thin them out
+  _touchDensityFactor() {
+    if (!this.getMaterial().touchSafe) return 1;
     if (!this.isTouch) return 1;
     const areaScale =
       this._cssDensityComp ||
@@ -656,27 +1212,26 @@ class SprayPaint {
     return Math.max(0.3, Math.sqrt(clampedArea));
   }
 
-  _goldTouchCountScale() {
-    const d = this._goldTouchDensityFactor();
+  _touchCountScale() {
+    const d = this._touchDensityFactor();
     if (d >= 1) return 1;
     return Math.max(0.45, Math.min(1, d * 1.05));
   }
 
   calculateGrainSize(baseRadius, _size, params) {
     const pressure = this.pressure || 0.7;
+    const grain = (params && params.cap ? params.cap : this.getCap()).grain;
 
-    // log-normal
-    const mu = 0.0,
-      sigmaGrain = 0.35;
-    let sizeFactor = Math.exp(mu + sigmaGrain * this.randn());
+    // log-normal (shape set by the cap)
+    let sizeFactor = Math.exp(grain.mu + grain.sigma * this.randn());
 
-    if (Math.random() < 0.02) sizeFactor *= 1.8 + Math.random() * 1.2;
+    if (this.random() < 0.02) sizeFactor *= 1.8 + this.random() * 1.2;
 
     // use params for distance (don't read this.distance again)
     sizeFactor *=
       (Math.max(2, this.distance) / 15) * (1 / Math.sqrt(pressure + 0.2));
 
-    sizeFactor = this.clamp(sizeFactor, 0.35, 2.2);
+    sizeFactor = this.clamp(sizeFactor, grain.min, grain.max);
     return Math.max(0.5, baseRadius * sizeFactor);
   }
 
@@ -691,28 +1246,33 @@ class SprayPaint {
       1.25
     );
     // per-dot jitter so it's not flat
-    const jitter = 0.85 + Math.random() * 0.25; // 0.85–1.10
+    const jitter = 0.85 + this.random() * 0.25; // 0.85–1.10
     let dotOpacity = baseOpacity * sizeOpacityBoost * jitter * alphaScale;
 
     // safety clamp
     return this.clamp(dotOpacity, 0.05, 1.0);
   }
 
-  startDrawing(x, y, pressure = 1.0) {
+  startDrawing(x, y, pressure = 1.0, pen = null) {
+    if (!this.canPaint()) return;
+    this._emit("strokestart", { x, y });
     this.isDrawing = true;
+    this._beginMasking();
+    this._loadBuff();
     this.lastX = x;
     this.lastY = y;
     this.currentX = x;
     this.currentY = y;
     this.pressure = pressure;
+    this.setPen(pen);
     this.lastOverPos = null;
   
     // arm-state for first-paint drip lockout
     this._dripArmed = false;
-    this._paintStartMs = performance.now();
+    this._paintStartMs = this.now();
     this._travelSinceStart = 0;
 
-    if (this.debugGold) {
+    if (this.debugMaterial) {
       this._dbgStrokeId += 1;
       console.log(
         `[STROKE#${this._dbgStrokeId}] input=${this.isTouch ? 'touch' : 'mouse'} dpr=${this.dpr} ` +
@@ -720,17 +1280,47 @@ class SprayPaint {
       );
     }
 
-    // Start continuous spraying
-    if (!this._sprayInterval) {
+    const { erase } = this.getTool();
+    if (erase) this._eraseAt(x, y, erase);
+
+    // Start continuous spraying (a replay feeds recorded ticks instead)
+    if (!this._sprayInterval && !this.replaying) {
       this._sprayInterval = setInterval(() => {
         if (this.isDrawing) {
-          this.stamp(this.currentX, this.currentY);
+          this.sprayTick();
         }
       }, 16); // ~60fps
     }
   }
 
-  draw(x, y, pressure = 1.0) {
+  // Stylus tilt (-90..90° on each axis) and barrel twist (0..359°) from
+  // Pointer Events; mouse / touch input leaves the can upright
+  setPen(pen) {
+    if (!pen) {
+      this.pen = SprayPaint.defaultPen();
+      return;
+    }
+    this.pen = {
+      pointerType: pen.pointerType || "mouse",
+      tiltX: this.clamp(pen.tiltX || 0, -90, 90),
+      tiltY: this.clamp(pen.tiltY || 0, -90, 90),
+      twist: (((pen.twist || 0) % 360) + 360) % 360,
+    };
+  }
+
+  static defaultPen() {
+    return { pointerType: "mouse", tiltX: 0, tiltY: 0, twist: 0 };
+  }
+
+  // one continuous-spray emission at the current nozzle position
+  sprayTick() {
+    // erasers only work where they move
+    if (this.getTool().erase) return;
+    this.stamp(this.currentX, this.currentY);
+    this._collectMaskPaint();
+  }
+
+  draw(x, y, pressure = 1.0, pen = null) {
     if (!this.isDrawing) return;
 
     this.currentX = x;
@@ -738,21 +1328,25 @@ class SprayPaint {
 
     // Smooth pressure changes
     this.pressure += (pressure - this.pressure) * this.pressureSmoothing;
+    this.setPen(pen);
 
     // Calculate distance for stamping
     const distance = Math.sqrt((x - this.lastX) ** 2 + (y - this.lastY) ** 2);
 
     // Use continuous line drawing for smooth coverage
-    this.drawContinuousLine(this.lastX, this.lastY, x, y);
+    const { erase } = this.getTool();
+    if (erase) this._eraseLine(this.lastX, this.lastY, x, y, erase);
+    else this.drawContinuousLine(this.lastX, this.lastY, x, y);
 
     // Periodic cache cleanup
-    if (Math.random() < 0.01) {
+    if (this.random() < 0.01) {
       // 1% chance per draw call
       this.cleanupCache();
     }
 
     this.lastX = x;
     this.lastY = y;
+    this._collectMaskPaint();
   }
 
   drawContinuousLine(startX, startY, endX, endY) {
@@ -771,8 +1365,8 @@ class SprayPaint {
       const stampY = startY + (endY - startY) * t;
 
       // Add some randomness for natural spray effect
-      const jitterX = (Math.random() - 0.5) * 2;
-      const jitterY = (Math.random() - 0.5) * 2;
+      const jitterX = (this.random() - 0.5) * 2;
+      const jitterY = (this.random() - 0.5) * 2;
 
       this.stamp(stampX + jitterX, stampY + jitterY);
     }
@@ -804,8 +1398,8 @@ class SprayPaint {
         const stampY = startY + (endY - startY) * t;
 
         // Add slight randomness for natural effect
-        const jitterX = (Math.random() - 0.5) * 2;
-        const jitterY = (Math.random() - 0.5) * 2;
+        const jitterX = (this.random() - 0.5) * 2;
+        const jitterY = (this.random() - 0.5) * 2;
 
         this.stamp(stampX + jitterX, stampY + jitterY);
       }
@@ -816,12 +1410,12 @@ class SprayPaint {
       const extraDensity = Math.floor(speedRatio);
 
       for (let i = 0; i < extraDensity; i++) {
-        const t = Math.random();
+        const t = this.random();
         const stampX = startX + (endX - startX) * t;
         const stampY = startY + (endY - startY) * t;
 
-        const jitterX = (Math.random() - 0.5) * 3;
-        const jitterY = (Math.random() - 0.5) * 3;
+        const jitterX = (this.random() - 0.5) * 3;
+        const jitterY = (this.random() - 0.5) * 3;
 
         this.stamp(stampX + jitterX, stampY + jitterY);
       }
@@ -832,12 +1426,12 @@ class SprayPaint {
       const maxStamps = Math.floor(distance / (effectiveSize * 0.1));
 
       for (let i = 0; i < maxStamps; i++) {
-        const t = Math.random();
+        const t = this.random();
         const stampX = startX + (endX - startX) * t;
         const stampY = startY + (endY - startY) * t;
 
-        const jitterX = (Math.random() - 0.5) * 4;
-        const jitterY = (Math.random() - 0.5) * 4;
+        const jitterX = (this.random() - 0.5) * 4;
+        const jitterY = (this.random() - 0.5) * 4;
 
         this.stamp(stampX + jitterX, stampY + jitterY);
       }
@@ -845,7 +1439,14 @@ class SprayPaint {
   }
 
   stamp(x, y) {
-    const now = performance.now();
+    const { erase } = this.getTool();
+    if (erase) {
+      const ownMask = !this.isDrawing && this._beginMasking();
+      this._eraseAt(x, y, erase);
+      if (ownMask) this.masks.end();
+      return;
+    }
+    const now = this.now();
     const dx = x - (this.lastX ?? x);
     const dy = y - (this.lastY ?? y);
   
@@ -861,11 +1462,10 @@ class SprayPaint {
     }
   
     const speed = this._updateSpeed(now, dx, dy);
+    if (dx || dy) this._strokeAngle = Math.atan2(dy, dx);
   
-    const cw = this.canvas.clientWidth  || this.canvas.width;
-    const ch = this.canvas.clientHeight || this.canvas.height;
-    this._cssScaleX = cw / this.canvas.width;
-    this._cssScaleY = ch / this.canvas.height;
+    this._cssScaleX = this.viewScale;
+    this._cssScaleY = this.viewScale;
     if (this.isTouch) {
       const scaleX = Math.max(0.1, this._cssScaleX || 1);
       const scaleY = Math.max(0.1, this._cssScaleY || 1);
@@ -876,18 +1476,23 @@ class SprayPaint {
   
     if (now - this.lastStampTime < this.stampInterval) return;
     this.lastStampTime = now;
+
+    // stamps outside a stroke (shape helpers) shield the wall and load
+    // the buff themselves
+    const ownMask = !this.isDrawing && this._beginMasking();
+    const ownBuff = !this.isDrawing && this._loadBuff();
   
     let size = this.nozzleSize * (0.8 + this.pressure * 0.4);
     // touch size handled via density factors elsewhere
 
     // --- stationary dwell behavior ---
     const stationary = speed < this.V_SLOW * 0.3; // very slow/held in place
-    if (this.debugGold && this.isGoldColor(this.color)) {
+    if (this.debugMaterial && this.getMaterial().touchSafe) {
       const nowLog = now;
       if (nowLog - (this._dbgLast.stamp || 0) > 300) { // ~3 logs/sec
         const { alphaScale } = this.deriveSprayParams();
         console.log(
-          `[GOLD-STAMP] t=${nowLog.toFixed(1)}ms speed=${speed.toFixed(1)} ` +
+          `[MATERIAL-STAMP] t=${nowLog.toFixed(1)}ms speed=${speed.toFixed(1)} ` +
           `stationary=${stationary} size=${(this.nozzleSize * (0.8 + this.pressure * 0.4)).toFixed(2)} ` +
           `pressure=${this.pressure.toFixed(2)} alphaScale=${alphaScale.toFixed(3)} ` +
           `oversprayStep=${this.oversprayStep.toFixed(1)} cssScale=(${this._cssScaleX.toFixed(2)},${this._cssScaleY.toFixed(2)}) ` +
@@ -906,11 +1511,11 @@ class SprayPaint {
       // paced pooling (reduced for small/mid nozzles)
       const nowMs = now;
       if (nowMs - (this._lastDwellWetAt || 0) >= this._dwellWetStepMs) {
-        let dwellWet = 0.045 * this.flow * (0.85 + 0.5 * this.pressure);
+        let dwellWet = 0.045 * this.getFlow() * (0.85 + 0.5 * this.pressure);
         if (this.nozzleSize <= 12) dwellWet *= 0.6;      // ↓ pooling tiny tips
         else if (this.nozzleSize < 20) dwellWet *= 0.8;  // mildly lower mid tips
-        if (this.isTouch && this.isGoldColor(this.color)) {
-          dwellWet *= Math.max(0.2, this._goldTouchDensityFactor() * 0.6);
+        if (this.isTouch && this.getMaterial().touchSafe) {
+          dwellWet *= Math.max(0.2, this._touchDensityFactor() * 0.6);
         }
         this._accumWet(x, y, dwellWet, this.V_SLOW, /*centerBias=*/ true);
         this._lastDwellWetAt = nowMs;
@@ -937,6 +1542,115 @@ class SprayPaint {
       }
       this.lastOverPos = { x, y };
     }
+
+    if (ownBuff) this._unloadBuff();
+    if (ownMask) this.masks.end();
+    if (this.layers) this.layers.invalidate();
+  }
+
+  // Stroke groups name a run of strokes (a pass of a graffiti piece); the
+  // calls are recorded, so a recording shows where each group starts
+  beginGroup(name) {
+    this.endGroup();
+    this.strokeGroup = name;
+    this._emit("groupstart", { name });
+  }
+
+  endGroup() {
+    if (this.strokeGroup === null) return;
+    const name = this.strokeGroup;
+    this.strokeGroup = null;
+    this._emit("groupend", { name });
+  }
+
+  // --- erasers ---
+
+  // Dabs every ERASE_STEP × radius from (x0, y0) to (x1, y1); the start
+  // was taken by the previous call
+  _eraseLine(x0, y0, x1, y1, erase) {
+    const radius = this._eraseRadius();
+    const dist = Math.hypot(x1 - x0, y1 - y0);
+    const n = Math.ceil(dist / Math.max(0.5, radius * this.ERASE_STEP));
+    for (let i = 1; i <= n; i++) {
+      const t = i / n;
+      this._eraseAt(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, erase);
+    }
+  }
+
+  _eraseRadius() {
+    return (this.nozzleSize * (0.8 + this.pressure * 0.4)) / 2;
+  }
+
+  // One eraser dab: takes `strength` of the paint off inside the radius
+  // (all of it for a hard eraser, feathering out from `hardness` of the
+  // radius otherwise) and the same share of the wetness and wet film, so
+  // erased paint can't drip. Running drips under a hard eraser go too.
+  _eraseAt(x, y, erase) {
+    const radius = this._eraseRadius();
+    const hard = erase.hardness >= 1;
+    const strength = erase.strength * (hard ? 1 : this.pressure);
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalCompositeOperation = "destination-out";
+    ctx.globalAlpha = strength;
+    if (hard) {
+      ctx.fillStyle = "#000";
+    } else {
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+      gradient.addColorStop(0, "rgba(0,0,0,1)");
+      gradient.addColorStop(erase.hardness, "rgba(0,0,0,1)");
+      gradient.addColorStop(1, "rgba(0,0,0,0)");
+      ctx.fillStyle = gradient;
+    }
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    const s = this.bufScale;
+    const paint = this.paintBuf,
+      pigment = this.pigmentBuf,
+      film = this.filmBuf;
+    const x0 = Math.max(0, Math.floor((x - radius) / s)),
+      x1 = Math.min(this.bufW - 1, Math.floor((x + radius) / s));
+    const y0 = Math.max(0, Math.floor((y - radius) / s)),
+      y1 = Math.min(this.bufH - 1, Math.floor((y + radius) / s));
+    for (let cy = y0; cy <= y1; cy++) {
+      for (let cx = x0; cx <= x1; cx++) {
+        const d = Math.hypot((cx + 0.5) * s - x, (cy + 0.5) * s - y) / radius;
+        if (d > 1) continue;
+        const k = cy * this.bufW + cx;
+        const edge = hard
+          ? 1
+          : this.clamp((1 - d) / (1 - erase.hardness), 0, 1);
+        // masks keep the eraser off the wall too
+        const take = strength * edge * this._maskOpen(k);
+        if (take <= 0) continue;
+        paint[k] *= 1 - take;
+        film[k * 2] *= 1 - take;
+        if (take >= 1) {
+          pigment.fill(0, k * 3, k * 3 + 3);
+          film[k * 2 + 1] = 0;
+        }
+      }
+    }
+
+    if (hard) {
+      const layer = this.layers ? this.layers.active : null;
+      for (let i = this.drips.length - 1; i >= 0; i--) {
+        const d = this.drips[i];
+        if (d.layer !== layer) continue;
+        if (Math.hypot(d.x - x, d.y - y) > radius) continue;
+        if (this._onMask(d.x, d.y)) continue;
+        this.drips.splice(i, 1);
+      }
+    }
+
+    if (this.layers) {
+      this.layers.active.invalidateSheen();
+      this.layers.invalidate();
+    }
   }
 
   // --- Blue-noise-ish scatter with HiDPI brush + small-nozzle smoothing ---
@@ -944,9 +1658,10 @@ class SprayPaint {
 createNoisyPath(x, y, size, speed = this.V_REF) {
   const params = this.deriveSprayParams();
   let { scatterRadius } = params;
-  const densityFactor = this._goldTouchDensityFactor();
-  const countScale = this._goldTouchCountScale();
-  const usingGoldTouch = this.isGoldColor(this.color) && this.isTouch;
+  const densityFactor = this._touchDensityFactor();
+  const countScale = this._touchCountScale();
+  const material = this.getMaterial();
+  const usingTouchDensity = material.touchSafe && this.isTouch;
 
   const thicknessK =
     typeof this._getThicknessScale === "function"
@@ -967,7 +1682,7 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   // base density
   const areaFactor =
     (this.nozzleSize * this.nozzleSize) / (this.Dref * this.Dref);
-  const baseDots = 6.0 * areaFactor * this.flow;
+  const baseDots = 6.0 * areaFactor * this.getFlow();
   const densityComp = 1 / Math.max(0.6, Math.min(1.6, thicknessK));
   const MAX_DOTS = 1400;
 
@@ -982,7 +1697,7 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     nDots = Math.max(rawMinDots, nDots);
   }
 
-  if (usingGoldTouch && countScale < 1) {
+  if (usingTouchDensity && countScale < 1) {
     const scaledMin = rawMinDots
       ? Math.max(18, Math.floor(rawMinDots * countScale))
       : 0;
@@ -993,13 +1708,13 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   }
   if (nDots <= 0) return;
 
-  if (this.debugGold && this.isGoldColor(this.color)) {
-    const nowLog = performance.now();
+  if (this.debugMaterial && material.touchSafe) {
+    const nowLog = this.now();
     if (nowLog - (this._dbgLast.grain || 0) > 350) {
       console.log(
-        `[GOLD-GRAIN] speed=${speed.toFixed(1)} thicknessK=${thicknessK.toFixed(2)} ` +
+        `[MATERIAL-GRAIN] speed=${speed.toFixed(1)} thicknessK=${thicknessK.toFixed(2)} ` +
         `displayR=${displayRadius.toFixed(2)} nDots=${nDots} smallNozzle=${this.nozzleSize < 20} isTouch=${this.isTouch}` +
-        (usingGoldTouch
+        (usingTouchDensity
           ? ` cssArea=${(this._cssDensityComp || 1).toFixed(2)} density=${densityFactor.toFixed(2)} countScale=${countScale.toFixed(2)}`
           : "")
       );
@@ -1016,8 +1731,10 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   this.ctx.imageSmoothingQuality = "high";
   this.ctx.save();
   this.ctx.fillStyle = this.color;
+  this.ctx.globalCompositeOperation = material.composite;
 
   const toneComp = Math.sqrt(1 / Math.max(0.6, Math.min(1.6, thicknessK)));
+  const mixed = new Map(); // cell → wet-mixed dot color
 
   const jitterR = smallNozzle ? 0.05 : 0.12;
   const jitterT = smallNozzle ? 0.16 : 0.35;
@@ -1030,17 +1747,33 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
     // tempered jitter (slightly more near center)
     const jr =
-      (Math.random() * 2 - 1) *
+      (this.random() * 2 - 1) *
       jitterR *
       (0.6 + 0.4 * (1 - u)) *
       displayRadius;
-    const jt = (Math.random() * 2 - 1) * jitterT * (0.35 + 0.65 * (1 - u));
+    const jt = (this.random() * 2 - 1) * jitterT * (0.35 + 0.65 * (1 - u));
 
     const r = Math.max(0, r0 + jr);
     const t = t0 + jt;
 
-    const dotX = x + Math.cos(t) * r;
-    const dotY = y + Math.sin(t) * r;
+    // cap footprint, then the tilted can: dense near edge, stretched and
+    // feathered far edge
+    const capOff = this._slitOffset(
+      Math.cos(t) * r,
+      Math.sin(t) * r,
+      params.slit
+    );
+    const tiltOff = this._tiltOffset(
+      capOff.x,
+      capOff.y,
+      displayRadius,
+      params.footprint
+    );
+    // wind skews the cloud: outer grains fly longer and drift further
+    const skew = this.GRAIN_SKEW * u;
+    const dotX = x + tiltOff.x + params.wind.x * skew;
+    const dotY = y + tiltOff.y + params.wind.y * skew;
+    if (this._missesRecess(dotX, dotY)) continue;
 
     // smaller grains when small nozzle
     const minGrain = smallNozzle ? 0.45 : 0.6;
@@ -1052,32 +1785,33 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     const centerBias =
       1 - Math.pow(Math.min(1, r / Math.max(1e-3, displayRadius)), 1.35);
     const smallBoost = smallNozzle ? 0.96 + 0.18 * centerBias : 1.0;
-    dotOpacity *= (0.65 + 0.35 * dwell) * toneComp * smallBoost;
-    if (usingGoldTouch && densityFactor < 1) {
+    dotOpacity *= (0.65 + 0.35 * dwell) * toneComp * smallBoost * tiltOff.fade;
+    if (usingTouchDensity && densityFactor < 1) {
       dotOpacity *= Math.max(0.22, densityFactor * 0.7);
     }
-    if (this.isGoldColor(this.color)) {
-      const dwellBoostFactor = this.isTouch ? 1.55 : 1.25;
+    if (material.dwellBoost) {
+      const dwellBoostFactor = material.dwellBoost[this.isTouch ? 1 : 0];
       const slowNorm = Math.min(1, speed / (this.V_SLOW * 0.55));
       const dwellBoost = 1 + (1 - slowNorm) * dwellBoostFactor;
       dotOpacity *= dwellBoost;
     }
     dotOpacity = Math.min(1.0, dotOpacity);
 
-    // draw
-    const b = this.getBrush(rndSize);
+    // draw (mixed with wet paint underneath)
+    const dotColor = this._wetColorAt(dotX, dotY, mixed);
+    const b = this.getBrush(rndSize, dotColor);
     this.ctx.globalAlpha = dotOpacity;
     this.ctx.drawImage(b, dotX - rndSize, dotY - rndSize);
 
     // micro dither pair every ~6th dot for tiny tips
     if (smallNozzle && i % 6 === 0) {
       const off = rndSize * 0.35;
-      const t2 = t + (Math.random() - 0.5) * 0.6;
+      const t2 = t + (this.random() - 0.5) * 0.6;
       const d2x = dotX + Math.cos(t2) * off;
       const d2y = dotY + Math.sin(t2) * off;
-      const r2 = Math.max(minGrain, rndSize * (0.8 + Math.random() * 0.3));
+      const r2 = Math.max(minGrain, rndSize * (0.8 + this.random() * 0.3));
       this.ctx.globalAlpha = dotOpacity * 0.9;
-      this.ctx.drawImage(this.getBrush(r2), d2x - r2, d2y - r2);
+      this.ctx.drawImage(this.getBrush(r2, dotColor), d2x - r2, d2y - r2);
     }
 
     // --- UPDATED wetness accumulation for small nozzles ---
@@ -1089,8 +1823,8 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
       let wet =
         ((G * dotOpacity * (rndSize * rndSize)) / normNozzleArea) *
         (0.8 + 0.6 * this.pressure) *
-        this.flow;
-      if (usingGoldTouch && densityFactor < 1) {
+        this.getFlow();
+      if (usingTouchDensity && densityFactor < 1) {
         wet *= Math.max(0.2, densityFactor * 0.65);
       }
       this._accumWet(dotX, dotY, wet, speed);
@@ -1102,32 +1836,32 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
 }
   // --- helper: draw a tiny "blobby" dot made of 1–4 overlapping sub-dots ---
-  _drawDotCluster(cx, cy, baseR, tangentAngle = 0) {
+  _drawDotCluster(cx, cy, baseR, tangentAngle = 0, color = this.color) {
     // choose 1–4 sub-dots; mostly 1–2 so shapes look like dots with slight lumps
     const sub =
-      Math.random() < 0.65
+      this.random() < 0.65
         ? 1
-        : Math.random() < 0.85
+        : this.random() < 0.85
         ? 2
-        : Math.random() < 0.95
+        : this.random() < 0.95
         ? 3
         : 4;
-    const brush = this.getBrush(this._safeR(baseR));
+    const brush = this.getBrush(this._safeR(baseR), color);
     // small cluster radius where sub-dots can sit (kept sub-pixel to avoid “flower” look)
-    const clusterRad = baseR * (0.15 + Math.random() * 0.15); // 0.15–0.30 R
+    const clusterRad = baseR * (0.15 + this.random() * 0.15); // 0.15–0.30 R
 
     // slight orientation bias along the ring tangent (keeps clusters subtle, not streaks)
-    const bias = tangentAngle + (Math.random() - 0.5) * (Math.PI / 10);
+    const bias = tangentAngle + (this.random() - 0.5) * (Math.PI / 10);
 
     for (let i = 0; i < sub; i++) {
-      const r = clusterRad * Math.sqrt(Math.random());
-      const a = bias + (Math.random() - 0.5) * (Math.PI / 3);
+      const r = clusterRad * Math.sqrt(this.random());
+      const a = bias + (this.random() - 0.5) * (Math.PI / 3);
       const ox = cx + Math.cos(a) * r;
       const oy = cy + Math.sin(a) * r;
 
       // each sub-dot varies 80–120% of base
-      const Ri = this._safeR(baseR * (0.8 + Math.random() * 0.4));
-      const bi = Ri === baseR ? brush : this.getBrush(Ri);
+      const Ri = this._safeR(baseR * (0.8 + this.random() * 0.4));
+      const bi = Ri === baseR ? brush : this.getBrush(Ri, color);
       this.ctx.drawImage(bi, ox - Ri, oy - Ri, Ri * 2, Ri * 2);
     }
   }
@@ -1149,14 +1883,18 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     if (this.oversprayMultiplier <= 0) return;
 
     // precompute physical params
-    const { Rz, alphaScale } = this.deriveSprayParams();
-    const densityFactor = this._goldTouchDensityFactor();
-    const countScale = this._goldTouchCountScale();
-    const usingGoldTouch = this.isGoldColor(this.color) && this.isTouch;
+    const { Rz, alphaScale, footprint, cap, wind } = this.deriveSprayParams();
+    if (cap.overspray.amount <= 0) return;
+    const densityFactor = this._touchDensityFactor();
+    const countScale = this._touchCountScale();
+    const material = this.getMaterial();
+    const usingTouchDensity = material.touchSafe && this.isTouch;
 
     // halo radius (how far overspray extends). Grows with nozzle & distance, gently clamped.
-    let haloR = Math.min(Math.max(size * 1.05, 2.0 * Rz), size * 2.1);
-    if (usingGoldTouch && densityFactor < 1) {
+    let haloR =
+      Math.min(Math.max(size * 1.05, 2.0 * Rz), size * 2.1) *
+      cap.overspray.halo;
+    if (usingTouchDensity && densityFactor < 1) {
       haloR *= Math.max(0.85, densityFactor * 1.15);
     }
 
@@ -1182,24 +1920,30 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
     // total particles; later we bias where they land (more near center)
     let count = Math.floor(
-      baseCount * nozzleFactor * knob * press * (0.6 + 0.8 * alphaScale)
+      baseCount *
+        nozzleFactor *
+        knob *
+        press *
+        (0.6 + 0.8 * alphaScale) *
+        cap.overspray.amount
     );
-    if (usingGoldTouch && countScale < 1) {
+    if (usingTouchDensity && countScale < 1) {
       count = Math.max(1, Math.floor(count * countScale));
     }
-    const minCount =
-      usingGoldTouch && countScale < 1
+    const minCount = Math.ceil(
+      (usingTouchDensity && countScale < 1
         ? Math.max(6, Math.floor(18 * countScale))
-        : 18;
+        : 18) * Math.min(1, cap.overspray.amount)
+    );
     count = Math.max(minCount, Math.min(240, count));
 
-    if (this.debugGold && this.isGoldColor(this.color)) {
-      const nowLog = performance.now();
+    if (this.debugMaterial && material.touchSafe) {
+      const nowLog = this.now();
       if (nowLog - (this._dbgLast.over || 0) > 500) {
         console.log(
-          `[GOLD-OVER] haloR=${haloR.toFixed(2)} count=${count} ` +
+          `[MATERIAL-OVER] haloR=${haloR.toFixed(2)} count=${count} ` +
           `alphaScale=${alphaScale.toFixed(3)} isTouch=${this.isTouch}` +
-          (usingGoldTouch
+          (usingTouchDensity
             ? ` cssArea=${(this._cssDensityComp || 1).toFixed(2)} density=${densityFactor.toFixed(2)} countScale=${countScale.toFixed(2)}`
             : "")
         );
@@ -1212,6 +1956,9 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     this.ctx.imageSmoothingQuality = "high";
 
     const prevAlpha = this.ctx.globalAlpha;
+    const prevOp = this.ctx.globalCompositeOperation;
+    this.ctx.globalCompositeOperation = material.composite;
+    const mixed = new Map(); // cell → wet-mixed dot color
 
     // golden-angle progression gives blue-noise-ish spacing
     const PHI = Math.PI * (3 - Math.sqrt(5));
@@ -1222,18 +1969,26 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
       // --- radial placement with *center bias* so near-path is denser ---
       // rNorm in [0..1], more weight near 0 (center): p≈u^1.6 works well
-      const rNorm = Math.pow(Math.random() * 0.999 + 0.0005, 1.6);
+      const rNorm = Math.pow(this.random() * 0.999 + 0.0005, 1.6);
 
       // angle with jitter to avoid spokes
-      const theta = i * PHI + (Math.random() - 0.5) * 0.35;
+      const theta = i * PHI + (this.random() - 0.5) * 0.35;
 
       // map to ellipse, then rotate by motion direction
       const rx = rNorm * a,
         ry = rNorm * b;
       const ex = Math.cos(theta) * rx;
       const ey = Math.sin(theta) * ry;
-      const ox = x + cos * ey - sin * ex;
-      const oy = y + sin * ey + cos * ex;
+      const tilted = this._tiltOffset(
+        cos * ey - sin * ex,
+        sin * ey + cos * ex,
+        a,
+        footprint
+      );
+      // wind: the far, fine mist drifts most
+      const drift = 0.35 + 0.65 * rNorm;
+      const ox = x + tilted.x + wind.x * drift;
+      const oy = y + tilted.y + wind.y * drift;
 
       // --- size falloff: larger near the path, smaller farther out ---
       // base radius scales from (nearPath ~ 0.05*haloR) down to (far ~ 0.008*haloR)
@@ -1244,25 +1999,26 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
       const baseR = far + (near - far) * Math.pow(1 - rNorm, gamma);
 
       // slight per-dot size jitter (±20%) but keep circular feel
-      const R = this._safeR(baseR * (0.85 + Math.random() * 0.3));
+      const R = this._safeR(baseR * (0.85 + this.random() * 0.3));
 
       // --- opacity distribution: mostly faint, some medium, rare dark near the core ---
       // radial falloff (near center darker; far faint)
       let aPix =
         (0.1 + 0.55 * this.oversprayMultiplier) * // user knob
         (0.7 + 0.45 * (1 - rNorm)) * // center bias
-        alphaScale;
-      if (usingGoldTouch && densityFactor < 1) {
+        alphaScale *
+        tilted.fade; // thinner on the far side of a tilted can
+      if (usingTouchDensity && densityFactor < 1) {
         aPix *= Math.max(0.12, densityFactor * 0.55);
       }
 
       // mixture: 65% faint, 28% medium, 6% strong, 1% very dark
-      const m = Math.random();
+      const m = this.random();
       let mult;
-      if (m < 0.65) mult = 0.35 + Math.random() * 0.35;
-      else if (m < 0.93) mult = 0.85 + Math.random() * 0.4;
-      else if (m < 0.99) mult = 1.4 + Math.random() * 0.45;
-      else mult = 2.0 + Math.random() * 0.7;
+      if (m < 0.65) mult = 0.35 + this.random() * 0.35;
+      else if (m < 0.93) mult = 0.85 + this.random() * 0.4;
+      else if (m < 0.99) mult = 1.4 + this.random() * 0.45;
+      else mult = 2.0 + this.random() * 0.7;
 
       // slightly boost opacity for bigger dots (visual consistency)
       const sizeBias = 0.9 + 0.22 * (R / near);
@@ -1273,10 +2029,11 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
       this.ctx.globalAlpha = aPix;
       // tangent direction for subtle cluster orientation
       const tangent = theta + Math.PI * 0.5;
-      this._drawDotCluster(ox, oy, R, tangent);
+      this._drawDotCluster(ox, oy, R, tangent, this._wetColorAt(ox, oy, mixed));
     }
 
     this.ctx.globalAlpha = prevAlpha;
+    this.ctx.globalCompositeOperation = prevOp;
   }
 
   createStamp(size) {
@@ -1324,7 +2081,7 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     const deltaY = this.currentY - this.lastY;
     const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
     const sprayAngle =
-      distance > 0.1 ? Math.atan2(deltaY, deltaX) : Math.random() * Math.PI * 2;
+      distance > 0.1 ? Math.atan2(deltaY, deltaX) : this.random() * Math.PI * 2;
 
     for (let ring = 0; ring < numRings; ring++) {
       const ringRadius =
@@ -1335,12 +2092,12 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
       for (let i = 0; i < numSpecksInRing; i++) {
         // Create balanced distribution on both sides of spray path
-        const isLeftSide = Math.random() < 0.5; // 50% chance for each side
+        const isLeftSide = this.random() < 0.5; // 50% chance for each side
         const sideAngle =
           sprayAngle + (isLeftSide ? -Math.PI / 3 : Math.PI / 3); // 60° angles for better coverage
-        const randomOffset = (Math.random() - 0.5) * Math.PI * 0.4; // Random variation
+        const randomOffset = (this.random() - 0.5) * Math.PI * 0.4; // Random variation
         const angle = sideAngle + randomOffset;
-        const distance = ringRadius + (Math.random() - 0.5) * 8; // Increased scatter range
+        const distance = ringRadius + (this.random() - 0.5) * 8; // Increased scatter range
         const x = center + Math.cos(angle) * distance;
         const y = center + Math.sin(angle) * distance;
 
@@ -1362,12 +2119,12 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     const burstSpecks = Math.floor(size * 1.2 * this.scatterAmountMultiplier);
     for (let i = 0; i < burstSpecks; i++) {
       // Create balanced burst distribution on both sides
-      const isLeftSide = Math.random() < 0.5; // 50% chance for each side
+      const isLeftSide = this.random() < 0.5; // 50% chance for each side
       const sideAngle = sprayAngle + (isLeftSide ? -Math.PI / 3 : Math.PI / 3); // 60° angles for better coverage
-      const randomOffset = (Math.random() - 0.5) * Math.PI * 0.4; // Random variation
+      const randomOffset = (this.random() - 0.5) * Math.PI * 0.4; // Random variation
       const angle = sideAngle + randomOffset;
       const distance =
-        Math.random() * size * 0.8 * this.scatterRadiusMultiplier;
+        this.random() * size * 0.8 * this.scatterRadiusMultiplier;
       const x = center + Math.cos(angle) * distance;
       const y = center + Math.sin(angle) * distance;
 
@@ -1400,21 +2157,23 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
     // Use movement direction if available, otherwise use random direction
     const sprayAngle =
-      distance > 0.1 ? Math.atan2(deltaY, deltaX) : Math.random() * Math.PI * 2;
+      distance > 0.1 ? Math.atan2(deltaY, deltaX) : this.random() * Math.PI * 2;
+    const wind = this.getWind();
 
     for (let i = 0; i < numSpecks; i++) {
       // Create balanced distribution on both sides of spray direction
-      const isLeftSide = Math.random() < 0.5; // 50% chance for each side
+      const isLeftSide = this.random() < 0.5; // 50% chance for each side
       const sideAngle = sprayAngle + (isLeftSide ? -Math.PI / 3 : Math.PI / 3); // 60° angles for better coverage
-      const randomOffset = (Math.random() - 0.5) * Math.PI * 0.6; // Random offset within side
+      const randomOffset = (this.random() - 0.5) * Math.PI * 0.6; // Random offset within side
       const angle = sideAngle + randomOffset;
       const distance =
-        size * (0.25 + Math.random() * 1.5) * this.scatterRadiusMultiplier;
-      const speckX = x + Math.cos(angle) * distance;
-      const speckY = y + Math.sin(angle) * distance;
-
+        size * (0.25 + this.random() * 1.5) * this.scatterRadiusMultiplier;
       // Variable speck sizes - larger close to center, smaller at edges
       const distanceRatio = distance / size;
+      const drift = Math.min(1, 0.3 + 0.4 * distanceRatio); // far specks drift
+      const speckX = x + Math.cos(angle) * distance + wind.x * drift;
+      const speckY = y + Math.sin(angle) * distance + wind.y * drift;
+
       const baseSpeckSize = Math.max(0.2, 2.8 - distanceRatio * 2.2);
       const speckSize = baseSpeckSize * this.scatterSizeMultiplier;
       const speckOpacity = Math.max(0.1, 0.5 - distanceRatio * 0.4); // More subtle opacity
@@ -1430,18 +2189,19 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     const burstSpecks = Math.floor(size * 0.9 * this.scatterAmountMultiplier);
     for (let i = 0; i < burstSpecks; i++) {
       // Create balanced burst distribution on both sides
-      const isLeftSide = Math.random() < 0.5; // 50% chance for each side
+      const isLeftSide = this.random() < 0.5; // 50% chance for each side
       const sideAngle = sprayAngle + (isLeftSide ? -Math.PI / 3 : Math.PI / 3); // 60° angles for better coverage
-      const randomOffset = (Math.random() - 0.5) * Math.PI * 0.4; // Random variation
+      const randomOffset = (this.random() - 0.5) * Math.PI * 0.4; // Random variation
       const angle = sideAngle + randomOffset;
       const distance =
-        Math.random() * size * 1.0 * this.scatterRadiusMultiplier;
-      const speckX = x + Math.cos(angle) * distance;
-      const speckY = y + Math.sin(angle) * distance;
-
+        this.random() * size * 1.0 * this.scatterRadiusMultiplier;
       // Burst specks - variable sizes based on distance from center
       const burstDistanceRatio =
         distance / (size * 1.0 * this.scatterRadiusMultiplier);
+      const drift = 0.3 * burstDistanceRatio;
+      const speckX = x + Math.cos(angle) * distance + wind.x * drift;
+      const speckY = y + Math.sin(angle) * distance + wind.y * drift;
+
       const baseSpeckSize = Math.max(0.3, 2.2 - burstDistanceRatio * 1.7);
       const speckSize = baseSpeckSize * this.scatterSizeMultiplier;
       const speckOpacity = Math.max(0.2, 0.6 - burstDistanceRatio * 0.4); // More subtle opacity
@@ -1457,16 +2217,136 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   }
 
   stopDrawing() {
+    const wasDrawing = this.isDrawing;
     this.isDrawing = false;
     this.lastOverPos = null;
     if (this._sprayInterval) {
       clearInterval(this._sprayInterval);
       this._sprayInterval = null;
     }
+    if (this.masks) this.masks.end();
+    this._unloadBuff();
+    if (wasDrawing) this._emit("strokeend");
   }
 
   clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.layers) {
+      this.layers.clear();
+    } else {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    this._resetWetness();
+  }
+
+  // drop pooled paint and running drips (clear / history restore)
+  _resetWetness() {
+    if (this.layers) {
+      this.layers.layers.forEach((layer) => {
+        layer.paintBuf.fill(0);
+        layer.pigmentBuf.fill(0);
+        layer.filmBuf.fill(0);
+      });
+    } else {
+      this.paintBuf.fill(0);
+      this.pigmentBuf.fill(0);
+      this.filmBuf.fill(0);
+    }
+    this._spawnCooldown.fill(0);
+    this._lastSpawnAt.fill(0);
+    this._recentSpawns.length = 0;
+    this.drips.length = 0;
+  }
+
+  // --- history snapshots: canvas pixels + drip wetness buffer, and the
+  // drips still running (an earlier stroke's runs go on after an undo) ---
+  captureState() {
+    if (this.layers) {
+      const state = this.layers.captureState();
+      if (this.masks) {
+        state.masks = this.masks.captureState();
+        state.bytes += state.masks.bytes;
+      }
+      state.drips = this._captureDrips();
+      return state;
+    }
+    const image = this.ctx.getImageData(
+      0,
+      0,
+      this.canvas.width,
+      this.canvas.height
+    );
+    const buffers = {
+      paintBuf: this.paintBuf.slice(),
+      pigmentBuf: this.pigmentBuf.slice(),
+      filmBuf: this.filmBuf.slice(),
+    };
+    return {
+      image,
+      buffers,
+      drips: this._captureDrips(),
+      bytes:
+        image.data.byteLength +
+        buffers.paintBuf.byteLength +
+        buffers.pigmentBuf.byteLength +
+        buffers.filmBuf.byteLength,
+    };
+  }
+
+  restoreState(state) {
+    this._resetWetness();
+    if (this.layers) {
+      this.layers.restoreState(state);
+      this.setDocumentSize(this.layers.width, this.layers.height);
+      if (this.masks && state.masks) this.masks.restoreState(state.masks);
+      this._restoreDrips(state.drips);
+      return;
+    }
+    this.ctx.putImageData(state.image, 0, 0);
+    const { paintBuf, pigmentBuf, filmBuf } = state.buffers;
+    if (paintBuf.length === this.paintBuf.length) {
+      this.paintBuf.set(paintBuf);
+      this.pigmentBuf.set(pigmentBuf);
+      this.filmBuf.set(filmBuf);
+    }
+    this._restoreDrips(state.drips);
+  }
+
+  // Running drips as plain copies; their layer is kept by id
+  _captureDrips() {
+    return this.drips.map((d) => ({
+      ...d,
+      layer: d.layer ? d.layer.id : null,
+      pigment: d.pigment.slice(),
+      profile: { ...d.profile },
+    }));
+  }
+
+  // Drips whose layer no longer exists are left out
+  _restoreDrips(drips = []) {
+    const layers = this.layers ? this.layers.layers : [];
+    for (const saved of drips) {
+      let layer = null;
+      if (saved.layer !== null) {
+        layer = layers.find((l) => l.id === saved.layer);
+        if (!layer) continue;
+      }
+      this.drips.push({
+        ...saved,
+        layer,
+        pigment: saved.pigment.slice(),
+        profile: { ...saved.profile },
+      });
+    }
+  }
+
+  // Run the drip simulation forward until every active drip has ended,
+  // so a snapshot taken afterwards contains the finished runs.
+  settle(maxSteps = 600) {
+    const dt = 1 / 60;
+    for (let n = 0; n < maxSteps && this.drips.length; n++) {
+      this._updateDrips(dt);
+    }
+    this.drips.length = 0;
   }
 
   toRgba(hex, a = 1) {
@@ -1498,30 +2378,40 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     if (idx < 0) return;
   
     // slightly less aggressive overall
-    const gain = (0.8 + 0.4 * this.flow) * (0.7 + 0.5 * this.pressure);
+    const gain = (0.8 + 0.4 * this.getFlow()) * (0.7 + 0.5 * this.pressure);
     let add = amount * gain;
-    const isGold = this.isGoldColor(this.color);
-    const density = this._goldTouchDensityFactor && this.isTouch
-      ? Math.max(0.18, this._goldTouchDensityFactor())
-      : 1;
-    if (isGold) {
-      const touchBoost = this.isTouch ? Math.min(4.0, 2.8 / density) : 1.45;
-      add *= touchBoost;
+    const wetMat = this.getMaterial().wet;
+    const onTouch = this.isTouch && wetMat.touchGain;
+    if (onTouch) {
+      const density = Math.max(0.18, this._touchDensityFactor());
+      add *= Math.min(4.0, wetMat.touchGain / density);
+    } else {
+      add *= wetMat.gain;
     }
+    // wet-on-wet: tacky film underneath takes less paint before it runs
+    add *= 1 + this.WET_FILM_GAIN * this._tackiness(this.filmBuf, idx);
+    // porous surfaces soak it up, so they pool (and drip) less
+    const { porosity } = this.getSurface();
+    if (porosity) add *= 1 - porosity[idx];
+    // masks keep it off the wall, bar what creeps under a raised edge
+    const open = this._maskOpen(idx);
+    if (open <= 0) return;
+    add *= open;
 
     // nozzle-conditioned effective cap
     let Wcap = this.W_CAP; // default per-cell wetness cap (e.g., 0.9)
     if (this.nozzleSize <= 12) Wcap *= 0.8;      // tighter for tiny tips
     else if (this.nozzleSize < 20) Wcap *= 0.9;  // slightly tighter for mid
-    if (isGold) {
-      Wcap *= this.isTouch ? 1.45 : 1.2;         // allow more wetness reserve for gold
-    }
+    Wcap *= onTouch ? wetMat.touchCap : wetMat.cap; // material wetness reserve
   
     const wet = this.paintBuf[idx];
     const left = Math.max(0, 1 - wet / Wcap);
+    // all paint that lands mixes the wet pigment; only wetness is capped
+    let landed = add;
     add *= left;
   
     if (centerBias) {
+      this._depositPaint(idx, landed);
       this.paintBuf[idx] += add;
       return;
     }
@@ -1533,7 +2423,9 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     const addTo = (ix, iy, v) => {
       if (ix < 0 || iy < 0 || ix >= this.bufW || iy >= this.bufH) return;
       const k = iy * this.bufW + ix;
+      v *= this._maskOpen(k);
       const rem = Math.max(0, 1 - this.paintBuf[k] / Wcap);
+      this._depositPaint(k, v * rem);
       this.paintBuf[k] += v * rem;
     };
   
@@ -1542,12 +2434,20 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     // keep most at center, faintly to neighbors
     const side = add * (0.35 * (1 - dwell));
     add *= 1 - 0.7 * (1 - dwell);
+    landed *= 1 - 0.7 * (1 - dwell);
+
+    // a tilted can pools more on the near side of the footprint
+    const fp = this._footprint;
+    const lean = fp && fp.tilted ? 0.6 * Math.sin(fp.tilt) : 0;
+    const sideW = (dx, dy) =>
+      side * 0.4 * (1 - (lean ? lean * (dx * fp.ux + dy * fp.uy) : 0));
+
+    addTo(cx - 1, cy, sideW(-1, 0));
+    addTo(cx + 1, cy, sideW(1, 0));
+    addTo(cx, cy - 1, sideW(0, -1));
+    addTo(cx, cy + 1, sideW(0, 1));
   
-    addTo(cx - 1, cy, side * 0.4);
-    addTo(cx + 1, cy, side * 0.4);
-    addTo(cx, cy - 1, side * 0.4);
-    addTo(cx, cy + 1, side * 0.4);
-  
+    this._depositPaint(idx, landed);
     this.paintBuf[idx] += add;
   }
 
@@ -1571,36 +2471,41 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     // block any spawning until paint is armed (prevents first-paint drips)
     if (!this._dripArmed) return;
   
-    const isGold = this.isGoldColor(this.color);
-    const isGoldTouch = this.isTouch && isGold;
+    // spawn gates: wetter / reflective paints drip more readily
+    const mat = this.getMaterial();
+    const touchGates =
+      this.isTouch && mat.touchSafe
+        ? SprayPaint.DRIP_GATES[`${mat.wet.gates}Touch`]
+        : null;
+    const gates = touchGates || SprayPaint.DRIP_GATES[mat.wet.gates];
 
     const cx = (x / this.bufScale) | 0;
     const cy = (y / this.bufScale) | 0;
     if (cx < 0 || cy < 0 || cx >= this.bufW || cy >= this.bufH) return;
   
     const idx = cy * this.bufW + cx;
-    const now = performance.now();
+    const now = this.now();
   
     const nozzle = Math.max(2, this.nozzleSize);
     const smallNoz = nozzle <= 12;
     const midNoz   = nozzle > 12 && nozzle < 20;
   
     // movement gating (base)
-    const slowCap = this.V_SLOW * (isGoldTouch ? 1.5 : isGold ? 1.3 : 1.2);
+    const slowCap = this.V_SLOW * gates.slowCap;
     if (speed > slowCap) return;
-    const soften = isGoldTouch ? 0.82 : isGold ? 0.92 : 1.0;
+    const soften = gates.soften;
     if (speed > this.V_SLOW * (0.7 * soften)) { this.paintBuf[idx] *= 0.98; return; }
 
     // extra strict for very small nozzles: must be near-stationary
-    if (smallNoz && speed > this.V_SLOW * (isGoldTouch ? 0.55 : isGold ? 0.42 : 0.35)) return;
+    if (smallNoz && speed > this.V_SLOW * gates.smallStill) return;
 
     // dynamic thresholds (tightened for smaller nozzles)
     const slowFactor = Math.min(1.6, this.V_SLOW / Math.max(20, speed));
     const baseTighten = smallNoz ? 1.35 : (midNoz ? 1.15 : 1.0); // ↑ means harder
-    const tightenAdj = isGoldTouch ? 0.82 : isGold ? 0.9 : 1.0;
+    const tightenAdj = gates.tighten;
     const nozzleTighten = baseTighten * tightenAdj;
-    const centerScale = isGoldTouch ? 0.7 : isGold ? 0.82 : 1.0;
-    const poolScale   = isGoldTouch ? 0.68 : isGold ? 0.85 : 1.0;
+    const centerScale = gates.center;
+    const poolScale   = gates.pool;
     const needCenter = this.DRIP_THRESHOLD * slowFactor * nozzleTighten * centerScale;
     const needPool   = this.NBR_MIN       * slowFactor * nozzleTighten * poolScale;
   
@@ -1618,35 +2523,33 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     const centerWet = this.paintBuf[idx];
     const trigger = 0.55 * (centerWet / needCenter) + 0.45 * (pool / needPool);
   
-    const triggerFloor = isGoldTouch ? 0.7 : isGold ? 0.83 : 0.9;
+    const triggerFloor = gates.triggerFloor;
     if (trigger < triggerFloor) return;
-    const slopeGate = isGoldTouch ? 0.65 : isGold ? 0.6 : 0.5;
-    const triggerGate = isGoldTouch ? 1.0 : isGold ? 1.05 : 1.1;
+    const slopeGate = gates.slopeGate;
+    const triggerGate = gates.triggerGate;
     if (speed > this.V_SLOW * slopeGate && trigger < triggerGate) return;
 
     // probability curve (reduced for small/mid nozzles)
-    const triggerBoost = isGoldTouch
-      ? Math.max(0, trigger - 0.66)
-      : isGold
-      ? Math.max(0, trigger - 0.78)
-      : Math.max(0, trigger - 0.9);
-    let spawnProb = Math.pow(triggerBoost, isGold ? 2.4 : 3.0) *
-      (isGoldTouch ? 5.2 : isGold ? 3.8 : 3.2);
-    if (smallNoz) spawnProb *= isGoldTouch ? 1.35 : isGold ? 1.15 : 0.6;
-    else if (midNoz) spawnProb *= isGoldTouch ? 1.2 : isGold ? 1.05 : 0.85;
+    const triggerBoost = Math.max(0, trigger - gates.boostFrom);
+    let spawnProb = Math.pow(triggerBoost, gates.boostPow) * gates.boostMul;
+    if (smallNoz) spawnProb *= gates.smallMul;
+    else if (midNoz) spawnProb *= gates.midMul;
     spawnProb = Math.min(1.0, spawnProb);
-    if (Math.random() > spawnProb) return;
+    if (this.random() > spawnProb) return;
   
-    // pick bottom-centered cell within radius
+    // pick the downhill-centered cell within radius (oy runs with gravity,
+    // ox across it)
+    const grav = this.getGravity();
     const pickRadPx = nozzle * 0.55;
     const pickRad   = Math.max(1, Math.round(pickRadPx / this.bufScale));
     const maxSide   = Math.round(pickRad * 0.5);
     let bestIx = cx, bestIy = cy, bestScore = -Infinity;
   
     for (let oy = 0; oy <= pickRad; oy++) {
-      const yy = cy + oy; if (yy < 0 || yy >= this.bufH) continue;
       for (let ox = -maxSide; ox <= maxSide; ox++) {
-        const xx = cx + ox; if (xx < 0 || xx >= this.bufW) continue;
+        const xx = cx + Math.round(oy * grav.x + ox * grav.y);
+        const yy = cy + Math.round(oy * grav.y - ox * grav.x);
+        if (xx < 0 || xx >= this.bufW || yy < 0 || yy >= this.bufH) continue;
         const w = this.paintBuf[yy * this.bufW + xx];
         if (w <= 0) continue;
         const d2 = ox * ox + oy * oy;
@@ -1668,24 +2571,24 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
         const last = this._lastSpawnAt[k] || 0;
         const baseInterval = this.MIN_SPAWN_INTERVAL_MS *
           (smallNoz ? 2.2 : midNoz ? 1.5 : 1.0);
-        const minInterval = baseInterval * (isGoldTouch ? 0.55 : isGold ? 0.8 : 1.0);
+        const minInterval = baseInterval * gates.interval;
         if (now - last < minInterval) return;
       }
     }
 
     // global debounce for very small nozzles (avoid twin spawns)
     if (smallNoz) {
-      const MIN_GLOBAL_GAP = isGoldTouch ? 140 : isGold ? 220 : 260; // ↑ from 180ms
+      const MIN_GLOBAL_GAP = gates.globalGap; // ms
       if (now - (this._lastSpawnGlobalAt || 0) < MIN_GLOBAL_GAP) return;
     }
   
     // spawn position (canvas px)
     const spawnX = (bestIx + 0.5) * this.bufScale;
     const spawnY = (bestIy + 0.5) * this.bufScale;
-    const jx = (Math.random() - 0.5) * (nozzle * 0.04);
-    const jy = Math.random() * (nozzle * 0.06);
-    const sx = spawnX + jx;
-    const sy = spawnY + jy;
+    const jx = (this.random() - 0.5) * (nozzle * 0.04); // across
+    const jy = this.random() * (nozzle * 0.06); // downhill
+    const sx = spawnX + (jx * grav.y + jy * grav.x);
+    const sy = spawnY + (jy * grav.y - jx * grav.x);
   
     // spatial lockout vs recent spawns
     const lockR = smallNoz ? Math.max(14, 1.2 * nozzle + 8)
@@ -1714,23 +2617,33 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   
     baseR = Math.max(2.1, baseR); // floor
     const id = ++this._dripUID;
+    const dripColor = this._pooledColorAt(bestIy * this.bufW + bestIx);
   
     this.drips.push({
-      id, x: sx, y: sy, px: sx, py: sy, vy: 0,
+      id, x: sx, y: sy, px: sx, py: sy, v: 0,
+      layer: this.layers ? this.layers.active : null,
+      // the drip runs in the paint that pooled here, whatever is picked later
+      color: dripColor,
+      pigment: Pigment.fromHex(dripColor),
+      material: this.material,
+      softness: this.softness,
       vol, baseR, len: 0, life: 1.0, t: 0,
+      // flat surface: spreads as a pool (rim radius r) instead of running
+      pool: grav.pool, r: 0, _drawnR: 0,
+      drift: 0, // px/s across the slope (split branches)
       _maxTrailR: 0, _maxHeadR: 0, _firstHeadLogged: false,
       profile: {
-        wobbleF: 0.6 + Math.random() * 1.0,
-        wobbleA: this.LATERAL_SPREAD * (0.4 + Math.random() * 1.0),
-        hookJ: 0.6 + Math.random() * 0.6,
-        hookDir: Math.random() < 0.5 ? -1 : 1,
-        widenK: 1.02 + Math.random() * 0.2,
-        seed: Math.random() * 1000,
+        wobbleF: 0.6 + this.random() * 1.0,
+        wobbleA: this.LATERAL_SPREAD * (0.4 + this.random() * 1.0),
+        hookJ: 0.6 + this.random() * 0.6,
+        hookDir: this.random() < 0.5 ? -1 : 1,
+        widenK: 1.02 + this.random() * 0.2,
+        seed: this.random() * 1000,
         noiseF: this.SHAPE_NOISE_FREQ[0] +
-                Math.random()*(this.SHAPE_NOISE_FREQ[1]-this.SHAPE_NOISE_FREQ[0]),
+                this.random()*(this.SHAPE_NOISE_FREQ[1]-this.SHAPE_NOISE_FREQ[0]),
         taperTo: this.TAIL_TAPER_MIN +
-                 Math.random()*(this.TAIL_TAPER_MAX - this.TAIL_TAPER_MIN),
-        bead: Math.random() < this.TAIL_BEAD_CHANCE,
+                 this.random()*(this.TAIL_TAPER_MAX - this.TAIL_TAPER_MIN),
+        bead: this.random() < this.TAIL_BEAD_CHANCE,
       },
     });
   
@@ -1767,45 +2680,67 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   _updateDrips(dt) {
     if (!this.drips.length) return;
   
-    const ctx = this.ctx;
-    const prevOp = ctx.globalCompositeOperation;
-    const dripOp = this.getDripCompositeMode();
-    ctx.globalCompositeOperation = dripOp;
     this._drawingDrip = true;
   
     const toneParity = 1.0;
     const dpr = this.dpr || window.devicePixelRatio || 1;
-    const isGold = this.isGoldColor(this.color);
+    const grav = this.getGravity();
+    const viscosity = this.getViscosity();
+    const evap = this.getEvaporation();
   
     for (let i = this.drips.length - 1; i >= 0; i--) {
       const d = this.drips[i];
       d.t += dt;
+      const look = MaterialCatalog.get(d.material).drip;
+      const brush = (r) => this.getBrush(r, d.color, d.material, d.softness);
+
+      // drips keep running on the layer they were spawned on
+      const ctx = d.layer ? d.layer.ctx : this.ctx;
+      const prevOp = ctx.globalCompositeOperation;
+      ctx.globalCompositeOperation = look.composite;
   
-      // Gravity & damping
-      d.vy += this.GRAVITY * 0.9 * dt * (0.55 + 0.45 * d.vol);
-      d.vy *= Math.exp(-this.VISCOSITY * dt);
+      // Gravity (its pull along the surface) & damping; wet paint under
+      // the head lets it slip, dry surface drags
+      d.v += this.GRAVITY * grav.slope * 0.9 * dt * (0.55 + 0.45 * d.vol);
+      d.v *= Math.exp(-viscosity * this._pathDrag(d) * dt);
+      d.drift *= Math.exp(-3 * dt);
   
+      d.px = d.x;
       d.py = d.y;
-      d.y += d.vy * dt;
-      d.len += Math.abs(d.vy * dt);
+      d.x += d.v * dt * grav.x + d.drift * dt * grav.y;
+      d.y += d.v * dt * grav.y - d.drift * dt * grav.x;
+      d.len += Math.abs(d.v * dt);
+      const ax = d.x - d.px;
+      const ay = d.y - d.py;
+      const travel = Math.hypot(ax, ay);
+
+      // flat surfaces: the paint spreads into a pool instead of running
+      if (d.pool) {
+        const done = this._updatePool(d, dt, ctx, look, brush, dpr);
+        ctx.globalCompositeOperation = prevOp;
+        if (done) this.drips.splice(i, 1);
+        continue;
+      }
   
-      // Lateral wobble
+      // Lateral wobble, across the direction of travel
       const lenNorm = d.len / (d.len + 25);
       const wobble = Math.sin(d.t * 3.5 * d.profile.wobbleF) * d.profile.wobbleA * lenNorm;
-      d.x += wobble * 0.4;
+      const wx = wobble * 0.4 * grav.y;
+      const wy = -wobble * 0.4 * grav.x;
+      d.x += wx;
+      d.y += wy;
   
       // --- Trail drawing ---
-      const dy = d.y - d.py;
       const stepPx = 1.0;
-      const steps = Math.max(1, Math.floor(Math.abs(dy) / stepPx));
+      const steps = Math.max(1, Math.floor(travel / stepPx));
   
-      // Base alpha (slightly higher for gold drips so they don't read as pale)
-      let aBase = 0.22 * d.vol * toneParity;
-      if (isGold) aBase *= 1.15 * this.GOLD_DRIP_ALPHA_GAIN; // ~+26% default
+      // Base alpha (per material, so metallic drips don't read as pale)
+      let aBase = 0.22 * d.vol * toneParity * look.alphaGain;
   
       for (let s = 1; s <= steps; s++) {
         const t = s / steps;
-        const yy = d.py + dy * t;
+        const xx = d.px + ax * t + wx;
+        const yy = d.py + ay * t + wy;
   
         // radius evolution
         const widen = 1.0 + 0.0015 * d.len * d.profile.widenK;
@@ -1815,39 +2750,46 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
   
         // Base body
         ctx.globalAlpha = Math.max(0.05, Math.min(0.28, aBase));
-        ctx.drawImage(this.getBrush(R), d.x - R, yy - R);
+        ctx.drawImage(brush(R), xx - R, yy - R);
         d._maxTrailR = Math.max(d._maxTrailR || 0, R);
   
-        // Warm glaze (gold only): very light multiply pass to deepen tone
-        if (isGold) {
+        // Material glaze: very light multiply pass to deepen tone
+        if (look.glaze) {
           ctx.save();
           ctx.globalCompositeOperation = "multiply";
-          ctx.globalAlpha = 0.08; // subtle; avoids mud
-          ctx.drawImage(this.getBrush(R * 0.98), d.x - R * 0.98, yy - R * 0.98);
+          ctx.globalAlpha = look.glaze; // subtle; avoids mud
+          ctx.drawImage(brush(R * 0.98), xx - R * 0.98, yy - R * 0.98);
           ctx.restore();
         }
       }
   
       // --- Head drawing ---
       const Rhead = this.headRadiusFor(d) / dpr;
-      let headA = (0.16 + 0.1 * d.vol) * toneParity;
-      if (isGold) headA *= 1.12 * this.GOLD_DRIP_ALPHA_GAIN;
+      const headA = (0.16 + 0.1 * d.vol) * toneParity * look.headGain;
       ctx.globalAlpha = Math.min(0.30, headA);
-      ctx.drawImage(this.getBrush(Rhead), d.x - Rhead, d.y - Rhead);
+      ctx.drawImage(brush(Rhead), d.x - Rhead, d.y - Rhead);
       d._maxHeadR = Math.max(d._maxHeadR || 0, Rhead);
   
-      if (isGold) {
+      if (look.glaze) {
         // Gentle head glaze for cohesion with trail
         ctx.save();
         ctx.globalCompositeOperation = "multiply";
-        ctx.globalAlpha = 0.10;
-        ctx.drawImage(this.getBrush(Rhead * 0.97), d.x - Rhead * 0.97, d.y - Rhead * 0.97);
+        ctx.globalAlpha = look.glaze * 1.25;
+        ctx.drawImage(brush(Rhead * 0.97), d.x - Rhead * 0.97, d.y - Rhead * 0.97);
         ctx.restore();
       }
   
-      // --- Terminate drip ---
-      d.vol -= (this.DEPOSIT_PER_PX * Math.abs(dy)) / 60 + this.WET_EVAP * dt * 0.45;
-      if (d.vol <= 0.08 || d.len > 70 || d.y > this.canvas.height + 5) {
+      // --- Paint exchange, splitting & termination ---
+      const shed = (this.DEPOSIT_PER_PX * travel) / 60;
+      this._exchangeDripPaint(d, dt, shed);
+      d.vol -= shed + evap * dt * 0.45;
+      this._maybeSplitDrip(d, dt);
+      if (
+        d.vol <= 0.08 ||
+        d.len > 70 ||
+        this._offDocument(d.x, d.y, 5) ||
+        this._onMask(d.x, d.y)
+      ) {
         const maxR = Math.max(d._maxTrailR || 0, d._maxHeadR || 0);
         console.log(
           `[DRIP-END#${d.id}] maxTrailR=${(d._maxTrailR || 0).toFixed(2)}px ` +
@@ -1855,32 +2797,239 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
           `cssWidth≈${(2*maxR*dpr).toFixed(2)}px len=${d.len.toFixed(1)}px`
         );
         this.drips.splice(i, 1);
-        continue;
       }
+      ctx.globalCompositeOperation = prevOp;
     }
   
+    this._mergeDripsInFlight(dpr);
     this._drawingDrip = false;
-    ctx.globalCompositeOperation = prevOp;
+    if (this.layers) this.layers.invalidate();
   }
+
+  // Wetness / pigment grids a drip runs on (its layer, else the engine's)
+  _dripGrids(d) {
+    return d.layer || this;
+  }
+
+  // Damping factor from the paint under a drip's head: 1 - WET_SLIP on
+  // fully wet paint, 1 + DRY_DRAG on a dry (or touch-dry) surface; tacky
+  // film counts as half wet
+  _pathDrag(d) {
+    const k = this.cellIndexFromXY(d.x, d.y);
+    if (k < 0) return 1 + this.DRY_DRAG;
+    const { paintBuf, filmBuf } = this._dripGrids(d);
+    const w = Math.max(
+      Math.min(1, paintBuf[k] / this.W_CAP),
+      0.5 * this._tackiness(filmBuf, k)
+    );
+    return 1 + this.DRY_DRAG * (1 - w) - this.WET_SLIP * w;
+  }
+
+  // Drip ↔ paint exchange along the path: the head soaks up wet paint it
+  // crosses (volume and, with wet mixing, its pigment), and the paint it
+  // sheds marks the cell behind it wet so later runs follow the trail
+  _exchangeDripPaint(d, dt, shed) {
+    const { paintBuf, pigmentBuf, filmBuf } = this._dripGrids(d);
+    const k = this.cellIndexFromXY(d.x, d.y);
+    if (k >= 0 && paintBuf[k] > 0) {
+      const take = paintBuf[k] * Math.min(1, this.DRIP_PICKUP * dt);
+      paintBuf[k] -= take;
+      d.vol = Math.min(2.4, d.vol + take * 0.5);
+      const cell = pigmentBuf.subarray(k * 3, k * 3 + 3);
+      if (
+        this.wetMixing &&
+        paintBuf[k] >= this.MIX_WET_MIN &&
+        Pigment.distance(cell, d.pigment) >= 0.01
+      ) {
+        Pigment.mix(d.pigment, cell, take / (d.vol + take), d.pigment);
+        d.color = Pigment.toHex(d.pigment, 8);
+      }
+    }
+
+    const kp = this.cellIndexFromXY(d.px, d.py);
+    if (kp >= 0 && kp !== k && shed > 0) {
+      const add = shed * this.DRIP_TRAIL_WET;
+      this._mixPigmentAt(paintBuf, pigmentBuf, kp, d.pigment, add);
+      paintBuf[kp] = Math.min(this.W_CAP, paintBuf[kp] + add);
+      this._wetFilm(filmBuf, kp, MaterialCatalog.get(d.material).dryTime);
+    }
+  }
+
+  // Heavy drips now and then split: a share of the volume branches off
+  // sideways as a drip of its own
+  _maybeSplitDrip(d, dt) {
+    if (d.vol < this.SPLIT_VOL || d.len < 8) return;
+    if (this.drips.length >= this.MAX_DRIPS) return;
+    if (this.random() > this.SPLIT_CHANCE * dt) return;
+
+    const share = 0.35 + this.random() * 0.15;
+    const side = this.random() < 0.5 ? -1 : 1;
+    const child = {
+      ...d,
+      id: ++this._dripUID,
+      vol: d.vol * share,
+      baseR: Math.max(2.1, d.baseR * 0.8),
+      len: 0,
+      t: 0,
+      drift: side * (10 + this.random() * 10),
+      pigment: d.pigment.slice(),
+      _maxTrailR: 0,
+      _maxHeadR: 0,
+      profile: { ...d.profile, seed: this.random() * 1000, hookDir: side },
+    };
+    d.vol -= child.vol;
+    d.drift -= side * 4;
+    this.drips.push(child);
+    if (this.debugDrips) {
+      console.log(
+        `[DRIP-SPLIT#${d.id}] → #${child.id} vol=${child.vol.toFixed(2)}`
+      );
+    }
+  }
+
+  // Merge running drips whose heads meet on the same layer: the heavier
+  // one takes the other's volume, momentum and pigment. Young drips (fresh
+  // split branches) get MERGE_GRACE seconds to separate first.
+  _mergeDripsInFlight(dpr) {
+    const canMerge = (d) => !d.pool && d.t >= this.MERGE_GRACE;
+    for (let i = this.drips.length - 1; i > 0; i--) {
+      const a = this.drips[i];
+      if (!canMerge(a)) continue;
+      for (let j = i - 1; j >= 0; j--) {
+        const b = this.drips[j];
+        if (!canMerge(b) || b.layer !== a.layer) continue;
+        const reach =
+          ((this.headRadiusFor(a) + this.headRadiusFor(b)) * 0.6) / dpr;
+        const dx = a.x - b.x,
+          dy = a.y - b.y;
+        if (dx * dx + dy * dy > reach * reach) continue;
+
+        const aWins = a.vol >= b.vol;
+        const big = aWins ? a : b;
+        const small = aWins ? b : a;
+        const share = small.vol / (big.vol + small.vol);
+        big.v += (small.v - big.v) * share;
+        big.drift += (small.drift - big.drift) * share;
+        if (Pigment.distance(big.pigment, small.pigment) >= 0.01) {
+          Pigment.mix(big.pigment, small.pigment, share, big.pigment);
+          big.color = Pigment.toHex(big.pigment, 8);
+        }
+        this._mergeIntoDrip(big, small.baseR, small.vol);
+        if (this.debugDrips) {
+          console.log(`[DRIP-MERGE#${big.id}] ← #${small.id}`);
+        }
+
+        this.drips.splice(aWins ? j : i, 1);
+        if (!aWins) break;
+      }
+    }
+  }
+
   // game loop hook — call once after constructing the tool
   startDripLoop() {
     const tick = (t) => {
       const dt = Math.min(0.05, (t - this._lastT) / 1000); // seconds, clamp 50ms
       this._lastT = t;
 
-      // bleed down buffers a bit (evaporation) & cooldown spawns
-      const decay = Math.exp(-this.WET_EVAP * dt);
-      for (let i = 0; i < this.paintBuf.length; i++) {
-        this.paintBuf[i] *= decay;
-        if (this._spawnCooldown[i] > 0) this._spawnCooldown[i]--;
-      }
-
-      this._updateDrips(dt);
+      // while replaying, recorded frames drive the simulation instead
+      if (!this.replaying) this.stepSimulation(dt);
       requestAnimationFrame(tick);
     };
     requestAnimationFrame(tick);
   }
 
+  // one simulation frame: evaporation, spawn cooldowns and drip motion
+  stepSimulation(dt) {
+    // bleed down buffers a bit (evaporation) & cooldown spawns
+    const decay = Math.exp(-this.getEvaporation() * dt);
+    const bufs = this.layers
+      ? this.layers.layers.map((layer) => layer.paintBuf)
+      : [this.paintBuf];
+    for (const buf of bufs) {
+      for (let i = 0; i < buf.length; i++) buf[i] *= decay;
+    }
+
+    // drying runs faster in warm, dry air; the wet sheen is redrawn a few
+    // times a second while anything is wet (and once after it dries)
+    const dryStep = dt * this.getClimate().evap;
+    const films = this.layers
+      ? this.layers.layers.map((layer) => layer.filmBuf)
+      : [this.filmBuf];
+    let wet = false;
+    for (const film of films) wet = this._dryFilm(film, dryStep) || wet;
+    if (wet) this._sheenStale = true;
+    this._sheenClock += dt;
+    if (this._sheenStale && this._sheenClock >= this.SHEEN_INTERVAL) {
+      this._sheenClock = 0;
+      this._sheenStale = wet;
+      if (this.layers) this.layers.invalidateSheen();
+    }
+    for (let i = 0; i < this._spawnCooldown.length; i++) {
+      if (this._spawnCooldown[i] > 0) this._spawnCooldown[i]--;
+    }
+
+    this._updateDrips(dt);
+  }
+
+  // Spread a pool on a flat surface: its rim grows toward a radius set by
+  // the volume, slower in viscous paint, and rides along with any slight
+  // slope. Returns true once the pool has settled.
+  _updatePool(d, dt, ctx, look, brush, dpr) {
+    const target = (d.baseR * (1.6 + 1.4 * Math.sqrt(d.vol))) / dpr;
+    if (!d.r) d.r = (d.baseR * 0.5) / dpr;
+    const k = this.POOL_SPREAD / (1 + this.getViscosity() * 0.15);
+    d.r += (target - d.r) * (1 - Math.exp(-k * dt));
+
+    // first frame: the puddle's body
+    if (!d._drawnR) {
+      ctx.globalAlpha = Math.min(0.3, (0.16 + 0.1 * d.vol) * look.headGain);
+      ctx.drawImage(brush(d.r), d.x - d.r, d.y - d.r);
+      d._drawnR = d.r * 0.5;
+    }
+
+    // stamp the rim each time it has moved out by half a pixel; two
+    // harmonics with per-drip phases keep the edge irregular but closed
+    if (d.r - d._drawnR >= 0.5) {
+      const R = Math.max(1, (d.baseR * 0.55) / dpr);
+      const n = Math.min(48, Math.ceil((2 * Math.PI * d.r) / (R * 0.9)));
+      const ph = d.profile.seed;
+      const a0 = 0.1 * d.vol * look.alphaGain;
+      ctx.globalAlpha = Math.max(0.04, Math.min(0.2, a0));
+      for (let j = 0; j < n; j++) {
+        const a = (j / n) * 2 * Math.PI;
+        const edge =
+          1 + 0.12 * Math.sin(3 * a + ph) + 0.08 * Math.sin(5 * a + ph * 1.7);
+        const rx = d.x + Math.cos(a) * d.r * edge;
+        const ry = d.y + Math.sin(a) * d.r * edge;
+        ctx.drawImage(brush(R), rx - R, ry - R);
+      }
+      d._drawnR = d.r;
+      d._maxTrailR = Math.max(d._maxTrailR || 0, d.r);
+    }
+
+    d.vol -= this.getEvaporation() * dt * 0.45;
+    const settled = target - d.r < 0.3 || d.vol <= 0.08;
+    if (settled || this._offDocument(d.x, d.y, 5) || this._onMask(d.x, d.y)) {
+      if (this.debugDrips) {
+        console.log(
+          `[DRIP-POOL#${d.id}] r=${d.r.toFixed(2)}px t=${d.t.toFixed(2)}s`
+        );
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // true when (x, y) is more than `margin` px outside the document
+  _offDocument(x, y, margin = 0) {
+    return (
+      x < -margin ||
+      y < -margin ||
+      x > this.width + margin ||
+      y > this.height + margin
+    );
+  }
+
   // --- 2) _safeR(r) with abnormal input warning ---
   _safeR(r) {
     if (!Number.isFinite(r) || r > 256) {
@@ -1955,7 +3104,7 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
 
     // optional tiny bead at the very tip
     if (this._currentDripProfile && this._currentDripProfile.bead) {
-      const beadR = Math.max(0.8, R * (0.75 + Math.random() * 0.35));
+      const beadR = Math.max(0.8, R * (0.75 + this.random() * 0.35));
       const yy =
         y +
         (Math.sign(dirY) || 1) *
@@ -1982,17 +3131,10 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     return a + (b - a) * u; // 0..1
   }
 
-  resizeCanvas() {
-    const dpr = window.devicePixelRatio || 1;
-    const rect = this.canvas.getBoundingClientRect();
-  
-    // Match canvas pixel buffer to real display size
-    this.canvas.width = rect.width * dpr;
-    this.canvas.height = rect.height * dpr;
-  
-    this.ctx.scale(dpr, dpr);
+  // Display pixel ratio changed (moved to another screen, browser zoom).
+  // The display canvas is owned by CanvasDrawer; only brush scaling here.
+  setPixelRatio(dpr) {
     this.dpr = dpr;
-    console.log(`[CANVAS] DPR=${dpr} size=${rect.width}×${rect.height}`);
   }
 
   // Clean up cache periodically
@@ -2007,3 +3149,172 @@ createNoisyPath(x, y, size, speed = this.V_REF) {
     }
   }
 }
+
+// Pointer tools (see setTool)
+// buff:  sprays buffColor in `material` with the can's physics
+// erase: hardness - solid share of the radius (1 = hard edge)
+//        strength - share of the paint taken off per dab (× pressure for
+//                   soft erasers)
+SprayPaint.TOOLS = {
+  spray: { id: "spray", name: "Spray" },
+  buff: { id: "buff", name: "Buff", buff: { material: "matte" } },
+  eraser: {
+    id: "eraser",
+    name: "Hard Eraser",
+    erase: { hardness: 1, strength: 1 },
+  },
+  softEraser: {
+    id: "softEraser",
+    name: "Soft Eraser",
+    erase: { hardness: 0.2, strength: 0.12 },
+  },
+};
+
+// Engine fields that make up the brush/drip settings (recording, projects)
+SprayPaint.SETTING_FIELDS = [
+  "color",
+  "nozzleSize",
+  "softness",
+  "opacity",
+  "flow",
+  "scatterRadiusMultiplier",
+  "scatterAmountMultiplier",
+  "scatterSizeMultiplier",
+  "oversprayMultiplier",
+  "distance",
+  "cap",
+  "material",
+  "wetMixing",
+  "canAngle",
+  "canAzimuth",
+  "useStylusTilt",
+  "DRIP_THRESHOLD",
+  "GRAVITY",
+  "VISCOSITY",
+  "WET_EVAP",
+  "gravityDirection",
+  "surfaceTilt",
+  "temperature",
+  "humidity",
+  "windSpeed",
+  "windDirection",
+  "substrate",
+  "tool",
+  "buffColor",
+  "dripsEnabled",
+  "lineDynamicsEnabled",
+  "thinFastScale",
+  "thickSlowScale",
+  "speedCurve",
+  "V_FAST",
+];
+
+// Drip spawn gates per material wetness class (see MaterialCatalog `wet`);
+// "…Touch" variants apply to touch-safe materials on touch screens
+SprayPaint.DRIP_GATES = {
+  normal: {
+    slowCap: 1.2, // max speed (× V_SLOW) that can still spawn
+    soften: 1.0, // above 0.7 × soften × V_SLOW wetness bleeds instead
+    smallStill: 0.35, // small nozzles must be slower than this × V_SLOW
+    tighten: 1.0, // nozzle threshold scale
+    center: 1.0, // center wetness threshold scale
+    pool: 1.0, // 3×3 pool threshold scale
+    triggerFloor: 0.9,
+    slopeGate: 0.5,
+    triggerGate: 1.1,
+    boostFrom: 0.9, // spawn probability ramps from this trigger level
+    boostPow: 3.0,
+    boostMul: 3.2,
+    smallMul: 0.6,
+    midMul: 0.85,
+    interval: 1.0, // per-cell spawn interval scale
+    globalGap: 260, // ms between small-nozzle spawns
+  },
+  eager: {
+    slowCap: 1.3,
+    soften: 0.92,
+    smallStill: 0.42,
+    tighten: 0.9,
+    center: 0.82,
+    pool: 0.85,
+    triggerFloor: 0.83,
+    slopeGate: 0.6,
+    triggerGate: 1.05,
+    boostFrom: 0.78,
+    boostPow: 2.4,
+    boostMul: 3.8,
+    smallMul: 1.15,
+    midMul: 1.05,
+    interval: 0.8,
+    globalGap: 220,
+  },
+  eagerTouch: {
+    slowCap: 1.5,
+    soften: 0.82,
+    smallStill: 0.55,
+    tighten: 0.82,
+    center: 0.7,
+    pool: 0.68,
+    triggerFloor: 0.7,
+    slopeGate: 0.65,
+    triggerGate: 1.0,
+    boostFrom: 0.66,
+    boostPow: 2.4,
+    boostMul: 5.2,
+    smallMul: 1.35,
+    midMul: 1.2,
+    interval: 0.55,
+    globalGap: 140,
+  },
+};
+
+// Methods a StrokeRecorder captures; replaying them in order (with the
+// recorded clock and seed) reproduces the session exactly.
+SprayPaint.RECORDED_METHODS = [
+  "startDrawing",
+  "draw",
+  "stopDrawing",
+  "sprayTick",
+  "stamp",
+  "beginGroup",
+  "endGroup",
+  "stepSimulation",
+  "clear",
+  "setColor",
+  "setNozzleSize",
+  "setSoftness",
+  "setOpacity",
+  "setFlow",
+  "setScatterRadius",
+  "setScatterAmount",
+  "setScatterSize",
+  "setOverspray",
+  "setDistance",
+  "setCap",
+  "setMaterial",
+  "setWetMixing",
+  "setCanAngle",
+  "setCanAzimuth",
+  "setUseStylusTilt",
+  "setDripThreshold",
+  "setDripGravity",
+  "setDripViscosity",
+  "setDripEvaporation",
+  "setGravityDirection",
+  "setSurfaceTilt",
+  "setTemperature",
+  "setHumidity",
+  "setWindSpeed",
+  "setWindDirection",
+  "setSubstrate",
+  "setTool",
+  "setBuffColor",
+  "addMask",
+  "liftMask",
+  "liftAllMasks",
+  "setLineDynamicsEnabled",
+  "setLineDynamicsRange",
+  "setLineDynamicsCurve",
+  "setLineDynamicsFastSpeed",
+  "toggleDrips",
+];
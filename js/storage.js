@@ -0,0 +1,97 @@
+// Local persistence in IndexedDB: the autosave slot plus the gallery.
+// Each record holds a ProjectFile manifest and a small thumbnail.
+class ProjectStore {
+  constructor(dbName = "realistic-spray-paint") {
+    this.dbName = dbName;
+    this._db = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      if (!ProjectStore.isSupported()) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(this.dbName, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(ProjectStore.STORE)) {
+          db.createObjectStore(ProjectStore.STORE, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this._db;
+  }
+
+  async _request(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ProjectStore.STORE, mode);
+      const req = fn(tx.objectStore(ProjectStore.STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  get(id) {
+    return this._request("readonly", (store) => store.get(id));
+  }
+
+  put(record) {
+    return this._request("readwrite", (store) => store.put(record));
+  }
+
+  delete(id) {
+    return this._request("readwrite", (store) => store.delete(id));
+  }
+
+  // Gallery entries without their (large) project payloads, newest first
+  async list() {
+    const records = await this._request("readonly", (store) => store.getAll());
+    return records
+      .filter((r) => r.id !== ProjectStore.AUTOSAVE_ID)
+      .map(({ project, ...meta }) => meta)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async rename(id, name) {
+    const record = await this.get(id);
+    if (!record) return null;
+    record.name = name;
+    record.updatedAt = Date.now();
+    await this.put(record);
+    return record;
+  }
+
+  async duplicate(id) {
+    const record = await this.get(id);
+    if (!record) return null;
+    const now = Date.now();
+    const copy = {
+      ...record,
+      id: ProjectStore.newId(),
+      name: `${record.name} copy`,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.put(copy);
+    return copy;
+  }
+
+  static newId() {
+    return `piece-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+}
+
+ProjectStore.STORE = "pieces";
+ProjectStore.AUTOSAVE_ID = "autosave";
@@ -0,0 +1,207 @@
+// Surfaces to paint on: each substrate has an albedo texture shown (and
+// exported) under the paint, a depth map of recesses (mortar lines, pits,
+// seams) that far-away spray can't reach into, and a porosity map of how
+// much fresh paint soaks in. The textures are procedural and seeded from
+// the substrate id, so they are the same on every load; only the id is
+// stored in settings and project files.
+class SubstrateCatalog {
+  static get(id) {
+    return (
+      SubstrateCatalog.SUBSTRATES[id] ||
+      SubstrateCatalog.SUBSTRATES[SubstrateCatalog.DEFAULT]
+    );
+  }
+
+  static list() {
+    return Object.values(SubstrateCatalog.SUBSTRATES);
+  }
+
+  static has(id) {
+    return Object.prototype.hasOwnProperty.call(
+      SubstrateCatalog.SUBSTRATES,
+      id
+    );
+  }
+
+  // Render a substrate for a document: albedo canvas (width × height) and
+  // depth / porosity grids at the wetness grid's resolution. Flat or
+  // non-porous surfaces leave their grid null.
+  static build(id, width, height, bufScale) {
+    const substrate = SubstrateCatalog.get(id);
+    const surface = {
+      id: substrate.id,
+      width,
+      height,
+      albedo: null,
+      depth: null,
+      porosity: null,
+    };
+    if (!substrate.sample) return surface;
+
+    const tex = SubstrateCatalog._texture(
+      SeededRandom.hashString(substrate.id)
+    );
+
+    surface.albedo = document.createElement("canvas");
+    surface.albedo.width = width;
+    surface.albedo.height = height;
+    const ctx = surface.albedo.getContext("2d");
+    const image = ctx.createImageData(width, height);
+    for (let y = 0, i = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, i += 4) {
+        const { color } = substrate.sample(x, y, tex);
+        image.data[i] = color[0];
+        image.data[i + 1] = color[1];
+        image.data[i + 2] = color[2];
+        image.data[i + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+
+    // sampled at each cell's center
+    const bufW = Math.ceil(width / bufScale);
+    const bufH = Math.ceil(height / bufScale);
+    const depth = new Float32Array(bufW * bufH);
+    const porosity = new Float32Array(bufW * bufH);
+    let recessed = false,
+      porous = false;
+    for (let cy = 0, k = 0; cy < bufH; cy++) {
+      for (let cx = 0; cx < bufW; cx++, k++) {
+        const s = substrate.sample(
+          (cx + 0.5) * bufScale,
+          (cy + 0.5) * bufScale,
+          tex
+        );
+        depth[k] = s.depth;
+        porosity[k] = s.porosity;
+        recessed = recessed || s.depth > 0;
+        porous = porous || s.porosity > 0;
+      }
+    }
+    if (recessed) surface.depth = depth;
+    if (porous) surface.porosity = porosity;
+    return surface;
+  }
+
+  // Seeded texture helpers for the samplers: smooth value noise in [0, 1)
+  // on a lattice of sx × sy px, and a hash per integer cell (brick, plank)
+  static _texture(seed) {
+    const hash = (ix, iy) => {
+      let h = seed ^ Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1);
+      h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+      h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+      return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    };
+    const noise = (x, y, sx, sy = sx) => {
+      const fx = x / sx,
+        fy = y / sy;
+      const ix = Math.floor(fx),
+        iy = Math.floor(fy);
+      const tx = fx - ix,
+        ty = fy - iy;
+      const u = tx * tx * (3 - 2 * tx),
+        v = ty * ty * (3 - 2 * ty);
+      const a = hash(ix, iy),
+        b = hash(ix + 1, iy),
+        c = hash(ix, iy + 1),
+        d = hash(ix + 1, iy + 1);
+      return a + (b - a) * u + (c - a) * v + (a - b - c + d) * u * v;
+    };
+    return { hash, noise };
+  }
+}
+
+SubstrateCatalog.DEFAULT = "blank";
+
+// sample(x, y, tex) → { color: [r, g, b], depth, porosity } at document
+// px (x, y); null = flat white, non-porous (the blank canvas)
+// color:    albedo, 0–255
+// depth:    recess below the surface face, 0 (face) → 1 (deepest)
+// porosity: share of fresh wetness the surface soaks up, 0–1
+SubstrateCatalog.SUBSTRATES = {
+  blank: {
+    id: "blank",
+    name: "Blank",
+    sample: null,
+  },
+  brick: {
+    id: "brick",
+    name: "Brick",
+    // 60 × 22 px bricks in running bond with 4 px mortar joints
+    sample(x, y, tex) {
+      const row = Math.floor(y / 26);
+      const bx = x + (row & 1) * 32;
+      const col = Math.floor(bx / 64);
+      const grit = tex.noise(x, y, 3);
+      if (bx - col * 64 < 4 || y - row * 26 < 4) {
+        const g = 150 + 45 * grit;
+        return { color: [g + 10, g + 5, g - 8], depth: 1, porosity: 0.55 };
+      }
+      const k = 0.78 + 0.3 * tex.hash(col, row) + 0.16 * (grit - 0.5);
+      const pit = Math.max(0, tex.noise(x, y, 5) - 0.8) * 2;
+      return {
+        color: [158 * k, 74 * k, 52 * k],
+        depth: pit,
+        porosity: 0.35,
+      };
+    },
+  },
+  concrete: {
+    id: "concrete",
+    name: "Concrete",
+    // mottled grey with air-bubble pits
+    sample(x, y, tex) {
+      const mottle = 0.6 * tex.noise(x, y, 40) + 0.4 * tex.noise(x, y, 6);
+      const pit = Math.max(0, tex.noise(x, y, 4) - 0.84) / 0.16;
+      const g = (132 + 40 * mottle) * (1 - 0.3 * pit);
+      return {
+        color: [g + 2, g, g - 4],
+        depth: pit,
+        porosity: 0.25 + 0.15 * mottle,
+      };
+    },
+  },
+  wood: {
+    id: "wood",
+    name: "Wood",
+    // 80 px planks with seams, grain running along x
+    sample(x, y, tex) {
+      const plank = Math.floor(y / 80);
+      if (y - plank * 80 < 2) {
+        return { color: [92, 62, 36], depth: 1, porosity: 0.4 };
+      }
+      const warp = 10 * tex.noise(x, y, 90, 30);
+      const ring = 0.5 + 0.5 * Math.sin((y + warp) * 0.8 + plank * 7);
+      const k = 0.82 + 0.2 * tex.hash(plank, 0) - 0.16 * ring;
+      return {
+        color: [186 * k, 138 * k, 88 * k],
+        depth: ring > 0.92 ? 0.3 : 0,
+        porosity: 0.2 + 0.1 * ring,
+      };
+    },
+  },
+  metal: {
+    id: "metal",
+    name: "Brushed Metal",
+    // brushed along x; sealed and flat
+    sample(x, y, tex) {
+      const brush = 0.7 * tex.noise(x, y, 60, 1.5) + 0.3 * tex.noise(x, y, 4);
+      const g = 136 + 36 * brush;
+      return { color: [g, g + 5, g + 10], depth: 0, porosity: 0 };
+    },
+  },
+  paper: {
+    id: "paper",
+    name: "Paper",
+    // off-white with faint fibres; very absorbent
+    sample(x, y, tex) {
+      const fibre = tex.noise(x, y, 7, 2) * tex.noise(x, y, 2, 7);
+      const k = 0.96 + 0.05 * fibre;
+      return {
+        color: [246 * k, 241 * k, 230 * k],
+        depth: 0,
+        porosity: 0.5 + 0.15 * fibre,
+      };
+    },
+  },
+};
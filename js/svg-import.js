@@ -0,0 +1,703 @@
+// SVG import: paths and basic shapes flattened to document-space point
+// lists, honoring transforms and the viewBox, and fitted to the document.
+// Béziers and arcs are split finely enough for a spray line; CSS classes,
+// gradients, clip paths and text are not read.
+class SvgImport {
+  // An SvgArtwork from SVG source, fitted into a width × height document
+  static parse(source, width, height) {
+    const doc = new DOMParser().parseFromString(source, "image/svg+xml");
+    const root = doc.documentElement;
+    if (!root || root.nodeName.toLowerCase() !== "svg") {
+      throw new Error("Not an SVG file");
+    }
+    if (doc.getElementsByTagName("parsererror").length) {
+      throw new Error("The SVG file is malformed");
+    }
+
+    const viewport = SvgImport.viewport(root);
+    const shapes = [];
+    const walk = (el, matrix, style, depth = 0) => {
+      const name = el.nodeName.toLowerCase();
+      if (SvgImport.SKIPPED.includes(name)) return;
+      if (depth > SvgImport.MAX_DEPTH) return;
+      const own = SvgImport.style(el, style);
+      if (own.display === "none") return;
+      const m = SvgImport.multiply(
+        matrix,
+        SvgImport.parseTransform(el.getAttribute("transform"))
+      );
+
+      if (name === "use") {
+        const href = el.getAttribute("href") || el.getAttribute("xlink:href");
+        const target = href && doc.getElementById(href.replace(/^#/, ""));
+        // a <use> nested in its own target would never end
+        if (target && !target.contains(el)) {
+          const x = SvgImport.length(el.getAttribute("x")),
+            y = SvgImport.length(el.getAttribute("y"));
+          const placed = SvgImport.multiply(m, [1, 0, 0, 1, x, y]);
+          // a symbol draws only where it is used
+          const symbol = target.nodeName.toLowerCase() === "symbol";
+          for (const child of symbol ? target.children : [target]) {
+            walk(child, placed, own, depth + 1);
+          }
+        }
+        return;
+      }
+
+      const d = SvgImport.shapeData(el);
+      const { fill, stroke, fillRule } = own;
+      if (d && (fill !== "none" || stroke !== "none")) {
+        shapes.push({ d, matrix: m, fill, stroke, fillRule });
+      }
+      for (const child of el.children) walk(child, m, own, depth + 1);
+    };
+    walk(root, viewport.matrix, SvgImport.DEFAULT_STYLE);
+
+    // paths are flattened in document px, so curves get the segments
+    // their fitted size needs
+    const flattenAll = (fit) => {
+      const items = [];
+      for (const { d, matrix, ...paint } of shapes) {
+        const subpaths = SvgImport.flatten(d, SvgImport.multiply(fit, matrix));
+        if (subpaths.length) items.push({ subpaths, ...paint });
+      }
+      return items;
+    };
+    // fit the viewport (or, without one, the artwork) into the document
+    let box = viewport.size;
+    if (!box) {
+      const unfitted = flattenAll(SvgImport.IDENTITY);
+      if (!unfitted.length) throw new Error("No paths or shapes to spray");
+      box = SvgImport.bounds(unfitted);
+    }
+    const margin = Math.min(width, height) * SvgImport.MARGIN;
+    const scale = Math.min(
+      (width - margin * 2) / Math.max(1e-6, box.width),
+      (height - margin * 2) / Math.max(1e-6, box.height)
+    );
+    const dx = (width - box.width * scale) / 2 - box.x * scale,
+      dy = (height - box.height * scale) / 2 - box.y * scale;
+    const items = flattenAll([scale, 0, 0, scale, dx, dy]);
+    if (!items.length) throw new Error("No paths or shapes to spray");
+    return new SvgArtwork(items);
+  }
+
+  // The root's user space mapped to its width × height (viewBox,
+  // preserveAspectRatio xMidYMid meet / none / slice)
+  static viewport(root) {
+    const vb = (root.getAttribute("viewBox") || "")
+      .trim()
+      .split(/[\s,]+/)
+      .map(Number);
+    const hasViewBox =
+      vb.length === 4 && vb.every(isFinite) && vb[2] > 0 && vb[3] > 0;
+    const w = SvgImport.length(root.getAttribute("width"), 0);
+    const h = SvgImport.length(root.getAttribute("height"), 0);
+    if (!hasViewBox) {
+      const size = w > 0 && h > 0 ? { x: 0, y: 0, width: w, height: h } : null;
+      return { matrix: SvgImport.IDENTITY, size };
+    }
+
+    const [vx, vy, vw, vh] = vb;
+    const width = w > 0 ? w : vw,
+      height = h > 0 ? h : vh;
+    const aspect = (root.getAttribute("preserveAspectRatio") || "").trim();
+    let sx = width / vw,
+      sy = height / vh;
+    let tx = -vx * sx,
+      ty = -vy * sy;
+    if (!aspect.startsWith("none")) {
+      const s = aspect.includes("slice") ? Math.max(sx, sy) : Math.min(sx, sy);
+      const align = aspect.split(/\s+/)[0] || "xMidYMid";
+      const fx = align.includes("xMin") ? 0 : align.includes("xMax") ? 1 : 0.5;
+      const fy = align.includes("YMin") ? 0 : align.includes("YMax") ? 1 : 0.5;
+      sx = sy = s;
+      tx = -vx * s + (width - vw * s) * fx;
+      ty = -vy * s + (height - vh * s) * fy;
+    }
+    return {
+      matrix: [sx, 0, 0, sy, tx, ty],
+      size: { x: 0, y: 0, width, height },
+    };
+  }
+
+  // A number from a length attribute; units are ignored (only the
+  // proportions matter once the artwork is fitted)
+  static length(value, fallback = 0) {
+    const n = parseFloat(value);
+    return isFinite(n) ? n : fallback;
+  }
+
+  // Presentation attributes and inline style, over the inherited style
+  static style(el, inherited) {
+    const style = { ...inherited };
+    const declared = {};
+    for (const prop of ["fill", "stroke", "fill-rule", "display"]) {
+      const value = el.getAttribute(prop);
+      if (value !== null) declared[prop] = value.trim();
+    }
+    for (const rule of (el.getAttribute("style") || "").split(";")) {
+      const [prop, value] = rule.split(":").map((part) => part && part.trim());
+      if (prop && value) declared[prop] = value;
+    }
+    for (const prop of ["fill", "stroke"]) {
+      const value = declared[prop];
+      if (value !== undefined && value !== "inherit") {
+        style[prop] = SvgImport.color(value);
+      }
+    }
+    if (declared["fill-rule"] === "evenodd") style.fillRule = "evenodd";
+    if (declared["fill-rule"] === "nonzero") style.fillRule = "nonzero";
+    style.display = declared.display;
+    return style;
+  }
+
+  // "#rrggbb", "none", or null for paint the can supplies (gradients,
+  // patterns, currentColor)
+  static color(value) {
+    if (value === "none" || value === "transparent") return "none";
+    if (value.startsWith("url(") || value === "currentColor") return null;
+    const ctx = SvgImport._colorContext();
+    ctx.fillStyle = "#000000";
+    ctx.fillStyle = value;
+    const parsed = ctx.fillStyle;
+    if (parsed.startsWith("#")) return parsed;
+    const rgb = parsed.match(/\d+(\.\d+)?/g);
+    if (!rgb || rgb.length < 3) return null;
+    if (rgb.length > 3 && parseFloat(rgb[3]) === 0) return "none";
+    return (
+      "#" +
+      rgb
+        .slice(0, 3)
+        .map((c) => Math.round(c).toString(16).padStart(2, "0"))
+        .join("")
+    );
+  }
+
+  static _colorContext() {
+    if (!SvgImport._ctx) {
+      SvgImport._ctx = document.createElement("canvas").getContext("2d");
+    }
+    return SvgImport._ctx;
+  }
+
+  // Path data for a path or basic shape element, or null
+  static shapeData(el) {
+    const num = (name) => SvgImport.length(el.getAttribute(name));
+    switch (el.nodeName.toLowerCase()) {
+      case "path":
+        return el.getAttribute("d");
+      case "line":
+        return `M${num("x1")},${num("y1")}L${num("x2")},${num("y2")}`;
+      case "polyline":
+      case "polygon": {
+        const values = (el.getAttribute("points") || "")
+          .trim()
+          .split(/[\s,]+/)
+          .map(Number);
+        if (values.length < 4) return null;
+        const close = el.nodeName.toLowerCase() === "polygon" ? "Z" : "";
+        return `M${values.join(" ")}${close}`;
+      }
+      case "rect": {
+        const x = num("x"),
+          y = num("y"),
+          w = num("width"),
+          h = num("height");
+        if (w <= 0 || h <= 0) return null;
+        let rx = el.hasAttribute("rx") ? num("rx") : num("ry");
+        let ry = el.hasAttribute("ry") ? num("ry") : rx;
+        rx = Math.min(Math.max(0, rx), w / 2);
+        ry = Math.min(Math.max(0, ry), h / 2);
+        if (!rx || !ry) return `M${x},${y}h${w}v${h}h${-w}Z`;
+        const arc = (dx, dy) => `a${rx},${ry} 0 0 1 ${dx},${dy}`;
+        return (
+          `M${x + rx},${y}h${w - 2 * rx}${arc(rx, ry)}v${h - 2 * ry}` +
+          `${arc(-rx, ry)}h${2 * rx - w}${arc(-rx, -ry)}v${2 * ry - h}` +
+          `${arc(rx, -ry)}Z`
+        );
+      }
+      case "circle":
+      case "ellipse": {
+        const cx = num("cx"),
+          cy = num("cy");
+        const circle = el.nodeName.toLowerCase() === "circle";
+        const rx = circle ? num("r") : num("rx");
+        const ry = circle ? num("r") : num("ry");
+        if (rx <= 0 || ry <= 0) return null;
+        return (
+          `M${cx - rx},${cy}a${rx},${ry} 0 1 0 ${rx * 2},0` +
+          `a${rx},${ry} 0 1 0 ${-rx * 2},0Z`
+        );
+      }
+      default:
+        return null;
+    }
+  }
+
+  // --- transforms: [a, b, c, d, e, f] as in SVG matrix() ---
+
+  static multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+  }
+
+  static apply(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  static parseTransform(text) {
+    let m = SvgImport.IDENTITY;
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(text || ""))) {
+      const v = match[2]
+        .trim()
+        .split(/[\s,]+/)
+        .map(Number);
+      const rad = ((v[0] || 0) * Math.PI) / 180;
+      let t;
+      switch (match[1]) {
+        case "matrix":
+          t = v.length === 6 ? v : SvgImport.IDENTITY;
+          break;
+        case "translate":
+          t = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+          break;
+        case "scale": {
+          const sx = v[0] || 1;
+          t = [sx, 0, 0, v.length > 1 ? v[1] : sx, 0, 0];
+          break;
+        }
+        case "rotate": {
+          // about (cx, cy)
+          const cos = Math.cos(rad),
+            sin = Math.sin(rad);
+          const cx = v[1] || 0,
+            cy = v[2] || 0;
+          const ex = cx - cos * cx + sin * cy,
+            ey = cy - sin * cx - cos * cy;
+          t = [cos, sin, -sin, cos, ex, ey];
+          break;
+        }
+        case "skewX":
+          t = [1, 0, Math.tan(rad), 1, 0, 0];
+          break;
+        case "skewY":
+          t = [1, Math.tan(rad), 0, 1, 0, 0];
+          break;
+      }
+      m = SvgImport.multiply(m, t);
+    }
+    return m;
+  }
+
+  // --- path data ---
+
+  // Subpaths { points, closed } in the space `matrix` maps to
+  static flatten(d, matrix) {
+    const scan = new SvgPathScanner(d || "");
+    const scale = Math.sqrt(
+      Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])
+    );
+    const subpaths = [];
+    let sub = null;
+    let x = 0,
+      y = 0,
+      startX = 0,
+      startY = 0;
+    // last Bézier control point, for S / T reflection
+    let ctrl = null,
+      ctrlKind = "";
+
+    const begin = () => {
+      sub = { points: [SvgImport.apply(matrix, x, y)], closed: false };
+      subpaths.push(sub);
+    };
+    const lineTo = (px, py) => {
+      if (!sub) begin();
+      sub.points.push(SvgImport.apply(matrix, px, py));
+      x = px;
+      y = py;
+    };
+    const curveTo = (controls, ex, ey) => {
+      if (!sub) begin();
+      // control points mapped first: affine maps keep Béziers Béziers
+      const pts = [[x, y], ...controls, [ex, ey]].map(([px, py]) =>
+        SvgImport.apply(matrix, px, py)
+      );
+      let hull = 0;
+      for (let i = 1; i < pts.length; i++) {
+        const [x0, y0] = pts[i - 1];
+        hull += Math.hypot(pts[i][0] - x0, pts[i][1] - y0);
+      }
+      const n = SvgImport.steps(hull);
+      for (let i = 1; i <= n; i++) {
+        sub.points.push(SvgImport.bezier(pts, i / n));
+      }
+      x = ex;
+      y = ey;
+    };
+
+    let cmd = "";
+    while (scan.more()) {
+      const start = scan.i;
+      const next = scan.command();
+      if (next) cmd = next;
+      else if (!cmd) break; // numbers before any command or after Z
+      const rel = cmd === cmd.toLowerCase();
+      const ox = rel ? x : 0,
+        oy = rel ? y : 0;
+      const upper = cmd.toUpperCase();
+      const point = () => [ox + scan.number(), oy + scan.number()];
+      let kind = "";
+
+      switch (upper) {
+        case "M":
+          [x, y] = point();
+          startX = x;
+          startY = y;
+          begin();
+          cmd = rel ? "l" : "L"; // further pairs are lines
+          break;
+        case "L":
+          lineTo(...point());
+          break;
+        case "H":
+          lineTo(ox + scan.number(), y);
+          break;
+        case "V":
+          lineTo(x, oy + scan.number());
+          break;
+        case "C":
+        case "S":
+        case "Q":
+        case "T": {
+          kind = upper === "C" || upper === "S" ? "C" : "Q";
+          const reflected =
+            ctrl && ctrlKind === kind
+              ? [2 * x - ctrl[0], 2 * y - ctrl[1]]
+              : [x, y];
+          const explicit = upper === "C" || upper === "Q";
+          const controls = [explicit ? point() : reflected];
+          if (kind === "C") controls.push(point());
+          const [ex, ey] = point();
+          curveTo(controls, ex, ey);
+          ctrl = controls[controls.length - 1];
+          break;
+        }
+        case "A": {
+          const radii = { rx: scan.number(), ry: scan.number() };
+          const rotation = scan.number();
+          const large = scan.flag(),
+            sweep = scan.flag();
+          const end = point();
+          const arc = SvgImport.arc([x, y], end, {
+            ...radii,
+            rotation,
+            large,
+            sweep,
+          });
+          const n = SvgImport.steps(SvgImport.arcLength(arc) * scale);
+          for (let i = 1; i <= n; i++) {
+            lineTo(...SvgImport.arcPoint(arc, i / n));
+          }
+          [x, y] = end;
+          break;
+        }
+        case "Z":
+          if (sub) {
+            lineTo(startX, startY);
+            sub.closed = true;
+          }
+          x = startX;
+          y = startY;
+          sub = null;
+          cmd = ""; // Z takes no numbers
+          break;
+      }
+      ctrlKind = kind;
+      if (scan.failed || scan.i === start) break;
+    }
+    return subpaths.filter((path) => path.points.length > 1);
+  }
+
+  // segments for a curve about `length` document px long
+  static steps(length) {
+    const n = Math.ceil(length / SvgImport.SEGMENT_LENGTH);
+    return Math.max(4, Math.min(SvgImport.MAX_STEPS, n));
+  }
+
+  // De Casteljau point on a quadratic or cubic Bézier
+  static bezier(pts, t) {
+    let p = pts;
+    while (p.length > 1) {
+      const q = [];
+      for (let i = 1; i < p.length; i++) {
+        q.push([
+          p[i - 1][0] + (p[i][0] - p[i - 1][0]) * t,
+          p[i - 1][1] + (p[i][1] - p[i - 1][1]) * t,
+        ]);
+      }
+      p = q;
+    }
+    return p[0];
+  }
+
+  // Endpoint arc parameters to a centred ellipse arc (SVG 1.1 F.6.5);
+  // a zero radius is a straight line
+  static arc([x1, y1], [x2, y2], { rx, ry, rotation, large, sweep }) {
+    const phi = (rotation * Math.PI) / 180;
+    const cos = Math.cos(phi),
+      sin = Math.sin(phi);
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry || (x1 === x2 && y1 === y2)) {
+      return { line: true, x1, y1, x2, y2 };
+    }
+    const hx = (x1 - x2) / 2,
+      hy = (y1 - y2) / 2;
+    const x1p = cos * hx + sin * hy,
+      y1p = -sin * hx + cos * hy;
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    const num =
+      rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coef =
+      (large !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = (coef * rx * y1p) / ry,
+      cyp = (-coef * ry * x1p) / rx;
+    const angle = (ux, uy, vx, vy) =>
+      Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle(
+      (x1p - cxp) / rx,
+      (y1p - cyp) / ry,
+      (-x1p - cxp) / rx,
+      (-y1p - cyp) / ry
+    );
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+    return {
+      cx: cos * cxp - sin * cyp + (x1 + x2) / 2,
+      cy: sin * cxp + cos * cyp + (y1 + y2) / 2,
+      rx,
+      ry,
+      cos,
+      sin,
+      theta,
+      delta,
+    };
+  }
+
+  static arcPoint(arc, t) {
+    if (arc.line) {
+      return [arc.x1 + (arc.x2 - arc.x1) * t, arc.y1 + (arc.y2 - arc.y1) * t];
+    }
+    const a = arc.theta + arc.delta * t;
+    const ex = arc.rx * Math.cos(a),
+      ey = arc.ry * Math.sin(a);
+    return [
+      arc.cx + ex * arc.cos - ey * arc.sin,
+      arc.cy + ex * arc.sin + ey * arc.cos,
+    ];
+  }
+
+  static arcLength(arc) {
+    if (arc.line) return Math.hypot(arc.x2 - arc.x1, arc.y2 - arc.y1);
+    return Math.abs(arc.delta) * Math.max(arc.rx, arc.ry);
+  }
+
+  static bounds(items) {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const item of items) {
+      for (const sub of item.subpaths) {
+        for (const [x, y] of sub.points) {
+          minX = Math.min(minX, x);
+          minY = Math.min(minY, y);
+          maxX = Math.max(maxX, x);
+          maxY = Math.max(maxY, y);
+        }
+      }
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+}
+
+SvgImport._ctx = null;
+SvgImport.IDENTITY = [1, 0, 0, 1, 0, 0];
+SvgImport.MARGIN = 0.05; // document margin around the artwork, × short side
+SvgImport.SEGMENT_LENGTH = 3; // px per flattened curve segment
+SvgImport.MAX_STEPS = 256; // segments per curve at most
+SvgImport.MAX_DEPTH = 32; // nested groups and <use> at most
+// fill / stroke: "#rrggbb", "none", or null for the can's color
+SvgImport.DEFAULT_STYLE = {
+  fill: "#000000",
+  stroke: "none",
+  fillRule: "nonzero",
+  display: null,
+};
+// elements that draw nothing directly, or that are not read
+SvgImport.SKIPPED = [
+  "defs",
+  "symbol",
+  "clippath",
+  "mask",
+  "marker",
+  "pattern",
+  "lineargradient",
+  "radialgradient",
+  "filter",
+  "style",
+  "script",
+  "title",
+  "desc",
+  "metadata",
+  "text",
+  "image",
+  "foreignobject",
+];
+
+// Reads path data: commands, numbers (including "1.5.5" and "1e-3"
+// forms) and the packed single-digit flags of arcs. `failed` is set on
+// malformed data; what was read before it still counts, as in browsers.
+class SvgPathScanner {
+  constructor(text) {
+    this.text = text;
+    this.i = 0;
+    this.failed = false;
+  }
+
+  _skipSeparators() {
+    while (this.i < this.text.length && /[\s,]/.test(this.text[this.i])) {
+      this.i++;
+    }
+  }
+
+  more() {
+    this._skipSeparators();
+    return !this.failed && this.i < this.text.length;
+  }
+
+  // The next command letter, or "" if a number follows (a repeat)
+  command() {
+    this._skipSeparators();
+    const c = this.text[this.i];
+    if (c && /[MmLlHhVvCcSsQqTtAaZz]/.test(c)) {
+      this.i++;
+      return c;
+    }
+    if (c && !/[-+.\d]/.test(c)) this.failed = true;
+    return "";
+  }
+
+  number() {
+    this._skipSeparators();
+    const re = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+    re.lastIndex = this.i;
+    const match = re.exec(this.text);
+    if (!match) {
+      this.failed = true;
+      return 0;
+    }
+    this.i = re.lastIndex;
+    return parseFloat(match[0]);
+  }
+
+  flag() {
+    this._skipSeparators();
+    const c = this.text[this.i];
+    if (c !== "0" && c !== "1") {
+      this.failed = true;
+      return false;
+    }
+    this.i++;
+    return c === "1";
+  }
+}
+
+// Imported artwork in document px: items { subpaths: [{ points, closed }],
+// fill, stroke, fillRule } in paint order (colors as in
+// SvgImport.DEFAULT_STYLE). It shows as a guide to trace
+// by hand, or is sprayed: fills swept back and forth, strokes followed.
+class SvgArtwork {
+  constructor(items) {
+    this.items = items;
+  }
+
+  // Passes for a PassStroke, in paint order. options: { fills, strokes,
+  // colors (the SVG's own, else the can's), spacing (fill sweeps apart) }
+  passes({ fills = true, strokes = true, colors = true, spacing }) {
+    const passes = [];
+    const add = (color, paths) => {
+      const last = passes[passes.length - 1];
+      const c = colors ? color : null;
+      if (last && last.color === c) last.paths.push(...paths);
+      else passes.push({ color: c, paths });
+    };
+    for (const item of this.items) {
+      if (fills && item.fill !== "none") {
+        const raster = GraffitiPiece.rasterizePaths(
+          item.subpaths.map((sub) => sub.points),
+          item.fillRule
+        );
+        if (raster) add(item.fill, SprayText.fillPaths(raster, spacing));
+      }
+      if (strokes && item.stroke !== "none") {
+        add(
+          item.stroke,
+          item.subpaths.map((sub) => sub.points)
+        );
+      }
+    }
+    return passes.filter((pass) => pass.paths.length);
+  }
+
+  // The filled shapes' outlines (fills close open subpaths), as letter
+  // paths for GraffitiPiece.fromPaths
+  outlines() {
+    return this.items
+      .filter((item) => item.fill !== "none")
+      .flatMap((item) => item.subpaths.map((sub) => sub.points));
+  }
+
+  // The sketch projected on the wall: thin lines over a faint fill
+  drawTo(ctx, zoom = 1) {
+    ctx.save();
+    ctx.strokeStyle = SvgArtwork.GUIDE_COLOR;
+    ctx.fillStyle = SvgArtwork.GUIDE_COLOR;
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.lineJoin = "round";
+    for (const item of this.items) {
+      ctx.beginPath();
+      for (const { points, closed } of item.subpaths) {
+        points.forEach(([x, y], i) =>
+          i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)
+        );
+        if (closed) ctx.closePath();
+      }
+      if (item.fill !== "none") {
+        ctx.globalAlpha = 0.12;
+        ctx.fill(item.fillRule);
+      }
+      ctx.globalAlpha = 0.6;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+SvgArtwork.GUIDE_COLOR = "#1e88e5";
@@ -0,0 +1,398 @@
+// Spray text: glyphs from system or loaded web fonts are laid out along a
+// straight or curved baseline (letter spacing, rotation), rasterized, and
+// turned into the sweeps a hand would make: back-and-forth fill runs
+// across the glyph interiors and, optionally, traced outlines. The sweeps
+// are sprayed as timed strokes (see ShapeStroke).
+class SprayText {
+  // CSS font for a family at a size; generic families stay unquoted
+  static fontString(family, size) {
+    const name = family || SprayText.DEFAULT_FONT;
+    const generic = SprayText.GENERIC_FAMILIES.includes(name);
+    return `${size}px ${generic ? name : JSON.stringify(name)}`;
+  }
+
+  // Place each glyph. options: { text, font, size, letterSpacing (px),
+  // rotation (°), curve (-100–100 %: bends the baseline into an arch, or
+  // a dip when negative; 100 % spans half a circle), x, y (the text's
+  // middle) }. Glyph x, y are the middle of each glyph on the baseline,
+  // angle its rotation in radians.
+  static layout(options) {
+    const text = options.text || "";
+    const size = options.size || 48;
+    const spacing = options.letterSpacing || 0;
+    const font = SprayText.fontString(options.font, size);
+    const ctx = SprayText._measureContext();
+    ctx.font = font;
+
+    // advances from growing prefixes, so the font's kerning is kept
+    const chars = Array.from(text);
+    const advances = [];
+    let prefix = "",
+      before = 0;
+    for (const ch of chars) {
+      prefix += ch;
+      const after = ctx.measureText(prefix).width;
+      advances.push(after - before);
+      before = after;
+    }
+    const width = Math.max(
+      0,
+      advances.reduce((sum, a) => sum + a, 0) + spacing * (chars.length - 1)
+    );
+
+    // signed curvature: the whole line turns through curve × π
+    const k = width > 0 ? ((options.curve || 0) / 100) * (Math.PI / width) : 0;
+    const rot = ((options.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(rot),
+      sin = Math.sin(rot);
+
+    const glyphs = [];
+    let s = -width / 2;
+    chars.forEach((ch, i) => {
+      const mid = s + advances[i] / 2;
+      s += advances[i] + spacing;
+      if (!ch.trim()) return;
+      // on the arc through the origin, tangent to the x axis there
+      const lx = Math.abs(k) > 1e-9 ? Math.sin(k * mid) / k : mid;
+      const ly = Math.abs(k) > 1e-9 ? (1 - Math.cos(k * mid)) / k : 0;
+      glyphs.push({
+        ch,
+        advance: advances[i],
+        x: options.x + lx * cos - ly * sin,
+        y: options.y + lx * sin + ly * cos,
+        angle: rot + k * mid,
+      });
+    });
+    return { font, size, width, glyphs };
+  }
+
+  static drawGlyphs(ctx, layout, color) {
+    ctx.save();
+    ctx.font = layout.font;
+    ctx.fillStyle = color;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const g of layout.glyphs) {
+      ctx.save();
+      ctx.translate(g.x, g.y);
+      ctx.rotate(g.angle);
+      ctx.fillText(g.ch, 0, 0);
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  // Document-space box around every glyph (with room for ascenders and
+  // descenders), whole px
+  static bounds(layout) {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    const h = layout.size * SprayText.GLYPH_EXTENT;
+    for (const g of layout.glyphs) {
+      const w = g.advance / 2 + layout.size * 0.1;
+      const cos = Math.cos(g.angle),
+        sin = Math.sin(g.angle);
+      for (const [cx, cy] of [
+        [-w, -h],
+        [w, -h],
+        [w, h],
+        [-w, h],
+      ]) {
+        const x = g.x + cx * cos - cy * sin;
+        const y = g.y + cx * sin + cy * cos;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+    if (minX > maxX) return null;
+    const x = Math.floor(minX) - 2,
+      y = Math.floor(minY) - 2;
+    return {
+      x,
+      y,
+      width: Math.ceil(maxX) + 2 - x,
+      height: Math.ceil(maxY) + 2 - y,
+    };
+  }
+
+  // Glyph coverage as a bitmap: inside[i] = 1 where the text is solid
+  static rasterize(layout) {
+    const box = SprayText.bounds(layout);
+    if (!box) return null;
+    return SprayText.bitmap(box, (ctx) =>
+      SprayText.drawGlyphs(ctx, layout, "#000")
+    );
+  }
+
+  // Coverage of whatever draw(ctx) paints inside a document-space box
+  static bitmap(box, draw) {
+    const canvas = document.createElement("canvas");
+    canvas.width = box.width;
+    canvas.height = box.height;
+    const ctx = canvas.getContext("2d");
+    ctx.translate(-box.x, -box.y);
+    draw(ctx);
+    const data = ctx.getImageData(0, 0, box.width, box.height).data;
+    const inside = new Uint8Array(box.width * box.height);
+    for (let i = 0; i < inside.length; i++) {
+      inside[i] = data[i * 4 + 3] >= 128 ? 1 : 0;
+    }
+    return { ...box, inside };
+  }
+
+  // Horizontal runs across the glyphs every `spacing` px, alternating
+  // direction row by row
+  static fillPaths(raster, spacing) {
+    const step = Math.max(1, spacing);
+    const paths = [];
+    let row = 0;
+    for (let py = step / 2; py < raster.height; py += step, row++) {
+      paths.push(...SprayText.rowRuns(raster, py, row % 2 === 1));
+    }
+    return paths;
+  }
+
+  // The solid runs along bitmap row py, as document-space paths; backward
+  // runs go right to left, last run first
+  static rowRuns(raster, py, backward = false) {
+    const { width, inside } = raster;
+    const j = Math.floor(py) * width;
+    const y = raster.y + py;
+    const runs = [];
+    let start = -1;
+    for (let i = 0; i <= width; i++) {
+      const on = i < width && inside[j + i];
+      if (on && start < 0) start = i;
+      if (!on && start >= 0) {
+        const from = [raster.x + start, y],
+          to = [raster.x + i, y];
+        runs.push(backward ? [to, from] : [from, to]);
+        start = -1;
+      }
+    }
+    if (backward) runs.reverse();
+    return runs;
+  }
+
+  // Glyph outlines as closed point lists (marching squares on a `step` px
+  // grid over the bitmap)
+  static outlinePaths(raster, step = 2) {
+    const { width, height, inside } = raster;
+    const cols = Math.ceil(width / step) + 1,
+      rows = Math.ceil(height / step) + 1;
+    const at = (i, j) => {
+      const px = i * step,
+        py = j * step;
+      return px < width && py < height ? inside[py * width + px] : 0;
+    };
+
+    // edge ids: 2 per grid point, horizontal (to the right) and vertical
+    // (downward); each links to the contour edges on either side of it
+    const links = new Map();
+    const link = (a, b) => {
+      if (!links.has(a)) links.set(a, []);
+      if (!links.has(b)) links.set(b, []);
+      links.get(a).push(b);
+      links.get(b).push(a);
+    };
+    const hEdge = (i, j) => (j * cols + i) * 2;
+    const vEdge = (i, j) => (j * cols + i) * 2 + 1;
+    for (let j = 0; j < rows - 1; j++) {
+      for (let i = 0; i < cols - 1; i++) {
+        const code =
+          at(i, j) * 8 + at(i + 1, j) * 4 + at(i + 1, j + 1) * 2 + at(i, j + 1);
+        const top = hEdge(i, j),
+          right = vEdge(i + 1, j),
+          bottom = hEdge(i, j + 1),
+          left = vEdge(i, j);
+        for (const [a, b] of SprayText.CONTOUR_CASES[code]) {
+          const edges = { top, right, bottom, left };
+          link(edges[a], edges[b]);
+        }
+      }
+    }
+
+    const point = (id) => {
+      const cell = id >> 1;
+      const i = cell % cols,
+        j = Math.floor(cell / cols);
+      return id & 1
+        ? [raster.x + i * step, raster.y + (j + 0.5) * step]
+        : [raster.x + (i + 0.5) * step, raster.y + j * step];
+    };
+    const paths = [];
+    const seen = new Set();
+    for (const startId of links.keys()) {
+      if (seen.has(startId)) continue;
+      const points = [];
+      let prev = -1,
+        id = startId;
+      while (id !== undefined && !seen.has(id)) {
+        seen.add(id);
+        points.push(point(id));
+        const next = links.get(id).find((n) => n !== prev && !seen.has(n));
+        prev = id;
+        id = next;
+      }
+      if (points.length > 2) paths.push([...points, points[0]]);
+    }
+    return paths;
+  }
+
+  // Every sweep for a text layout: fill runs `spacing` px apart, then the
+  // outlines
+  static strokePaths(layout, { spacing, fill = true, outline = false }) {
+    const raster = SprayText.rasterize(layout);
+    if (!raster) return [];
+    const paths = [];
+    if (fill) paths.push(...SprayText.fillPaths(raster, spacing));
+    if (outline) {
+      const step = Math.max(1, Math.round(layout.size / 60));
+      paths.push(...SprayText.outlinePaths(raster, step));
+    }
+    return paths;
+  }
+
+  // Make a font file usable as a family named after the file
+  static async loadFontFile(file) {
+    const family = file.name.replace(/\.[^.]+$/, "");
+    const face = new FontFace(family, await file.arrayBuffer());
+    await face.load();
+    document.fonts.add(face);
+    return family;
+  }
+
+  // Wait for a web font before measuring or rasterizing with it
+  static async ready(layoutOptions) {
+    if (typeof document === "undefined" || !document.fonts) return;
+    const font = SprayText.fontString(layoutOptions.font, layoutOptions.size);
+    try {
+      await document.fonts.load(font, layoutOptions.text);
+    } catch (error) {
+      // unknown families fall back to the default font
+    }
+  }
+
+  static _measureContext() {
+    if (!SprayText._ctx) {
+      SprayText._ctx = document.createElement("canvas").getContext("2d");
+    }
+    return SprayText._ctx;
+  }
+}
+
+SprayText._ctx = null;
+SprayText.DEFAULT_FONT = "Impact";
+SprayText.GLYPH_EXTENT = 0.75; // half a glyph's height, × font size
+SprayText.GENERIC_FAMILIES = [
+  "serif",
+  "sans-serif",
+  "monospace",
+  "cursive",
+  "fantasy",
+  "system-ui",
+];
+// families offered in the text panel (loaded fonts are added to it)
+SprayText.FONTS = [
+  "Impact",
+  "Arial Black",
+  "Arial",
+  "Verdana",
+  "Georgia",
+  "Times New Roman",
+  "Courier New",
+  "Comic Sans MS",
+  "sans-serif",
+  "serif",
+  "monospace",
+  "cursive",
+];
+// marching squares: contour segments per corner code (tl 8, tr 4, br 2,
+// bl 1 inside), between the named cell edges
+SprayText.CONTOUR_CASES = [
+  [],
+  [["left", "bottom"]],
+  [["bottom", "right"]],
+  [["left", "right"]],
+  [["top", "right"]],
+  [
+    ["top", "right"],
+    ["left", "bottom"],
+  ],
+  [["top", "bottom"]],
+  [["top", "left"]],
+  [["top", "left"]],
+  [["top", "bottom"]],
+  [
+    ["top", "left"],
+    ["bottom", "right"],
+  ],
+  [["top", "right"]],
+  [["left", "right"]],
+  [["right", "bottom"]],
+  [["left", "bottom"]],
+  [],
+];
+
+// Pointer tool for spray text: the text follows the pointer as a preview
+// and a click places it there. Layout options live in `options` (see
+// SprayText.layout) with `fill` / `outline`.
+class TextTool {
+  constructor(onPlace) {
+    this.onPlace = onPlace;
+    this.options = {
+      text: "",
+      font: SprayText.DEFAULT_FONT,
+      size: 120,
+      letterSpacing: 0,
+      rotation: 0,
+      curve: 0,
+      fill: true,
+      outline: false,
+    };
+    this._hover = null;
+    this._down = false;
+  }
+
+  layoutAt(x, y) {
+    return SprayText.layout({ ...this.options, x, y });
+  }
+
+  pointerDown(pos) {
+    this._hover = pos;
+    this._down = true;
+  }
+
+  pointerMove(pos) {
+    this._hover = pos;
+  }
+
+  pointerUp(pos) {
+    if (!this._down) return;
+    this._down = false;
+    if (this.options.text.trim()) this.onPlace(pos.x, pos.y);
+  }
+
+  cancel() {
+    this._down = false;
+  }
+
+  get busy() {
+    return this._down;
+  }
+
+  drawPreview(ctx) {
+    if (!this._hover || !this.options.text) return;
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    const layout = this.layoutAt(this._hover.x, this._hover.y);
+    SprayText.drawGlyphs(ctx, layout, TextTool.PREVIEW_COLOR);
+    ctx.restore();
+  }
+}
+
+TextTool.PREVIEW_COLOR = "#1e88e5";